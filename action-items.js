@@ -0,0 +1,237 @@
+const { formatDate, renderTemplate } = require('./template-engine.js');
+
+// How a task line is written after "- [ ] ". Fields: text, owner (a [[link]] for
+// attendees, plain text otherwise), ownerName, due (YYYY-MM-DD) and source ([[meeting note]]).
+const ACTION_ITEM_FORMATS = {
+    tasks: {
+        name: 'Tasks plugin',
+        template: '{{text}}{{#if owner}} [owner:: {{owner}}]{{/if}} [meeting:: {{source}}]{{#if due}} 📅 {{due}}{{/if}}'
+    },
+    dataview: {
+        name: 'Dataview fields',
+        template: '{{text}}{{#if owner}} [owner:: {{owner}}]{{/if}}{{#if due}} [due:: {{due}}]{{/if}} [meeting:: {{source}}]'
+    },
+    simple: {
+        name: 'Plain text',
+        template: '{{#if owner}}**{{ownerName}}:** {{/if}}{{text}}{{#if due}} (due {{due}}){{/if}}'
+    }
+};
+
+const MAX_ACTION_ITEMS = 10;
+
+const WEEKDAYS = {
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+    sonntag: 0, montag: 1, dienstag: 2, mittwoch: 3, donnerstag: 4, freitag: 5, samstag: 6
+};
+
+const MONTHS = {
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6,
+    august: 7, september: 8, october: 9, november: 10, december: 11,
+    januar: 0, februar: 1, märz: 2, juni: 5, juli: 6, oktober: 9, dezember: 11
+};
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, einem: 1, einer: 1, zwei: 2, drei: 3, vier: 4 };
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+
+// Commitments by a person; "it will rain" has no person and is ignored
+const COMMITMENT_PATTERNS = [
+    /\b(I|we|you|[A-Z][\wäöüß]+(?: [A-Z][\wäöüß]+)?)(?:'ll|\s+(?:will|shall|should|needs? to|must|has to|have to|is going to|am going to|are going to|gonna|is taking care of|takes care of))\s+(.{10,120})/g,
+    /\b(ich|wir|du|[A-Z][\wäöüß]+)\s+(?:werde|werden|wird|muss|müssen|soll|sollte|sollten|kümmere mich um|kümmert sich um|übernimmt|übernehme)\s+(.{10,120})/gi
+];
+
+// Explicit markers, optionally naming the owner: "Action item for Sarah: ..."
+const MARKER_PATTERN = /\b(?:action item|todo|to-do|\[action\]|aufgabe)(?:\s+(?:for|für)\s+([A-Z][\wäöüß]+))?\s*:?\s+(.{5,150})/i;
+
+// "Sarah, can you ..."
+const REQUEST_PATTERN = /\b([A-Z][\wäöüß]+),?\s+(?:can|could|would) you\s+(.{10,120}?)\?/;
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Friday of the week, or the next one on weekends
+function endOfWeek(date) {
+    return addDays(date, (5 - date.getDay() + 7) % 7);
+}
+
+function nextWeekday(date, weekday, skipThisWeek) {
+    let target = addDays(date, ((weekday - date.getDay() + 7) % 7) || 7);
+    // "next Friday" on a Monday means the Friday after this week's
+    if (skipThisWeek && date.getDay() !== 0 && target.getDay() !== 0 && target.getDay() > date.getDay()) {
+        target = addDays(target, 7);
+    }
+    return target;
+}
+
+// Turns deadlines like "by Friday", "next week", "in two days", "March 15" or
+// "bis Ende des Monats" into a date relative to the meeting. Returns null if none is found.
+function resolveDueDate(text, meetingDate) {
+    if (!text) return null;
+    const base = startOfDay(meetingDate);
+    const lower = text.toLowerCase();
+    let match;
+
+    if ((match = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(lower))) {
+        return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    }
+    if (/\b(?:übermorgen|day after tomorrow)\b/.test(lower)) return addDays(base, 2);
+    if (/\b(?:today|tonight|end of (?:the )?day|heute)\b/.test(lower)) return base;
+    if (/\b(?:tomorrow|morgen)\b/.test(lower)) return addDays(base, 1);
+
+    if ((match = new RegExp(`\\b(next|nächsten|kommenden|this|diesen)?\\s*(${WEEKDAY_PATTERN})\\b`).exec(lower))) {
+        const weekday = WEEKDAYS[match[2]];
+        // "this Monday" said on a Monday is the meeting day itself
+        if ((match[1] === 'this' || match[1] === 'diesen') && weekday === base.getDay()) return base;
+        return nextWeekday(base, weekday, Boolean(match[1]) && match[1] !== 'this' && match[1] !== 'diesen');
+    }
+
+    if (/\b(?:end of (?:the |this )?week|this week|ende der woche|diese woche)\b/.test(lower)) return endOfWeek(base);
+    if (/\b(?:next week|nächste woche|kommende woche|nächsten woche)\b/.test(lower)) return endOfWeek(addDays(base, 7));
+    if (/\b(?:end of (?:the |this )?month|ende des monats|this month|diesen monat)\b/.test(lower)) {
+        return new Date(base.getFullYear(), base.getMonth() + 1, 0);
+    }
+    if (/\b(?:next month|nächsten monat)\b/.test(lower)) return new Date(base.getFullYear(), base.getMonth() + 2, 0);
+
+    if ((match = /\bin\s+(\d+|a|an|one|two|three|four|five|six|einem|einer|zwei|drei|vier)\s+(days?|tagen?|weeks?|wochen?|months?|monaten?)\b/.exec(lower))) {
+        const count = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+        if (/^(?:day|tag)/.test(match[2])) return addDays(base, count);
+        if (/^(?:week|woche)/.test(match[2])) return addDays(base, count * 7);
+        return new Date(base.getFullYear(), base.getMonth() + count, base.getDate());
+    }
+
+    const dayFirst = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|\\.)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b`).exec(lower);
+    const monthFirst = new RegExp(`\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`).exec(lower);
+    if (dayFirst || monthFirst) {
+        const day = parseInt(dayFirst ? dayFirst[1] : monthFirst[2], 10);
+        const month = MONTHS[dayFirst ? dayFirst[2] : monthFirst[1]];
+        let date = new Date(base.getFullYear(), month, day);
+        // "January 10" said in December means next year
+        if (date < base) {
+            date = new Date(base.getFullYear() + 1, month, day);
+        }
+        return date;
+    }
+
+    return null;
+}
+
+// Matches a spoken name to an attendee: full name, first name or last name, ignoring case
+function resolveOwner(name, attendees) {
+    if (!name) return null;
+    const wanted = name.trim().toLowerCase();
+    return attendees.find(attendee => attendee.toLowerCase() === wanted) ||
+        attendees.find(attendee => attendee.toLowerCase().split(/\s+/).includes(wanted)) ||
+        null;
+}
+
+function isSpeakerLabel(name) {
+    return !name || /^Speaker \d+$/.test(name);
+}
+
+function ownerFromSubject(subject, speaker, attendees) {
+    const lower = subject.toLowerCase();
+    if (lower === 'i' || lower === 'ich') {
+        return { known: true, owner: isSpeakerLabel(speaker) ? null : speaker };
+    }
+    if (['we', 'you', 'wir', 'du'].includes(lower)) {
+        return { known: true, owner: null };
+    }
+    // "Then Sarah will ..." captures two capitalized words
+    const owner = resolveOwner(subject, attendees) || resolveOwner(subject.split(' ').pop(), attendees);
+    return { known: Boolean(owner), owner: owner };
+}
+
+function cleanItemText(text) {
+    const cleaned = text.replace(/\s+/g, ' ').replace(/[\s,;:.!?]+$/, '').trim();
+    return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+function findCommitment(sentence, speaker, attendees) {
+    let match = MARKER_PATTERN.exec(sentence);
+    if (match) {
+        return { text: match[2], owner: match[1] ? resolveOwner(match[1], attendees) || match[1] : null };
+    }
+
+    match = REQUEST_PATTERN.exec(sentence);
+    if (match && resolveOwner(match[1], attendees)) {
+        return { text: match[2], owner: resolveOwner(match[1], attendees) };
+    }
+
+    for (const pattern of COMMITMENT_PATTERNS) {
+        for (const commitment of sentence.matchAll(pattern)) {
+            const { known, owner } = ownerFromSubject(commitment[1], speaker, attendees);
+            if (known) {
+                return { text: commitment[2], owner: owner };
+            }
+        }
+    }
+    return null;
+}
+
+function dedupeKey(text) {
+    return text.toLowerCase().replace(/[^\wäöüß]+/g, ' ').trim();
+}
+
+// Drops items whose wording is the same as, or contained in, an earlier one
+function dedupeActionItems(items) {
+    const kept = [];
+    items.forEach(item => {
+        const key = dedupeKey(item.text);
+        if (!key) return;
+        const duplicate = kept.some(other => {
+            const otherKey = dedupeKey(other.text);
+            return otherKey.includes(key) || key.includes(otherKey);
+        });
+        if (!duplicate) {
+            kept.push(item);
+        }
+    });
+    return kept;
+}
+
+// paragraphs: [{ text, speaker? }], e.g. from groupSegments. Returns [{ text, owner, due }]
+// with owner an attendee name (or null) and due a Date (or null).
+function extractActionItems(paragraphs, { attendees = [], date = new Date() } = {}) {
+    const items = [];
+
+    paragraphs.forEach(paragraph => {
+        paragraph.text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+            const commitment = findCommitment(sentence, paragraph.speaker, attendees);
+            if (!commitment) return;
+
+            const text = cleanItemText(commitment.text);
+            if (text.length < 10) return;
+
+            items.push({ text, owner: commitment.owner, due: resolveDueDate(sentence, date) });
+        });
+    });
+
+    return dedupeActionItems(items).slice(0, MAX_ACTION_ITEMS);
+}
+
+// item: { text, owner, due }; owners that are attendees become [[links]]
+function formatActionItem(item, template, { attendees = [], source = '' } = {}) {
+    const attendee = resolveOwner(item.owner, attendees);
+    return renderTemplate(template, {
+        text: item.text,
+        ownerName: item.owner || '',
+        owner: attendee ? `[[${attendee}]]` : (item.owner || ''),
+        due: item.due ? formatDate(item.due, 'YYYY-MM-DD') : '',
+        source: source
+    });
+}
+
+module.exports = {
+    ACTION_ITEM_FORMATS,
+    extractActionItems,
+    dedupeActionItems,
+    resolveDueDate,
+    resolveOwner,
+    formatActionItem
+};
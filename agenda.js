@@ -0,0 +1,163 @@
+// Agenda drafts and aligning a transcript to their items.
+//
+// Each transcript segment is assigned to an agenda item (or to "other talk") with a
+// small Viterbi pass: keyword overlap with an item is the evidence, and switching
+// items costs something, more so going backwards, because meetings mostly follow
+// their agenda in order. Segments without keywords therefore stay with the item
+// being discussed.
+
+const { stem, terms } = require('./text-terms.js');
+
+const AGENDA_HEADINGS = ['agenda', 'tagesordnung'];
+const NOTES_HEADINGS = ['notes', 'notizen'];
+
+// Words every agenda item and meeting uses, on top of the usual stopwords
+const AGENDA_WORDS = new Set(
+    'update updates discuss discussion review item items topic topics next last new other punkt punkte thema themen'
+        .split(' ')
+        .map(stem)
+);
+
+const SWITCH_PENALTY = 1.5;
+const SKIP_PENALTY = 0.5;
+const BACKWARD_PENALTY = 3;
+const OTHER_PENALTY = 1;
+
+function keywords(text) {
+    return terms(text).filter(term => !AGENDA_WORDS.has(term));
+}
+
+function sectionLines(content, headings) {
+    const lines = [];
+    let inSection = false;
+    content.split('\n').forEach(rawLine => {
+        const line = rawLine.replace(/\r$/, '');
+        const heading = /^(#{1,6})\s+(.*?)\s*$/.exec(line);
+        if (heading) {
+            inSection = headings.includes(heading[2].toLowerCase());
+            return;
+        }
+        if (inSection) lines.push(line);
+    });
+    return lines;
+}
+
+// Top-level bullet or numbered items of the "## Agenda" section
+function parseAgenda(content) {
+    return sectionLines(content, AGENDA_HEADINGS)
+        .map(line => /^(?:[-*+]|\d+[.)])\s+(?:\[.\]\s+)?(.+)$/.exec(line))
+        .filter(match => match)
+        .map(match => match[1].trim())
+        .filter(item => item.length > 0);
+}
+
+// Whatever was typed under "## Notes" in the draft, so it survives into the final note
+function extractNotes(content) {
+    return sectionLines(content, NOTES_HEADINGS).join('\n').trim();
+}
+
+function renderDraft({ title, date, time, attendees, series, agenda }) {
+    const frontmatter = [
+        `date: ${date}`,
+        `time: ${time}`,
+        `attendees: ${attendees}`,
+        series ? `series: ${series}` : null,
+        'tags: meeting-draft'
+    ].filter(line => line !== null).join('\n');
+    const items = agenda.length > 0 ? agenda.map(item => `- ${item}`).join('\n') : '- ';
+
+    return `---\n${frontmatter}\n---\n\n# ${title}\n\n## Agenda\n${items}\n\n## Notes\n\n`;
+}
+
+// Returns, per agenda item, { title, segments, addressed } plus the segments that fit
+// no item as `other`. An item counts as addressed once a segment mentions its keywords.
+function alignToAgenda(segments, agenda) {
+    const sections = agenda.map(title => ({ title, segments: [], addressed: false }));
+    if (segments.length === 0 || agenda.length === 0) {
+        return { sections, other: segments.slice() };
+    }
+
+    const itemKeywords = agenda.map(item => new Set(keywords(item)));
+
+    // Rarer keywords (shared by fewer agenda items) count more
+    const frequency = new Map();
+    itemKeywords.forEach(set => set.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1)));
+    const weight = (word) => 1 / frequency.get(word);
+
+    const count = agenda.length;
+    const other = count; // state index for talk outside the agenda
+    const evidence = segments.map(segment => {
+        const words = keywords(segment.text);
+        return itemKeywords.map(set => words.reduce((sum, word) => sum + (set.has(word) ? weight(word) : 0), 0));
+    });
+
+    const transition = (from, to) => {
+        if (from === to) return 0;
+        if (from === other || to === other) return OTHER_PENALTY;
+        if (to > from) return SWITCH_PENALTY + SKIP_PENALTY * (to - from - 1);
+        return BACKWARD_PENALTY;
+    };
+    const emission = (index, state) => (state === other ? 0 : evidence[index][state]);
+
+    // Viterbi: best score of any path ending in each state, and where it came from
+    let scores = [];
+    for (let state = 0; state <= count; state++) {
+        scores.push(emission(0, state) - (state === other ? 0 : transition(other, state) / 2));
+    }
+    const backPointers = [];
+
+    for (let index = 1; index < segments.length; index++) {
+        const next = [];
+        const pointers = [];
+        for (let state = 0; state <= count; state++) {
+            let best = -Infinity;
+            let bestFrom = 0;
+            for (let from = 0; from <= count; from++) {
+                const score = scores[from] - transition(from, state);
+                if (score > best) {
+                    best = score;
+                    bestFrom = from;
+                }
+            }
+            next.push(best + emission(index, state));
+            pointers.push(bestFrom);
+        }
+        scores = next;
+        backPointers.push(pointers);
+    }
+
+    const states = new Array(segments.length);
+    states[segments.length - 1] = scores.indexOf(Math.max(...scores));
+    for (let index = segments.length - 1; index > 0; index--) {
+        states[index - 1] = backPointers[index - 1][states[index]];
+    }
+
+    const otherSegments = [];
+    segments.forEach((segment, index) => {
+        const state = states[index];
+        if (state === other) {
+            otherSegments.push(segment);
+            return;
+        }
+        sections[state].segments.push(segment);
+        if (evidence[index][state] > 0) sections[state].addressed = true;
+    });
+
+    // Talk that drifted into an item without ever touching its topic isn't about it
+    sections.forEach(section => {
+        if (!section.addressed && section.segments.length > 0) {
+            otherSegments.push(...section.segments);
+            section.segments = [];
+        }
+    });
+    otherSegments.sort((a, b) => a.start - b.start);
+
+    return { sections, other: otherSegments };
+}
+
+module.exports = {
+    parseAgenda,
+    extractNotes,
+    renderDraft,
+    alignToAgenda
+};
@@ -0,0 +1,119 @@
+const { request, joinUrl } = require('./http-request.js');
+
+// Local models can take minutes to read a long transcript
+const ANALYSIS_TIMEOUT_MS = 5 * 60 * 1000;
+
+const DEFAULT_ANALYSIS_PROMPT = `You are an assistant that writes meeting minutes.
+Read the meeting transcript and extract:
+- a short summary of what was discussed (3-5 sentences)
+- action items: concrete tasks someone committed to, with the owner if one was named and the deadline if one was mentioned
+- decisions the participants actually agreed on
+- open questions that were raised but not answered
+Only include what is supported by the transcript. Write in the language of the transcript.`;
+
+// Appended to the user's instructions so the reply can always be parsed
+const RESPONSE_FORMAT = `Respond with a single JSON object and nothing else, using exactly this shape:
+{"summary": "...", "actionItems": [{"text": "...", "owner": "name or null", "due": "deadline as said, e.g. 'by Friday', or null"}], "decisions": ["..."], "openQuestions": ["..."]}
+Use empty arrays when there is nothing to report.`;
+
+// Text of a list item, given as a string or as { text }. Numbers are taken as text;
+// anything else a model might put there counts as empty.
+function itemText(item) {
+    const value = item && typeof item === 'object' ? item.text : item;
+    if (typeof value !== 'string' && typeof value !== 'number') return '';
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function cleanList(value) {
+    return (Array.isArray(value) ? value : [])
+        .map(itemText)
+        .filter(item => item.length > 0);
+}
+
+function cleanActionItems(value) {
+    return (Array.isArray(value) ? value : [])
+        .map(item => {
+            if (!item || typeof item !== 'object') {
+                return { text: itemText(item), owner: null, due: null };
+            }
+            const field = (name) => {
+                const value = typeof item[name] === 'string' ? item[name].trim() : '';
+                return value && !/^(null|none|unknown|n\/a)$/i.test(value) ? value : null;
+            };
+            return {
+                text: itemText(item),
+                owner: field('owner'),
+                due: field('due')
+            };
+        })
+        .filter(item => item.text.length > 0);
+}
+
+// Models often wrap JSON in ```json fences or add a sentence around it
+function parseAnalysis(content) {
+    const text = (content || '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Model did not return JSON');
+    }
+
+    const data = JSON.parse(text.substring(start, end + 1));
+    return {
+        summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+        actionItems: cleanActionItems(data.actionItems),
+        decisions: cleanList(data.decisions),
+        openQuestions: cleanList(data.openQuestions)
+    };
+}
+
+// Talks to any OpenAI-compatible /v1/chat/completions endpoint: Ollama, llama.cpp's
+// server, LM Studio, vLLM, ...
+class ChatAnalysisProvider {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    // transcript is plain text; context is { title, attendees, language }
+    async analyze(transcript, context = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.settings.analysisApiKey) {
+            headers['Authorization'] = `Bearer ${this.settings.analysisApiKey}`;
+        }
+
+        const details = [
+            context.title ? `Meeting: ${context.title}` : '',
+            context.attendees ? `Attendees: ${context.attendees}` : ''
+        ].filter(line => line).join('\n');
+
+        const body = JSON.stringify({
+            model: this.settings.analysisModel,
+            messages: [
+                { role: 'system', content: `${this.settings.analysisPrompt || DEFAULT_ANALYSIS_PROMPT}\n\n${RESPONSE_FORMAT}` },
+                { role: 'user', content: `${details}\n\nTranscript:\n${transcript}`.trim() }
+            ],
+            response_format: { type: 'json_object' },
+            temperature: 0.2,
+            stream: false
+        });
+
+        const url = joinUrl(this.settings.analysisUrl, '/v1/chat/completions');
+        console.log('Meeting Intelligence: Requesting analysis from:', url);
+
+        const response = JSON.parse(await request(url, {
+            method: 'POST',
+            headers: headers,
+            body: Buffer.from(body),
+            timeout: ANALYSIS_TIMEOUT_MS
+        }));
+
+        const choice = response.choices && response.choices[0];
+        return parseAnalysis(choice && choice.message ? choice.message.content : '');
+    }
+}
+
+module.exports = {
+    DEFAULT_ANALYSIS_PROMPT,
+    ChatAnalysisProvider,
+    parseAnalysis
+};
@@ -1,8 +1,18 @@
 const fs = require('fs');
+const { muxOggOpus } = require('./ogg-opus.js');
+const { downmix, preprocess } = require('./audio-processing.js');
+
+// Sample rates tried for Opus archives: 16 kHz like whisper's input, or Opus' native rate
+const OPUS_SAMPLE_RATES = [16000, 48000];
+// Duration AudioEncoder uses when it doesn't report one, in microseconds
+const OPUS_FRAME_DURATION = 20000;
 
 class AudioConverter {
-    constructor() {
+    // processing: the preprocessing applied before WAV encoding, see audio-processing.js.
+    // Without it the audio is only resampled.
+    constructor(processing = {}) {
         this.audioContext = null;
+        this.processing = processing;
     }
 
     async convertBlobToWav(audioBlob) {
@@ -13,7 +23,7 @@ class AudioConverter {
 
             const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
 
-            const wav = this.audioBufferToWav(audioBuffer);
+            const wav = await this.audioBufferToWav(audioBuffer);
 
             if (this.audioContext) {
                 await this.audioContext.close();
@@ -28,58 +38,100 @@ class AudioConverter {
         }
     }
 
-    audioBufferToWav(audioBuffer) {
-        const sampleRate = 16000;
-        const numChannels = 1;
+    async audioBufferToWav(audioBuffer) {
+        return this.samplesToWav(this.toMono(audioBuffer), audioBuffer.sampleRate);
+    }
 
-        let audioData;
-        if (audioBuffer.numberOfChannels > 1) {
-            const left = audioBuffer.getChannelData(0);
-            const right = audioBuffer.getChannelData(1);
-            audioData = new Float32Array(left.length);
-            for (let i = 0; i < left.length; i++) {
-                audioData[i] = (left[i] + right[i]) / 2;
-            }
-        } else {
-            audioData = audioBuffer.getChannelData(0);
+    toMono(audioBuffer) {
+        const channels = [];
+        for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+            channels.push(audioBuffer.getChannelData(i));
         }
+        return downmix(channels);
+    }
 
-        const resampledData = this.resample(
-            audioData,
-            audioBuffer.sampleRate,
-            sampleRate
-        );
+    // Re-encodes anything the browser can decode as a mono Ogg/Opus file at `bitrate`
+    // bits per second. WebCodecs' AudioEncoder is much faster than real time, unlike
+    // MediaRecorder.
+    async encodeOpus(audioBlob, bitrate) {
+        if (typeof AudioEncoder === 'undefined') {
+            throw new Error('Opus encoding needs a newer version of Obsidian');
+        }
 
-        const int16Data = new Int16Array(resampledData.length);
-        for (let i = 0; i < resampledData.length; i++) {
-            const s = Math.max(-1, Math.min(1, resampledData[i]));
-            int16Data[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+        let config = null;
+        for (const sampleRate of OPUS_SAMPLE_RATES) {
+            const candidate = { codec: 'opus', sampleRate: sampleRate, numberOfChannels: 1, bitrate: bitrate };
+            if ((await AudioEncoder.isConfigSupported(candidate)).supported) {
+                config = candidate;
+                break;
+            }
+        }
+        if (!config) {
+            throw new Error('Opus encoding is not supported on this system');
         }
 
-        const wavBuffer = this.encodeWav(int16Data, sampleRate, numChannels);
+        // Decoding into a context at the encoder's rate does the resampling
+        const context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: config.sampleRate });
+        let samples;
+        try {
+            samples = this.toMono(await context.decodeAudioData(await audioBlob.arrayBuffer()));
+        } finally {
+            await context.close();
+        }
 
-        return wavBuffer;
-    }
+        const packets = [];
+        let failure = null;
+        const encoder = new AudioEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                packets.push({ data: data, duration: chunk.duration || OPUS_FRAME_DURATION });
+            },
+            error: (error) => {
+                failure = error;
+            }
+        });
+        encoder.configure(config);
+
+        // One second of audio per AudioData
+        for (let start = 0; start < samples.length; start += config.sampleRate) {
+            const chunk = samples.slice(start, start + config.sampleRate);
+            const audioData = new AudioData({
+                format: 'f32',
+                sampleRate: config.sampleRate,
+                numberOfFrames: chunk.length,
+                numberOfChannels: 1,
+                timestamp: Math.round(start / config.sampleRate * 1000000),
+                data: chunk
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        await encoder.flush();
+        encoder.close();
 
-    resample(audioData, sourceSampleRate, targetSampleRate) {
-        if (sourceSampleRate === targetSampleRate) {
-            return audioData;
+        if (failure) {
+            throw failure;
         }
+        return muxOggOpus(packets, { channels: 1, inputSampleRate: config.sampleRate });
+    }
 
-        const ratio = sourceSampleRate / targetSampleRate;
-        const newLength = Math.round(audioData.length / ratio);
-        const result = new Float32Array(newLength);
+    // Encodes raw mono samples (e.g. live capture chunks) as 16 kHz 16-bit WAV
+    async samplesToWav(audioData, sourceSampleRate) {
+        const sampleRate = 16000;
+        const numChannels = 1;
 
-        for (let i = 0; i < newLength; i++) {
-            const sourceIndex = i * ratio;
-            const indexFloor = Math.floor(sourceIndex);
-            const indexCeil = Math.min(indexFloor + 1, audioData.length - 1);
-            const frac = sourceIndex - indexFloor;
+        const processedData = await preprocess(audioData, sourceSampleRate, sampleRate, this.processing);
 
-            result[i] = audioData[indexFloor] * (1 - frac) + audioData[indexCeil] * frac;
+        const int16Data = new Int16Array(processedData.length);
+        for (let i = 0; i < processedData.length; i++) {
+            const s = Math.max(-1, Math.min(1, processedData[i]));
+            int16Data[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
         }
 
-        return result;
+        const wavBuffer = this.encodeWav(int16Data, sampleRate, numChannels);
+
+        return wavBuffer;
     }
 
     encodeWav(samples, sampleRate, numChannels) {
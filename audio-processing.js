@@ -0,0 +1,306 @@
+// Preprocessing applied to recordings before they are written as the 16 kHz WAV that
+// whisper transcribes: downmix, band-limited resampling, a high-pass filter against
+// rumble, loudness normalisation and an optional noise gate. All of it works on plain
+// Float32Arrays of samples between -1 and 1, and is asynchronous: it runs in Obsidian's
+// UI thread, so the loops take a break every block of samples to keep the app responsive.
+
+// Samples processed between checks whether the UI is due a turn, one second at 16 kHz
+const BLOCK_LENGTH = 16000;
+// Processing holds the UI thread for at most about this long at a time
+const MAX_BLOCKING_MS = 25;
+
+// Zero crossings of the sinc on each side of the resampling kernel
+const SINC_ZERO_CROSSINGS = 10;
+// The resampler's cutoff as a share of the lower Nyquist frequency; the rest is the
+// transition band of the filter
+const SINC_ROLLOFF = 0.94;
+// Ratios like 44100 -> 16000 need 160 kernel phases; odd ones are rounded to this many
+const MAX_KERNEL_PHASES = 512;
+
+// ITU-R BS.775 downmix weights for 5.1 in WebAudio's order: L, R, C, LFE, SL, SR.
+// The LFE channel carries no speech.
+const SURROUND_WEIGHTS = [1, 1, Math.SQRT1_2, 0, Math.SQRT1_2, Math.SQRT1_2];
+
+// Loudness is measured as in ITU-R BS.1770: K-weighted 400 ms blocks with 75% overlap,
+// gated at -70 LUFS and then 10 LU below the ungated level
+const LOUDNESS_BLOCK_SECONDS = 0.4;
+const LOUDNESS_BLOCK_STEP = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+// Normalising never boosts by more than this, so near-silent recordings stay quiet
+const MAX_GAIN_DB = 30;
+// Peaks above this are softly limited after normalising
+const LIMITER_THRESHOLD = 0.89;
+
+// Noise gate timing in seconds: how fast the level detector follows the signal, how long
+// the gate stays open after it, and how fast it opens and closes
+const GATE_DETECTOR_RELEASE = 0.02;
+const GATE_HOLD = 0.2;
+const GATE_ATTACK = 0.005;
+const GATE_RELEASE = 0.15;
+// Closed gates turn the signal down by this much instead of cutting it off
+const GATE_FLOOR_DB = -30;
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+let lastBreak = 0;
+
+// Lets the UI handle events if processing has kept it waiting for too long
+async function takeBreak() {
+    if (Date.now() - lastBreak < MAX_BLOCKING_MS) return;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    lastBreak = Date.now();
+}
+
+// Mixes any number of channels (Float32Arrays of equal length) to mono. 5.1 uses the
+// broadcast weights; anything else is averaged.
+function downmix(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const weights = channels.length === SURROUND_WEIGHTS.length
+        ? SURROUND_WEIGHTS
+        : channels.map(() => 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const length = channels[0].length;
+    const mono = new Float32Array(length);
+
+    channels.forEach((channel, index) => {
+        const weight = weights[index] / total;
+        if (weight === 0) return;
+        for (let i = 0; i < length; i++) {
+            mono[i] += channel[i] * weight;
+        }
+    });
+    return mono;
+}
+
+function blackman(x) {
+    // x from -1 to 1 across the kernel
+    return 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+}
+
+// Windowed-sinc kernels, one per fractional position between input samples. Each has
+// 2 * halfWidth taps and sums to 1 so the level is unchanged.
+function sincKernels(phases, halfWidth, cutoff) {
+    const kernels = [];
+    for (let phase = 0; phase < phases; phase++) {
+        const fraction = phase / phases;
+        const kernel = new Float32Array(2 * halfWidth);
+        let sum = 0;
+        for (let tap = 0; tap < kernel.length; tap++) {
+            // Distance from the output position to this input sample
+            const t = fraction + halfWidth - 1 - tap;
+            const x = cutoff * t;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const value = Math.abs(t) >= halfWidth ? 0 : cutoff * sinc * blackman(t / halfWidth);
+            kernel[tap] = value;
+            sum += value;
+        }
+        for (let tap = 0; tap < kernel.length; tap++) {
+            kernel[tap] /= sum;
+        }
+        kernels.push(kernel);
+    }
+    return kernels;
+}
+
+// Band-limited resampling. Downsampling filters out everything above the new Nyquist
+// frequency first, so it doesn't fold back into the speech band as aliasing.
+async function resample(samples, sourceRate, targetRate) {
+    if (sourceRate === targetRate || samples.length === 0) return samples;
+
+    const divisor = gcd(sourceRate, targetRate);
+    const up = targetRate / divisor;
+    const down = sourceRate / divisor;
+    const phases = Math.min(up, MAX_KERNEL_PHASES);
+    const cutoff = Math.min(1, targetRate / sourceRate) * SINC_ROLLOFF;
+    const halfWidth = Math.ceil(SINC_ZERO_CROSSINGS / cutoff);
+    const kernels = sincKernels(phases, halfWidth, cutoff);
+
+    const length = Math.round(samples.length * targetRate / sourceRate);
+    const result = new Float32Array(length);
+    const last = samples.length - 1;
+
+    for (let n = 0; n < length; n++) {
+        if (n % BLOCK_LENGTH === 0) await takeBreak();
+        // Output n sits at input position n * down / up: whole sample plus phase
+        let index = Math.floor(n * down / up);
+        let phase = n * down - index * up;
+        if (phases !== up) {
+            phase = Math.round(phase * phases / up);
+            if (phase === phases) {
+                index++;
+                phase = 0;
+            }
+        }
+
+        const kernel = kernels[phase];
+        const first = index - halfWidth + 1;
+        let value = 0;
+        if (first >= 0 && first + kernel.length - 1 <= last) {
+            for (let tap = 0; tap < kernel.length; tap++) {
+                value += samples[first + tap] * kernel[tap];
+            }
+        } else {
+            // Near the edges the signal is treated as silence outside the recording
+            for (let tap = 0; tap < kernel.length; tap++) {
+                const position = first + tap;
+                if (position >= 0 && position <= last) value += samples[position] * kernel[tap];
+            }
+        }
+        result[n] = value;
+    }
+
+    return result;
+}
+
+// Runs a biquad { b: [b0, b1, b2], a: [a1, a2] } over the samples
+async function biquad(samples, { b, a }) {
+    const result = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        if (i % BLOCK_LENGTH === 0) await takeBreak();
+        const x = samples[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        result[i] = y;
+    }
+    return result;
+}
+
+function highPassCoefficients(frequency, sampleRate, q) {
+    const k = Math.tan(Math.PI * frequency / sampleRate);
+    const norm = 1 / (1 + k / q + k * k);
+    return {
+        b: [norm, -2 * norm, norm],
+        a: [2 * (k * k - 1) * norm, (1 - k / q + k * k) * norm]
+    };
+}
+
+// Second-order Butterworth high-pass, for rumble, handling noise and hum below speech
+async function highPass(samples, sampleRate, frequency) {
+    if (!(frequency > 0)) return samples;
+    return biquad(samples, highPassCoefficients(frequency, sampleRate, Math.SQRT1_2));
+}
+
+// BS.1770's K-weighting: a high shelf for the head's effect and a high-pass, with the
+// coefficients derived for any sample rate
+async function kWeight(samples, sampleRate) {
+    const k = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const q = 0.7071752369554196;
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const norm = 1 / (1 + k / q + k * k);
+    const shelf = {
+        b: [(vh + vb * k / q + k * k) * norm, 2 * (k * k - vh) * norm, (vh - vb * k / q + k * k) * norm],
+        a: [2 * (k * k - 1) * norm, (1 - k / q + k * k) * norm]
+    };
+    return biquad(await biquad(samples, shelf), highPassCoefficients(38.13547087602444, sampleRate, 0.5003270373238773));
+}
+
+// Integrated loudness in LUFS, or -Infinity if there is nothing above the gate
+async function measureLoudness(samples, sampleRate) {
+    const weighted = await kWeight(samples, sampleRate);
+    const blockLength = Math.round(LOUDNESS_BLOCK_SECONDS * sampleRate);
+    const step = Math.round(LOUDNESS_BLOCK_STEP * sampleRate);
+    const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+    const powers = [];
+    for (let start = 0; start + blockLength <= weighted.length; start += step) {
+        await takeBreak();
+        let sum = 0;
+        for (let i = start; i < start + blockLength; i++) {
+            sum += weighted[i] * weighted[i];
+        }
+        const power = sum / blockLength;
+        if (toLoudness(power) > ABSOLUTE_GATE) powers.push(power);
+    }
+    if (powers.length === 0) return -Infinity;
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const relativeGate = toLoudness(mean(powers)) + RELATIVE_GATE;
+    const gated = powers.filter(power => toLoudness(power) > relativeGate);
+    return toLoudness(mean(gated));
+}
+
+// Brings the recording to `target` LUFS. Whatever ends up above the limiter threshold
+// is bent back smoothly instead of clipping.
+async function normalizeLoudness(samples, sampleRate, target) {
+    const loudness = await measureLoudness(samples, sampleRate);
+    if (!isFinite(loudness)) return samples;
+
+    const gain = dbToGain(Math.min(MAX_GAIN_DB, target - loudness));
+    const headroom = 1 - LIMITER_THRESHOLD;
+    const result = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        if (i % BLOCK_LENGTH === 0) await takeBreak();
+        const value = samples[i] * gain;
+        const magnitude = Math.abs(value);
+        result[i] = magnitude <= LIMITER_THRESHOLD
+            ? value
+            : Math.sign(value) * (LIMITER_THRESHOLD + headroom * Math.tanh((magnitude - LIMITER_THRESHOLD) / headroom));
+    }
+    return result;
+}
+
+// Turns the signal down while its level stays below `threshold` dBFS, e.g. fan noise
+// between sentences. The gate opens within milliseconds and closes after a short hold,
+// so word endings are kept.
+async function noiseGate(samples, sampleRate, threshold) {
+    const open = dbToGain(threshold);
+    const floor = dbToGain(GATE_FLOOR_DB);
+    const holdSamples = Math.round(GATE_HOLD * sampleRate);
+    const attack = 1 - Math.exp(-1 / (GATE_ATTACK * sampleRate));
+    const release = 1 - Math.exp(-1 / (GATE_RELEASE * sampleRate));
+    const detectorRelease = 1 - Math.exp(-1 / (GATE_DETECTOR_RELEASE * sampleRate));
+
+    const result = new Float32Array(samples.length);
+    let envelope = 0;
+    let held = holdSamples;
+    let gain = floor;
+    for (let i = 0; i < samples.length; i++) {
+        if (i % BLOCK_LENGTH === 0) await takeBreak();
+        const magnitude = Math.abs(samples[i]);
+        envelope += (magnitude > envelope ? attack : detectorRelease) * (magnitude - envelope);
+
+        held = envelope >= open ? 0 : held + 1;
+        const targetGain = held < holdSamples ? 1 : floor;
+        gain += (targetGain > gain ? attack : release) * (targetGain - gain);
+        result[i] = samples[i] * gain;
+    }
+    return result;
+}
+
+// The whole chain for mono samples at sourceRate. options:
+//     { highPass: Hz or 0, normalize: bool, targetLoudness: LUFS, noiseGate: bool,
+//       noiseGateThreshold: dBFS }
+async function preprocess(samples, sourceRate, targetRate, options = {}) {
+    let result = await resample(samples, sourceRate, targetRate);
+    result = await highPass(result, targetRate, options.highPass);
+    if (options.normalize) {
+        result = await normalizeLoudness(result, targetRate, options.targetLoudness);
+    }
+    if (options.noiseGate) {
+        result = await noiseGate(result, targetRate, options.noiseGateThreshold);
+    }
+    return result;
+}
+
+module.exports = {
+    downmix,
+    highPass,
+    measureLoudness,
+    noiseGate,
+    normalizeLoudness,
+    preprocess,
+    resample
+};
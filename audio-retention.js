@@ -0,0 +1,83 @@
+// Retention policy for meeting recordings: which notes are old enough, and rewriting a
+// note's links once its audio is compressed into a new file or deleted.
+
+const TIMESTAMP_LABEL = /^\d{1,2}:\d{2}(?::\d{2})?$/;
+// A list item that is just a link, like the frontmatter's `  - "[[recording.webm]]"`
+const LINK_LIST_ITEM = /^\s*-\s*"?!?\[\[[^\]]*\]\]"?\s*$/;
+const WIKILINK = /(!?)\[\[([^\]|#]+)(#[^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+
+// date is the note's "YYYY-MM-DD"; anything else is never expired
+function isExpired(date, days, now = new Date()) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+    if (!match || !(days > 0)) return false;
+    const noteDate = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+    return noteDate < cutoff;
+}
+
+// What a link to removed audio becomes: timestamp links keep their time in the same
+// bold form as transcripts without audio, other links keep their text
+function unlinkedText(linkpath, alias) {
+    if (alias && TIMESTAMP_LABEL.test(alias)) return `**[${alias}]**`;
+    return alias || linkpath;
+}
+
+// resolve(linkpath) decides per wikilink: undefined leaves it alone, null removes the
+// audio (embeds vanish, links become plain text), and a path points it at that file.
+// Lines that held nothing but a removed embed are dropped with their blank line, and
+// so are list items of just a removed link.
+function rewriteAudioLinks(content, resolve) {
+    const lines = content.split('\n');
+    const result = [];
+
+    lines.forEach((line, index) => {
+        let removed = false;
+        const rewritten = line.replace(WIKILINK, (original, embed, linkpath, subpath, alias) => {
+            const target = resolve(linkpath.trim());
+            if (target === undefined) return original;
+            if (target === null) {
+                removed = true;
+                return embed ? '' : unlinkedText(linkpath, alias);
+            }
+            return `${embed}[[${target}${subpath || ''}${alias !== undefined ? '|' + alias : ''}]]`;
+        });
+
+        if (removed && LINK_LIST_ITEM.test(line)) return;
+        if (line.trim() && !rewritten.trim()) {
+            // Removing "\n\n![[audio]]\n\n" should leave a single blank line
+            const previousBlank = result.length > 0 && !result[result.length - 1].trim();
+            const nextBlank = index + 1 < lines.length && !lines[index + 1].trim();
+            if (previousBlank && nextBlank) result.pop();
+            return;
+        }
+        result.push(rewritten);
+    });
+
+    return result.join('\n');
+}
+
+// Notes written before the `recordings` list existed are recognised by how the plugin
+// named their audio: the note's name, " - Part 2" for later parts, " (2)" if it was taken
+function isNamedRecording(audioBasename, noteBasename) {
+    const escaped = noteBasename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped}(?: - Part \\d+)?(?: \\(\\d+\\))?$`).test(audioBasename);
+}
+
+// Link paths of the `recordings` frontmatter list, which holds "[[path]]" strings
+function recordingLinks(value) {
+    const links = [];
+    [].concat(value || []).forEach(item => {
+        String(item).replace(WIKILINK, (original, embed, linkpath) => {
+            links.push(linkpath.trim());
+            return original;
+        });
+    });
+    return links;
+}
+
+module.exports = {
+    isExpired,
+    isNamedRecording,
+    recordingLinks,
+    rewriteAudioLinks
+};
@@ -0,0 +1,512 @@
+// Reads iCalendar (.ics) files and lists the events happening in a time window.
+//
+// Times are handled as "wall" milliseconds (the clock reading in the event's zone,
+// stored as if it were UTC) until the very end, so recurrence rules step through
+// local days and "every Monday at 10:00" stays at 10:00 across daylight saving changes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook and Exchange export Windows zone names
+const WINDOWS_ZONES = {
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'Romance Standard Time': 'Europe/Paris',
+    'GMT Standard Time': 'Europe/London',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'India Standard Time': 'Asia/Kolkata',
+    'China Standard Time': 'Asia/Shanghai',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'UTC': 'UTC'
+};
+
+// Stops runaway rules (e.g. a minutely rule from 1990) from freezing Obsidian
+const MAX_PERIODS = 50000;
+
+// --- Lines and properties ---
+
+// Long lines are folded onto continuation lines starting with a space or tab
+function unfoldLines(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([nN,;\\])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// "DTSTART;TZID=Europe/Berlin:20251003T100000" -> { name, params: { TZID }, value }
+function parseProperty(line) {
+    let index = 0;
+    let inQuotes = false;
+    while (index < line.length) {
+        const char = line[index];
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === ':' && !inQuotes) break;
+        index++;
+    }
+    if (index >= line.length) return null;
+
+    const head = line.substring(0, index);
+    const value = line.substring(index + 1);
+    const parts = head.match(/(?:[^;"]|"[^"]*")+/g) || [];
+    const params = {};
+    parts.slice(1).forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator === -1) return;
+        params[part.substring(0, separator).toUpperCase()] = part.substring(separator + 1).replace(/^"|"$/g, '');
+    });
+    return { name: (parts[0] || '').toUpperCase(), params, value };
+}
+
+// --- Dates ---
+
+// "20251003" or "20251003T100000[Z]" -> { wall, allDay, utc }
+function parseDateValue(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second, utc] = match;
+    return {
+        wall: Date.UTC(+year, +month - 1, +day, +(hour || 0), +(minute || 0), +(second || 0)),
+        allDay: hour === undefined,
+        utc: Boolean(utc)
+    };
+}
+
+// "PT1H30M", "P1D", "-PT15M" -> milliseconds
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((+(weeks || 0) * 7 + +(days || 0)) * 24 * 3600 + +(hours || 0) * 3600 + +(minutes || 0) * 60 + +(seconds || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+function parseOffset(value) {
+    const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec((value || '').trim());
+    if (!match) return 0;
+    const ms = (+match[2] * 3600 + +match[3] * 60 + +(match[4] || 0)) * 1000;
+    return match[1] === '-' ? -ms : ms;
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function timeOfDay(wall) {
+    return ((wall % DAY_MS) + DAY_MS) % DAY_MS;
+}
+
+// --- Time zones ---
+// A zone is a function from a UTC instant to the zone's offset at that instant.
+
+const localZone = (utcMs) => -new Date(utcMs).getTimezoneOffset() * 60000;
+const utcZone = () => 0;
+
+function ianaZone(name) {
+    let formatter;
+    try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: name,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    } catch (error) {
+        return null;
+    }
+    return (utcMs) => {
+        const parts = {};
+        formatter.formatToParts(new Date(utcMs)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+        return wall - Math.floor(utcMs / 1000) * 1000;
+    };
+}
+
+// Offsets from a VTIMEZONE block: the STANDARD/DAYLIGHT observance with the latest
+// onset before the instant wins
+function vtimezoneZone(observances) {
+    return (utcMs) => {
+        const year = new Date(utcMs).getUTCFullYear();
+        const windowEnd = Date.UTC(year + 1, 0, 1);
+        let best = null;
+        observances.forEach(observance => {
+            const onsets = observance.rrule
+                ? expandRule(observance.start, observance.rrule, Date.UTC(year - 1, 0, 1), windowEnd, null)
+                : [observance.start];
+            onsets.forEach(onset => {
+                const onsetUtc = onset - observance.offsetFrom;
+                if (onsetUtc <= utcMs && (!best || onsetUtc > best.onsetUtc)) {
+                    best = { onsetUtc, offset: observance.offsetTo };
+                }
+            });
+        });
+        if (best) return best.offset;
+        // Before the first onset: the earliest observance's "from" offset
+        return observances.length > 0 ? observances[0].offsetFrom : 0;
+    };
+}
+
+// TZIDs come as IANA names, Windows names, or prefixed like "/mozilla.org/20050126_1/Europe/Berlin"
+function resolveZone(tzid, definitions) {
+    if (!tzid) return localZone;
+    const name = tzid.trim();
+    const segments = name.split('/').filter(part => part);
+    for (let i = 0; i < segments.length; i++) {
+        const zone = ianaZone(segments.slice(i).join('/'));
+        if (zone) return zone;
+    }
+    if (WINDOWS_ZONES[name]) {
+        const zone = ianaZone(WINDOWS_ZONES[name]);
+        if (zone) return zone;
+    }
+    if (definitions[name] && definitions[name].length > 0) {
+        return vtimezoneZone(definitions[name]);
+    }
+    return localZone;
+}
+
+// Wall clock reading in `zone` -> UTC instant. Times skipped by a DST change move forward.
+function wallToUtc(wall, zone) {
+    const guess = wall - zone(wall);
+    return wall - zone(guess);
+}
+
+// --- Recurrence rules ---
+
+// "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20251231T000000Z" -> object
+function parseRule(value) {
+    const rule = { interval: 1 };
+    value.split(';').forEach(part => {
+        const [key, raw] = part.split('=');
+        if (!raw) return;
+        switch (key.toUpperCase()) {
+            case 'FREQ': rule.freq = raw.toUpperCase(); break;
+            case 'INTERVAL': rule.interval = Math.max(1, parseInt(raw, 10) || 1); break;
+            case 'COUNT': rule.count = parseInt(raw, 10); break;
+            case 'UNTIL': rule.until = parseDateValue(raw); break;
+            case 'WKST': rule.wkst = WEEKDAY_CODES.indexOf(raw.toUpperCase()); break;
+            case 'BYDAY':
+                rule.byDay = raw.split(',').map(day => {
+                    const match = /^([+-]?\d+)?([A-Z]{2})$/i.exec(day.trim());
+                    return match ? { ordinal: match[1] ? parseInt(match[1], 10) : 0, weekday: WEEKDAY_CODES.indexOf(match[2].toUpperCase()) } : null;
+                }).filter(day => day && day.weekday !== -1);
+                break;
+            case 'BYMONTHDAY': rule.byMonthDay = raw.split(',').map(Number).filter(Boolean); break;
+            case 'BYMONTH': rule.byMonth = raw.split(',').map(Number).filter(Boolean); break;
+            case 'BYSETPOS': rule.bySetPos = raw.split(',').map(Number).filter(Boolean); break;
+        }
+    });
+    return rule.freq ? rule : null;
+}
+
+// Days (as wall ms at 00:00) of a month that match the rule's BYMONTHDAY/BYDAY
+function monthDays(year, month, rule, startDay) {
+    const count = daysInMonth(year, month);
+    const dayWall = (day) => Date.UTC(year, month, day);
+    let days;
+
+    if (rule.byMonthDay) {
+        days = rule.byMonthDay
+            .map(day => (day < 0 ? count + day + 1 : day))
+            .filter(day => day >= 1 && day <= count);
+        if (rule.byDay) {
+            const weekdays = rule.byDay.map(day => day.weekday);
+            days = days.filter(day => weekdays.includes(new Date(dayWall(day)).getUTCDay()));
+        }
+    } else if (rule.byDay) {
+        days = [];
+        rule.byDay.forEach(({ ordinal, weekday }) => {
+            const matching = [];
+            for (let day = 1; day <= count; day++) {
+                if (new Date(dayWall(day)).getUTCDay() === weekday) matching.push(day);
+            }
+            if (ordinal > 0) days.push(matching[ordinal - 1]);
+            else if (ordinal < 0) days.push(matching[matching.length + ordinal]);
+            else days.push(...matching);
+        });
+        days = days.filter(day => day !== undefined);
+    } else {
+        // "Monthly on the 31st" skips shorter months
+        days = startDay <= count ? [startDay] : [];
+    }
+
+    return Array.from(new Set(days)).sort((a, b) => a - b).map(dayWall);
+}
+
+// Candidate days of the n-th period (day, week, month or year) after the start
+function periodDays(start, rule, period) {
+    const startDate = new Date(start);
+    const step = period * rule.interval;
+
+    switch (rule.freq) {
+        case 'DAILY':
+            return [Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate() + step)];
+        case 'WEEKLY': {
+            const weekStart = rule.wkst === undefined || rule.wkst === -1 ? 1 : rule.wkst;
+            const offset = (startDate.getUTCDay() - weekStart + 7) % 7;
+            const firstDay = Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate() - offset + step * 7);
+            const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [startDate.getUTCDay()];
+            return weekdays
+                .map(weekday => firstDay + ((weekday - weekStart + 7) % 7) * DAY_MS)
+                .sort((a, b) => a - b);
+        }
+        case 'MONTHLY': {
+            const month = startDate.getUTCMonth() + step;
+            return monthDays(startDate.getUTCFullYear() + Math.floor(month / 12), month % 12, rule, startDate.getUTCDate());
+        }
+        case 'YEARLY': {
+            const year = startDate.getUTCFullYear() + step;
+            const months = rule.byMonth ? rule.byMonth.map(month => month - 1) : [startDate.getUTCMonth()];
+            const days = [];
+            months.sort((a, b) => a - b).forEach(month => days.push(...monthDays(year, month, rule, startDate.getUTCDate())));
+            return days;
+        }
+        default:
+            return [];
+    }
+}
+
+// Occurrence start times (wall ms) of a rule, from `start` up to `windowEnd`.
+// `untilWall` is the rule's UNTIL converted to the event's wall clock, if any.
+function expandRule(start, rule, windowStart, windowEnd, untilWall) {
+    const occurrences = [];
+    const time = timeOfDay(start);
+    const until = untilWall !== null && untilWall !== undefined
+        ? untilWall
+        : (rule.until ? rule.until.wall + (rule.until.allDay ? DAY_MS - 1 : 0) : Infinity);
+    let emitted = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        let days = periodDays(start, rule, period);
+        if (rule.byMonth && rule.freq !== 'YEARLY') {
+            days = days.filter(day => rule.byMonth.includes(new Date(day).getUTCMonth() + 1));
+        }
+        if (rule.byDay && rule.freq === 'DAILY') {
+            const weekdays = rule.byDay.map(day => day.weekday);
+            days = days.filter(day => weekdays.includes(new Date(day).getUTCDay()));
+        }
+        if (rule.bySetPos) {
+            days = rule.bySetPos
+                .map(position => days[position > 0 ? position - 1 : days.length + position])
+                .filter(day => day !== undefined)
+                .sort((a, b) => a - b);
+        }
+
+        for (const day of days) {
+            const occurrence = day + time;
+            if (occurrence < start) continue;
+            if (occurrence > until || occurrence > windowEnd) return occurrences;
+            if (rule.count && emitted >= rule.count) return occurrences;
+            emitted++;
+            if (occurrence >= windowStart) occurrences.push(occurrence);
+        }
+
+        // A period with no candidate days can't tell us we're past the window, so check the period start
+        if (days.length === 0 && periodDays(start, { freq: rule.freq, interval: rule.interval }, period)[0] > windowEnd) {
+            return occurrences;
+        }
+    }
+    return occurrences;
+}
+
+// --- Calendar ---
+
+// Attendee names: CN if given, else the part of the address before the @. Rooms are left out.
+function attendeeName(property) {
+    if (/^(ROOM|RESOURCE)$/i.test(property.params.CUTYPE || '')) return null;
+    if (property.params.CN) return property.params.CN.trim();
+    const address = property.value.replace(/^mailto:/i, '').trim();
+    return address ? address.split('@')[0] : null;
+}
+
+// Returns the VEVENTs of one .ics file, each with a `zone` for its start time
+function parseCalendar(text) {
+    const lines = unfoldLines(text);
+    const definitions = {};
+    const rawEvents = [];
+    const stack = [];
+    let event = null;
+    let timezone = null;
+    let observance = null;
+
+    lines.forEach(line => {
+        if (!line.trim()) return;
+        const property = parseProperty(line);
+        if (!property) return;
+        const { name, params, value } = property;
+
+        if (name === 'BEGIN') {
+            const component = value.trim().toUpperCase();
+            stack.push(component);
+            if (component === 'VEVENT') event = { properties: [] };
+            if (component === 'VTIMEZONE') timezone = { id: null, observances: [] };
+            if ((component === 'STANDARD' || component === 'DAYLIGHT') && timezone) observance = {};
+            return;
+        }
+        if (name === 'END') {
+            const component = stack.pop();
+            if (component === 'VEVENT' && event) {
+                rawEvents.push(event);
+                event = null;
+            }
+            if (component === 'VTIMEZONE' && timezone) {
+                if (timezone.id) definitions[timezone.id] = timezone.observances;
+                timezone = null;
+            }
+            if ((component === 'STANDARD' || component === 'DAYLIGHT') && observance && timezone) {
+                if (observance.start !== undefined) timezone.observances.push(observance);
+                observance = null;
+            }
+            return;
+        }
+
+        const current = stack[stack.length - 1];
+        if (current === 'VEVENT' && event) {
+            event.properties.push(property);
+        } else if (current === 'VTIMEZONE' && timezone && name === 'TZID') {
+            timezone.id = value.trim();
+        } else if ((current === 'STANDARD' || current === 'DAYLIGHT') && observance) {
+            if (name === 'DTSTART') {
+                const date = parseDateValue(value);
+                if (date) observance.start = date.wall;
+            }
+            if (name === 'TZOFFSETFROM') observance.offsetFrom = parseOffset(value);
+            if (name === 'TZOFFSETTO') observance.offsetTo = parseOffset(value);
+            if (name === 'RRULE') observance.rrule = parseRule(value);
+        }
+    });
+
+    Object.values(definitions).forEach(observances => {
+        observances.sort((a, b) => a.start - b.start);
+    });
+
+    const zoneFor = (params, date) => (date.utc ? utcZone : (date.allDay ? localZone : resolveZone(params.TZID, definitions)));
+
+    return rawEvents.map(({ properties }) => {
+        const get = (propertyName) => properties.find(property => property.name === propertyName);
+        const dtstart = get('DTSTART');
+        const start = dtstart ? parseDateValue(dtstart.value) : null;
+        if (!start) return null;
+
+        const zone = zoneFor(dtstart.params, start);
+        const dtend = get('DTEND');
+        const end = dtend ? parseDateValue(dtend.value) : null;
+        const durationProperty = get('DURATION');
+        let duration = start.allDay ? DAY_MS : 0;
+        if (end) {
+            // DTEND may be in another zone than DTSTART
+            duration = wallToUtc(end.wall, zoneFor(dtend.params, end)) - wallToUtc(start.wall, zone);
+        } else if (durationProperty) {
+            duration = parseDuration(durationProperty.value) || 0;
+        }
+
+        const toUtc = (property) => {
+            const date = parseDateValue(property.value);
+            return date ? wallToUtc(date.wall, zoneFor(property.params, date)) : null;
+        };
+        const exdates = [];
+        properties.filter(property => property.name === 'EXDATE').forEach(property => {
+            property.value.split(',').forEach(value => {
+                const date = parseDateValue(value);
+                if (date) exdates.push(wallToUtc(date.wall, zoneFor(property.params, date)));
+            });
+        });
+        const recurrenceId = get('RECURRENCE-ID');
+        const rrule = get('RRULE');
+        const text = (propertyName) => (get(propertyName) ? unescapeText(get(propertyName).value).trim() : '');
+
+        const attendees = [];
+        properties
+            .filter(property => property.name === 'ORGANIZER' || property.name === 'ATTENDEE')
+            .forEach(property => {
+                const attendee = attendeeName(property);
+                if (attendee && !attendees.includes(attendee)) attendees.push(attendee);
+            });
+
+        return {
+            uid: text('UID'),
+            summary: text('SUMMARY'),
+            description: text('DESCRIPTION'),
+            location: text('LOCATION'),
+            status: text('STATUS').toUpperCase(),
+            allDay: start.allDay,
+            start: start.wall,
+            zone: zone,
+            duration: Math.max(0, duration),
+            rrule: rrule ? parseRule(rrule.value) : null,
+            exdates: exdates,
+            recurrenceId: recurrenceId ? toUtc(recurrenceId) : null,
+            attendees: attendees
+        };
+    }).filter(parsed => parsed);
+}
+
+// Event occurrences overlapping [from, to] (Dates), sorted by start. Recurring events
+// are expanded, moved or cancelled instances (RECURRENCE-ID) and EXDATEs respected.
+function eventsBetween(events, from, to) {
+    const fromMs = from.getTime();
+    const toMs = to.getTime();
+    const overrides = new Map();
+    events.filter(event => event.recurrenceId !== null).forEach(event => {
+        overrides.set(`${event.uid}|${event.recurrenceId}`, event);
+    });
+
+    const occurrences = [];
+    const seen = new Set();
+    const add = (event, startUtc) => {
+        const key = `${event.uid}|${startUtc}`;
+        if (seen.has(key) || event.status === 'CANCELLED') return;
+        if (startUtc > toMs || startUtc + event.duration <= fromMs) return;
+        seen.add(key);
+        occurrences.push({
+            uid: event.uid,
+            title: event.summary,
+            description: event.description,
+            location: event.location,
+            allDay: event.allDay,
+            start: new Date(startUtc),
+            end: new Date(startUtc + event.duration),
+            attendees: event.attendees
+        });
+    };
+
+    events.forEach(event => {
+        if (event.recurrenceId !== null || !event.rrule) {
+            add(event, wallToUtc(event.start, event.zone));
+            return;
+        }
+
+        // Wall-clock window with a day of slack for zone offsets and long events
+        const windowStart = fromMs + event.zone(fromMs) - event.duration - DAY_MS;
+        const windowEnd = toMs + event.zone(toMs) + DAY_MS;
+        const until = event.rrule.until;
+        const untilWall = until && until.utc ? until.wall + event.zone(until.wall) : null;
+
+        expandRule(event.start, event.rrule, windowStart, windowEnd, untilWall).forEach(wall => {
+            const startUtc = wallToUtc(wall, event.zone);
+            if (event.exdates.includes(startUtc)) return;
+            // Moved or cancelled instances were added (or not) as events of their own
+            if (overrides.has(`${event.uid}|${startUtc}`)) return;
+            add(event, startUtc);
+        });
+    });
+
+    return occurrences.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    parseCalendar,
+    eventsBetween,
+    parseRule,
+    expandRule
+};
@@ -0,0 +1,344 @@
+const fs = require('fs');
+
+// Lightweight speaker separation: every transcript segment gets a spectral
+// "voice print" (mean and spread of log mel band energies), and segments are
+// grouped by agglomerative clustering. It runs fully offline on the 16 kHz WAV
+// produced by AudioConverter and needs no extra model.
+
+const FRAME_SIZE = 512;
+const HOP_SIZE = 320; // 20 ms at 16 kHz
+const MEL_BANDS = 20;
+const MAX_FRAMES_PER_SEGMENT = 60;
+const MIN_SEGMENT_SECONDS = 0.6;
+const DEFAULT_THRESHOLD = 0.6;
+
+function readWav(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let offset = 12;
+    let sampleRate = 16000;
+    let numChannels = 1;
+
+    while (offset + 8 <= view.byteLength) {
+        const id = String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+        const size = view.getUint32(offset + 4, true);
+
+        if (id === 'fmt ') {
+            numChannels = view.getUint16(offset + 10, true);
+            sampleRate = view.getUint32(offset + 12, true);
+        } else if (id === 'data') {
+            const frameCount = Math.floor(Math.min(size, view.byteLength - offset - 8) / (2 * numChannels));
+            const samples = new Float32Array(frameCount);
+            for (let i = 0; i < frameCount; i++) {
+                samples[i] = view.getInt16(offset + 8 + i * 2 * numChannels, true) / 0x8000;
+            }
+            return { samples, sampleRate };
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    throw new Error('Invalid WAV file: no data chunk');
+}
+
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = -2 * Math.PI / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let i = 0; i < n; i += len) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const aRe = re[i + k];
+                const aIm = im[i + k];
+                const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+                const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+                re[i + k] = aRe + bRe;
+                im[i + k] = aIm + bIm;
+                re[i + k + len / 2] = aRe - bRe;
+                im[i + k + len / 2] = aIm - bIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+function buildMelFilters(sampleRate) {
+    const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+    const fromMel = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+    const minMel = toMel(80);
+    const maxMel = toMel(Math.min(7600, sampleRate / 2));
+    const bins = [];
+
+    for (let i = 0; i < MEL_BANDS + 2; i++) {
+        const hz = fromMel(minMel + (maxMel - minMel) * i / (MEL_BANDS + 1));
+        bins.push(Math.floor((FRAME_SIZE + 1) * hz / sampleRate));
+    }
+
+    const filters = [];
+    for (let b = 1; b <= MEL_BANDS; b++) {
+        filters.push({ from: bins[b - 1], center: bins[b], to: Math.max(bins[b + 1], bins[b] + 1) });
+    }
+    return filters;
+}
+
+function frameBandEnergies(samples, start, window, filters) {
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        re[i] = (samples[start + i] || 0) * window[i];
+    }
+    fft(re, im);
+
+    const energies = new Float64Array(MEL_BANDS);
+    filters.forEach((filter, band) => {
+        let sum = 0;
+        for (let k = filter.from; k < filter.to; k++) {
+            const weight = k < filter.center
+                ? (k - filter.from) / Math.max(1, filter.center - filter.from)
+                : (filter.to - k) / Math.max(1, filter.to - filter.center);
+            sum += weight * (re[k] * re[k] + im[k] * im[k]);
+        }
+        energies[band] = Math.log(sum + 1e-10);
+    });
+    return energies;
+}
+
+function segmentFeatures(samples, sampleRate, segment, window, filters) {
+    const from = Math.floor(segment.start * sampleRate);
+    const to = Math.min(samples.length - FRAME_SIZE, Math.floor(segment.end * sampleRate));
+    const available = Math.floor((to - from) / HOP_SIZE);
+    if (available <= 0 || segment.end - segment.start < MIN_SEGMENT_SECONDS) {
+        return null;
+    }
+
+    const step = Math.max(1, Math.floor(available / MAX_FRAMES_PER_SEGMENT));
+    const sum = new Float64Array(MEL_BANDS);
+    const sumSquares = new Float64Array(MEL_BANDS);
+    let count = 0;
+
+    for (let frame = 0; frame < available; frame += step) {
+        const energies = frameBandEnergies(samples, from + frame * HOP_SIZE, window, filters);
+        for (let b = 0; b < MEL_BANDS; b++) {
+            sum[b] += energies[b];
+            sumSquares[b] += energies[b] * energies[b];
+        }
+        count++;
+    }
+
+    const features = new Float64Array(MEL_BANDS * 2);
+    for (let b = 0; b < MEL_BANDS; b++) {
+        const mean = sum[b] / count;
+        features[b] = mean;
+        features[MEL_BANDS + b] = Math.sqrt(Math.max(0, sumSquares[b] / count - mean * mean));
+    }
+    return features;
+}
+
+// Removes the overall level from the band means so the same voice speaking louder or
+// further from the microphone still matches; only the spectral shape remains
+function normalizeLevel(features) {
+    let level = 0;
+    for (let b = 0; b < MEL_BANDS; b++) {
+        level += features[b] / MEL_BANDS;
+    }
+    return features.map((x, d) => (d < MEL_BANDS ? x - level : x));
+}
+
+// Root-mean-square difference in log energy (nats) per feature dimension
+function featureDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - b[i]) * (a[i] - b[i]);
+    }
+    return Math.sqrt(sum / a.length);
+}
+
+// Lets Obsidian handle input between batches of merges
+function nextTick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Average-linkage agglomerative clustering on cluster centroids. Merging stops once
+// the closest pair is further apart than the threshold and no more than
+// maxSpeakers clusters remain. Pair distances are kept in a matrix with each
+// cluster's nearest neighbour, so a merge only recomputes the merged cluster's row
+// and the rows that pointed at it: O(n²) overall instead of a full scan per merge.
+async function clusterVectors(vectors, maxSpeakers, threshold) {
+    const n = vectors.length;
+    const centroids = vectors.map(vector => Float64Array.from(vector));
+    const members = vectors.map((_, index) => [index]);
+    const active = vectors.map((_, index) => index);
+    const distances = new Float64Array(n * n);
+    const nearest = new Int32Array(n).fill(-1);
+    const nearestDistance = new Float64Array(n).fill(Infinity);
+
+    const findNearest = (i) => {
+        nearest[i] = -1;
+        nearestDistance[i] = Infinity;
+        active.forEach(k => {
+            if (k !== i && distances[i * n + k] < nearestDistance[i]) {
+                nearest[i] = k;
+                nearestDistance[i] = distances[i * n + k];
+            }
+        });
+    };
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const distance = featureDistance(centroids[i], centroids[j]);
+            distances[i * n + j] = distance;
+            distances[j * n + i] = distance;
+        }
+    }
+    active.forEach(findNearest);
+
+    let merges = 0;
+    while (active.length > 1) {
+        let i = active[0];
+        active.forEach(k => {
+            if (nearestDistance[k] < nearestDistance[i]) i = k;
+        });
+        const j = nearest[i];
+
+        const tooMany = maxSpeakers > 0 && active.length > maxSpeakers;
+        if (!tooMany && nearestDistance[i] > threshold) {
+            break;
+        }
+
+        // j is merged into i
+        const total = members[i].length + members[j].length;
+        centroids[i] = centroids[i].map((x, d) => (x * members[i].length + centroids[j][d] * members[j].length) / total);
+        members[i] = members[i].concat(members[j]);
+        active.splice(active.indexOf(j), 1);
+
+        active.forEach(k => {
+            if (k === i) return;
+            const distance = featureDistance(centroids[i], centroids[k]);
+            distances[i * n + k] = distance;
+            distances[k * n + i] = distance;
+        });
+        findNearest(i);
+        active.forEach(k => {
+            if (k === i) return;
+            if (nearest[k] === i || nearest[k] === j) {
+                findNearest(k);
+            } else if (distances[k * n + i] < nearestDistance[k]) {
+                nearest[k] = i;
+                nearestDistance[k] = distances[k * n + i];
+            }
+        });
+
+        if (++merges % 50 === 0) {
+            await nextTick();
+        }
+    }
+
+    const labels = new Array(n);
+    active.forEach((cluster, clusterIndex) => {
+        members[cluster].forEach(member => { labels[member] = clusterIndex; });
+    });
+    return labels;
+}
+
+// Returns a copy of the segments with a `speaker` label ("Speaker 1", "Speaker 2", ...)
+// numbered in order of first appearance. Segments too short to fingerprint inherit
+// the label of the preceding segment.
+//
+// `parts` lists one 16 kHz WAV per recording part as { wavPath, offset }, offset being
+// where that part starts in the meeting. Segments use meeting time and name their
+// part in `segment.part`, so speakers are matched across all parts of a meeting.
+async function diarize(parts, segments, options = {}) {
+    if (segments.length === 0) {
+        return [];
+    }
+
+    const window = new Float64Array(FRAME_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+    const features = new Array(segments.length).fill(null);
+
+    // Parts are read one at a time to keep long meetings out of memory
+    parts.forEach((part, partIndex) => {
+        const { samples, sampleRate } = readWav(fs.readFileSync(part.wavPath));
+        const filters = buildMelFilters(sampleRate);
+
+        segments.forEach((segment, index) => {
+            if ((segment.part || 0) !== partIndex) return;
+            const local = { start: segment.start - part.offset, end: segment.end - part.offset };
+            features[index] = segmentFeatures(samples, sampleRate, local, window, filters);
+        });
+    });
+
+    const indexed = features.map((vector, index) => ({ vector, index })).filter(entry => entry.vector);
+
+    const labels = new Array(segments.length).fill(null);
+    if (indexed.length > 1) {
+        const clusterLabels = await clusterVectors(
+            indexed.map(entry => normalizeLevel(entry.vector)),
+            options.maxSpeakers || 0,
+            options.threshold || DEFAULT_THRESHOLD
+        );
+        indexed.forEach((entry, i) => { labels[entry.index] = clusterLabels[i]; });
+    } else if (indexed.length === 1) {
+        labels[indexed[0].index] = 0;
+    }
+
+    const names = new Map();
+    let previous = null;
+    return segments.map((segment, index) => {
+        let label = labels[index];
+        if (label === null) {
+            label = previous !== null ? previous : labels.find(l => l !== null);
+        }
+        previous = label;
+
+        if (label === null || label === undefined) {
+            return Object.assign({}, segment, { speaker: 'Speaker 1' });
+        }
+        if (!names.has(label)) {
+            names.set(label, `Speaker ${names.size + 1}`);
+        }
+        return Object.assign({}, segment, { speaker: names.get(label) });
+    });
+}
+
+function listSpeakers(segments) {
+    const speakers = [];
+    segments.forEach(segment => {
+        if (segment.speaker && !speakers.includes(segment.speaker)) {
+            speakers.push(segment.speaker);
+        }
+    });
+    return speakers;
+}
+
+function applySpeakerNames(segments, mapping) {
+    return segments.map(segment => Object.assign({}, segment, {
+        speaker: segment.speaker ? (mapping[segment.speaker] || segment.speaker) : segment.speaker
+    }));
+}
+
+module.exports = {
+    readWav,
+    diarize,
+    listSpeakers,
+    applySpeakerNames
+};
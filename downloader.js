@@ -1,106 +1,308 @@
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { cancelledError } = require('./http-request.js');
 
-const MODEL_URLS = {
-    'tiny': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.bin',
-    'tiny.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.en.bin',
-    'base': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.bin',
-    'base.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.en.bin',
-    'small': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small.bin',
-    'small.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small.en.bin',
-    'medium': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-medium.bin',
-    'medium.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-medium.en.bin',
-    'large-v1': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-large-v1.bin',
-    'large-v2': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-large-v2.bin',
-    'large-v3': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-large-v3.bin'
-};
+const MODEL_BASE_URL = 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main';
+
+// The ggml models published with whisper.cpp, with the SHA-1 listed there
+const BUILTIN_MODELS = [
+    { id: 'tiny', name: 'Tiny (~75 MB)', desc: 'Fastest, basic quality', sha: 'bd577a113a864445d4c299885e0cb97d4ba92b5f' },
+    { id: 'tiny.en', name: 'Tiny English (~75 MB)', desc: 'Fastest, English only', sha: 'c78c86eb1a8faa21b369bcd33207cc90d64ae9df' },
+    { id: 'base', name: 'Base (~142 MB)', desc: 'Recommended - good balance', sha: '465707469ff3a37a2b9b8d8f89f2f99de7299dac' },
+    { id: 'base.en', name: 'Base English (~142 MB)', desc: 'Good balance, English only', sha: '137c40403d78fd54d454da0f9bd998f78703390c' },
+    { id: 'small', name: 'Small (~466 MB)', desc: 'High quality', sha: '55356645c2b361a969dfd0ef2c5a50d530afd8d5' },
+    { id: 'small.en', name: 'Small English (~466 MB)', desc: 'High quality, English only', sha: 'db8a495a91d927739e50b3fc1cc4c6b8f6c2d022' },
+    { id: 'medium', name: 'Medium (~1.5 GB)', desc: 'Very high quality', sha: 'fd9727b6e1217c2f614f9b698455c4ffd82463b4' },
+    { id: 'medium.en', name: 'Medium English (~1.5 GB)', desc: 'Very high quality, English only', sha: '8c30f0e44ce9560643ebd10bbe50cd20eafd3723' },
+    { id: 'large-v1', name: 'Large v1 (~2.9 GB)', desc: 'Best quality, slowest', sha: 'b1caaf735c4cc1429223d5a74f0f4d0b9b59a299' },
+    { id: 'large-v2', name: 'Large v2 (~2.9 GB)', desc: 'Best quality, slowest', sha: '0f4c8e34f21cf1a914c59d8b3ce882345ad349d6' },
+    { id: 'large-v3', name: 'Large v3 (~2.9 GB)', desc: 'Best quality, slowest', sha: 'ad82bf6a9043ceed055076d0fd39f5f186ff8062' }
+].map(model => Object.assign({ url: `${MODEL_BASE_URL}/ggml-${model.id}.bin` }, model));
+
+const MAX_REDIRECTS = 5;
+
+// A 40 character hash is SHA-1, 64 characters SHA-256
+function hashAlgorithm(sha) {
+    if (/^[0-9a-f]{40}$/i.test(sha)) return 'sha1';
+    if (/^[0-9a-f]{64}$/i.test(sha)) return 'sha256';
+    return null;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// "My fine-tuned (q5)" -> "custom-my-fine-tuned-q5"
+function customModelId(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, '');
+    return `custom-${slug || 'model'}`;
+}
+
+function isUrl(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+function hashFile(filePath, algorithm) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
 
+// Built-in whisper models plus the user's custom ones ({ name, source, sha } in the
+// settings, where source is a local .bin file used in place or a URL to download).
+// Downloads go to a .part file that is resumed with an HTTP Range request, checked
+// against the model's hash and only then renamed, so a model file on disk is complete.
 class ModelDownloader {
-    constructor(basePath) {
+    constructor(basePath, customModels = []) {
         this.basePath = basePath;
         this.modelDir = path.join(basePath, 'models');
+        this.customModels = customModels;
 
         if (!fs.existsSync(this.modelDir)) {
             fs.mkdirSync(this.modelDir, { recursive: true });
         }
     }
 
-    isModelDownloaded(modelSize) {
-        const modelPath = path.join(this.modelDir, `ggml-${modelSize}.bin`);
-        return fs.existsSync(modelPath);
+    getModel(modelId) {
+        const builtin = BUILTIN_MODELS.find(model => model.id === modelId);
+        if (builtin) return builtin;
+
+        const custom = this.customModels.find(model => customModelId(model.name) === modelId);
+        if (!custom) return null;
+        return {
+            id: modelId,
+            name: custom.name,
+            desc: custom.source,
+            url: isUrl(custom.source) ? custom.source : null,
+            localPath: isUrl(custom.source) ? null : custom.source,
+            sha: custom.sha || '',
+            custom: true
+        };
+    }
+
+    // Every model with where it stands on disk: size of the finished file, and the
+    // bytes of an interrupted download that can be resumed
+    getModels() {
+        return BUILTIN_MODELS.map(model => model.id)
+            .concat(this.customModels.map(model => customModelId(model.name)))
+            .map(modelId => {
+                const model = this.getModel(modelId);
+                const modelPath = this.getModelPath(modelId);
+                const downloaded = fs.existsSync(modelPath);
+                return Object.assign({}, model, {
+                    path: modelPath,
+                    downloaded,
+                    size: downloaded ? fileSize(modelPath) : 0,
+                    partialSize: model.url ? fileSize(this.getPartPath(modelId)) : 0
+                });
+            });
+    }
+
+    getModelPath(modelId) {
+        const model = this.getModel(modelId);
+        if (model && model.localPath) return model.localPath;
+        return path.join(this.modelDir, `ggml-${modelId}.bin`);
+    }
+
+    getPartPath(modelId) {
+        return path.join(this.modelDir, `ggml-${modelId}.bin.part`);
+    }
+
+    isModelDownloaded(modelId) {
+        return fs.existsSync(this.getModelPath(modelId));
+    }
+
+    getDownloadedModels() {
+        return this.getModels().filter(model => model.downloaded).map(model => model.id);
+    }
+
+    // Bytes used by downloaded models and unfinished downloads in the model folder
+    getDiskUsage() {
+        return fs.readdirSync(this.modelDir)
+            .filter(f => f.startsWith('ggml-'))
+            .reduce((total, f) => total + fileSize(path.join(this.modelDir, f)), 0);
     }
 
-    async downloadModel(modelSize, progressCallback) {
-        const url = MODEL_URLS[modelSize];
-        if (!url) {
-            throw new Error(`Unknown model size: ${modelSize}`);
+    // Resolves with the model path. progressCallback(percent, message) is called as
+    // bytes arrive; aborting `signal` stops the download but keeps the .part file.
+    async downloadModel(modelId, progressCallback, signal = null) {
+        const model = this.getModel(modelId);
+        if (!model) {
+            throw new Error(`Unknown model: ${modelId}`);
+        }
+        if (!model.url) {
+            throw new Error(`Model ${model.name} is a local file and can't be downloaded`);
+        }
+
+        const modelPath = this.getModelPath(modelId);
+        const partPath = this.getPartPath(modelId);
+        const { linkedHash } = await this._downloadFile(model.url, partPath, progressCallback, signal);
+
+        // Hugging Face names the SHA-256 of the file it serves, which covers custom models
+        const expected = (model.sha || linkedHash || '').toLowerCase();
+        const algorithm = hashAlgorithm(expected);
+        if (algorithm) {
+            if (progressCallback) progressCallback(100, 'Verifying checksum...');
+            const actual = await hashFile(partPath, algorithm);
+            if (actual !== expected) {
+                // A resumed download may have mixed two versions of the file: start over next time
+                fs.unlinkSync(partPath);
+                throw new Error(`Checksum mismatch for ${model.name}: expected ${expected}, got ${actual}`);
+            }
+        } else {
+            console.log('Meeting Intelligence: No checksum known for', model.name);
         }
 
-        const modelPath = path.join(this.modelDir, `ggml-${modelSize}.bin`);
+        fs.renameSync(partPath, modelPath);
+        return modelPath;
+    }
+
+    // Checks a downloaded model against its known hash: true, false, or null if unknown
+    async verifyModel(modelId) {
+        const model = this.getModel(modelId);
+        const algorithm = model ? hashAlgorithm(model.sha) : null;
+        if (!algorithm || !this.isModelDownloaded(modelId)) return null;
+        return (await hashFile(this.getModelPath(modelId), algorithm)) === model.sha.toLowerCase();
+    }
+
+    _downloadFile(url, partPath, progressCallback, signal) {
+        if (signal && signal.aborted) return Promise.reject(cancelledError('Download cancelled'));
 
         return new Promise((resolve, reject) => {
-            https.get(url, (response) => {
-                if (response.statusCode === 302 || response.statusCode === 301) {
-                    // Follow redirect
-                    https.get(response.headers.location, (redirectResponse) => {
-                        this._downloadFile(redirectResponse, modelPath, progressCallback, resolve, reject);
-                    }).on('error', reject);
-                } else {
-                    this._downloadFile(response, modelPath, progressCallback, resolve, reject);
-                }
-            }).on('error', reject);
+            let redirects = 0;
+            let linkedHash = '';
+            let currentRequest = null;
+
+            const onAbort = () => {
+                if (currentRequest) currentRequest.destroy();
+                reject(cancelledError('Download cancelled'));
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            const finish = (error) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (error) reject(error);
+                else resolve({ linkedHash });
+            };
+
+            const get = (target) => {
+                const offset = fileSize(partPath);
+                const client = new URL(target).protocol === 'http:' ? http : https;
+                currentRequest = client.get(target, {
+                    headers: offset > 0 ? { Range: `bytes=${offset}-` } : {}
+                }, (response) => {
+                    const status = response.statusCode;
+                    const etag = String(response.headers['x-linked-etag'] || response.headers.etag || '').replace(/^W\/|"/g, '');
+                    if (hashAlgorithm(etag) === 'sha256') linkedHash = etag;
+
+                    if (status >= 300 && status < 400 && response.headers.location) {
+                        response.resume();
+                        if (++redirects > MAX_REDIRECTS) {
+                            finish(new Error('Too many redirects'));
+                            return;
+                        }
+                        get(new URL(response.headers.location, target).toString());
+                        return;
+                    }
+
+                    // The .part file already holds everything
+                    if (status === 416 && offset > 0) {
+                        response.resume();
+                        finish();
+                        return;
+                    }
+
+                    if (status !== 200 && status !== 206) {
+                        response.resume();
+                        finish(new Error(`Server responded with ${status}`));
+                        return;
+                    }
+
+                    // 200 means the server ignored the range, so the file starts over
+                    const resumeFrom = status === 206 ? offset : 0;
+                    this._writeResponse(response, partPath, resumeFrom, progressCallback, finish);
+                });
+                currentRequest.on('error', (error) => {
+                    if (!(signal && signal.aborted)) finish(error);
+                });
+            };
+
+            get(url);
         });
     }
 
-    _downloadFile(response, filePath, progressCallback, resolve, reject) {
-        const totalSize = parseInt(response.headers['content-length'], 10);
-        let downloadedSize = 0;
+    _writeResponse(response, partPath, resumeFrom, progressCallback, finish) {
+        const totalSize = resumeFrom + parseInt(response.headers['content-length'], 10);
+        let downloadedSize = resumeFrom;
+        let failed = false;
 
-        const file = fs.createWriteStream(filePath);
+        const file = fs.createWriteStream(partPath, { flags: resumeFrom > 0 ? 'a' : 'w' });
 
         response.on('data', (chunk) => {
             downloadedSize += chunk.length;
-            file.write(chunk);
 
             if (progressCallback && totalSize > 0) {
                 const progress = (downloadedSize / totalSize) * 100;
-                const downloadedMB = (downloadedSize / 1024 / 1024).toFixed(1);
-                const totalMB = (totalSize / 1024 / 1024).toFixed(1);
-                progressCallback(progress, `${downloadedMB} MB / ${totalMB} MB`);
+                progressCallback(progress, `${formatBytes(downloadedSize)} / ${formatBytes(totalSize)}`);
             }
         });
+        response.pipe(file);
 
-        response.on('end', () => {
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
             file.end();
-            resolve(filePath);
-        });
+            finish(error);
+        };
+        response.on('aborted', () => fail(new Error('Connection lost during download')));
+        response.on('error', fail);
+        file.on('error', fail);
 
-        response.on('error', (err) => {
-            file.end();
-            fs.unlinkSync(filePath);
-            reject(err);
+        file.on('finish', () => {
+            if (failed) return;
+            if (totalSize > 0 && downloadedSize < totalSize) {
+                fail(new Error('Connection lost during download'));
+                return;
+            }
+            finish();
         });
     }
 
-    getDownloadedModels() {
-        if (!fs.existsSync(this.modelDir)) {
-            return [];
-        }
+    deleteModel(modelId) {
+        const model = this.getModel(modelId);
+        // Local custom models belong to the user: only forget them, never delete the file
+        if (model && model.localPath) return false;
 
-        return fs.readdirSync(this.modelDir)
-            .filter(f => f.startsWith('ggml-') && f.endsWith('.bin'))
-            .map(f => f.replace('ggml-', '').replace('.bin', ''));
-    }
-
-    deleteModel(modelSize) {
-        const modelPath = path.join(this.modelDir, `ggml-${modelSize}.bin`);
-        if (fs.existsSync(modelPath)) {
-            fs.unlinkSync(modelPath);
-            return true;
-        }
-        return false;
+        let deleted = false;
+        [this.getModelPath(modelId), this.getPartPath(modelId)].forEach(filePath => {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                deleted = true;
+            }
+        });
+        return deleted;
     }
 }
 
-module.exports = ModelDownloader;
+module.exports = {
+    BUILTIN_MODELS,
+    ModelDownloader,
+    customModelId,
+    formatBytes,
+    isUrl
+};
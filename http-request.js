@@ -0,0 +1,61 @@
+const http = require('http');
+const https = require('https');
+
+function cancelledError(message) {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+// Minimal HTTP(S) request for talking to local servers (whisper, LLMs). Resolves with
+// the response body as text and rejects on network errors, timeouts and non-2xx codes.
+// Aborting `signal` rejects with an AbortError.
+function request(url, { method = 'GET', headers = {}, body = null, timeout = 0, signal = null } = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(cancelledError('Request cancelled'));
+            return;
+        }
+
+        const req = client.request(target, {
+            method: method,
+            headers: Object.assign(body ? { 'Content-Length': body.length } : {}, headers)
+        }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf-8');
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    reject(new Error(`Server responded with ${response.statusCode}: ${text.substring(0, 200)}`));
+                    return;
+                }
+                resolve(text);
+            });
+            response.on('error', reject);
+        });
+
+        if (timeout > 0) {
+            req.setTimeout(timeout, () => {
+                req.destroy(new Error(`Request to ${target.host} timed out after ${Math.round(timeout / 1000)}s`));
+            });
+        }
+
+        if (signal) {
+            const onAbort = () => req.destroy(cancelledError('Request cancelled'));
+            signal.addEventListener('abort', onAbort, { once: true });
+            req.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function joinUrl(base, suffix) {
+    return base.replace(/\/+$/, '') + suffix;
+}
+
+module.exports = { request, joinUrl, cancelledError };
@@ -0,0 +1,195 @@
+const fs = require('fs');
+
+// Transcription jobs that outlive the modal that started them. They run one at a time
+// in the order they were added, and are kept in a JSON file so queued work survives a
+// restart. A job is
+//     { id, status, meeting, source, progress, message, error, notePath, createdAt }
+// with status 'queued', 'running', 'done' or 'failed'. `meeting` and `source` are
+// whatever the runner needs to process it and must be JSON-safe.
+
+// Finished jobs stay listed so their notes can be opened, up to this many
+const MAX_FINISHED_JOBS = 20;
+
+class JobQueue {
+    // run(job, { onProgress(percent, message), signal }) -> Promise of the note path
+    constructor(filePath, run) {
+        this.filePath = filePath;
+        this.run = run;
+        this.jobs = [];
+        this.listeners = new Set();
+        this.current = null;
+        this.started = false;
+        this.stopped = false;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.jobs = JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).jobs || [];
+            }
+        } catch (error) {
+            console.error('Meeting Intelligence: Transcription queue unreadable, starting empty:', error);
+            this.jobs = [];
+        }
+
+        // Jobs that were running when Obsidian closed start over
+        this.jobs.forEach(job => {
+            if (job.status === 'running') {
+                job.status = 'queued';
+                job.progress = 0;
+                job.message = '';
+            }
+        });
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify({ jobs: this.jobs }, null, 2));
+        } catch (error) {
+            console.error('Meeting Intelligence: Failed to save transcription queue:', error);
+        }
+    }
+
+    // listener(job, event) with event 'added', 'progress', 'running', 'done', 'failed'
+    // or 'removed'. Returns a function that unsubscribes.
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(job, event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(job, event);
+            } catch (error) {
+                console.error('Meeting Intelligence: Transcription queue listener failed:', error);
+            }
+        });
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    list() {
+        return this.jobs.slice();
+    }
+
+    // Jobs waiting to run before this one
+    position(id) {
+        const waiting = this.jobs.filter(job => job.status === 'queued');
+        const index = waiting.findIndex(job => job.id === id);
+        return index + (this.current ? 1 : 0);
+    }
+
+    add(meeting, source) {
+        const job = {
+            id: `${Date.now()}-${Math.random().toString(16).slice(2, 6)}`,
+            status: 'queued',
+            meeting: meeting,
+            source: source,
+            progress: 0,
+            message: '',
+            error: '',
+            notePath: '',
+            createdAt: Date.now()
+        };
+        this.jobs.push(job);
+        this.trimFinished();
+        this.save();
+        this.emit(job, 'added');
+        // Started on the next tick, so the caller can attach what the runner needs first
+        Promise.resolve().then(() => this.next());
+        return job;
+    }
+
+    retry(id) {
+        const job = this.get(id);
+        if (!job || job.status !== 'failed') return;
+        // Back of the queue, as if it had just been added
+        this.jobs = this.jobs.filter(other => other !== job).concat([job]);
+        Object.assign(job, { status: 'queued', progress: 0, message: '', error: '' });
+        this.save();
+        this.emit(job, 'added');
+        this.next();
+    }
+
+    // A running job is stopped and a queued one taken out of line; both end up failed,
+    // so they can be retried
+    cancel(id) {
+        const job = this.get(id);
+        if (!job) return;
+        if (this.current && this.current.job === job) {
+            this.current.controller.abort();
+        } else if (job.status === 'queued') {
+            this.finish(job, 'failed', { error: 'Transcription cancelled' });
+        }
+    }
+
+    remove(id) {
+        const job = this.get(id);
+        if (!job || job.status === 'running') return;
+        this.jobs = this.jobs.filter(other => other !== job);
+        this.save();
+        this.emit(job, 'removed');
+    }
+
+    start() {
+        this.started = true;
+        this.next();
+    }
+
+    // Stops the running job without failing it, so it runs again after the next start
+    stop() {
+        this.stopped = true;
+        if (this.current) this.current.controller.abort();
+        this.save();
+    }
+
+    finish(job, status, fields) {
+        Object.assign(job, { status: status }, fields);
+        this.save();
+        this.emit(job, status);
+    }
+
+    trimFinished() {
+        const finished = this.jobs.filter(job => job.status === 'done' || job.status === 'failed');
+        const excess = finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS));
+        this.jobs = this.jobs.filter(job => !excess.includes(job));
+    }
+
+    async next() {
+        if (!this.started || this.stopped || this.current) return;
+        const job = this.jobs.find(candidate => candidate.status === 'queued');
+        if (!job) return;
+
+        const controller = new AbortController();
+        this.current = { job, controller };
+        Object.assign(job, { status: 'running', progress: 0, message: 'Starting...' });
+        this.save();
+        this.emit(job, 'running');
+
+        try {
+            const notePath = await this.run(job, {
+                onProgress: (percent, message) => {
+                    job.progress = percent;
+                    job.message = message || '';
+                    this.emit(job, 'progress');
+                },
+                signal: controller.signal
+            });
+            this.finish(job, 'done', { progress: 100, message: '', notePath: notePath || '' });
+        } catch (error) {
+            if (!this.stopped) {
+                console.error('Meeting Intelligence: Transcription job failed:', error);
+                this.finish(job, 'failed', { message: '', error: error.message });
+            }
+        } finally {
+            this.current = null;
+        }
+
+        this.next();
+    }
+}
+
+module.exports = { JobQueue };
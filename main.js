@@ -1,123 +1,114 @@
-const { Plugin, PluginSettingTab, Setting, Notice, TFile, Modal } = require('obsidian');
-const { exec } = require('child_process');
+const { Plugin, PluginSettingTab, Setting, Notice, TFile, Modal, FuzzySuggestModal, ItemView, getAllTags, getLinkpath, debounce } = require('obsidian');
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
-
-// Audio converter will be loaded lazily to avoid circular dependency
-let AudioConverter = null;
-
-const MODEL_URLS = {
-    'tiny': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.bin',
-    'tiny.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.en.bin',
-    'base': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.bin',
-    'base.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.en.bin',
-    'small': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small.bin',
-    'small.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small.en.bin',
-    'medium': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-medium.bin',
-    'medium.en': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-medium.en.bin',
-    'large-v1': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-large-v1.bin',
-    'large-v2': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-large-v2.bin',
-    'large-v3': 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-large-v3.bin'
-};
-
-class ModelDownloader {
-    constructor(basePath) {
-        this.basePath = basePath;
-        this.modelDir = path.join(basePath, 'models');
-
-        if (!fs.existsSync(this.modelDir)) {
-            fs.mkdirSync(this.modelDir, { recursive: true });
-        }
-    }
-
-    isModelDownloaded(modelSize) {
-        const modelPath = path.join(this.modelDir, `ggml-${modelSize}.bin`);
-        return fs.existsSync(modelPath);
-    }
-
-    async downloadModel(modelSize, progressCallback) {
-        const url = MODEL_URLS[modelSize];
-        if (!url) {
-            throw new Error(`Unknown model size: ${modelSize}`);
-        }
-
-        const modelPath = path.join(this.modelDir, `ggml-${modelSize}.bin`);
-
-        return new Promise((resolve, reject) => {
-            https.get(url, (response) => {
-                if (response.statusCode === 302 || response.statusCode === 301) {
-                    https.get(response.headers.location, (redirectResponse) => {
-                        this._downloadFile(redirectResponse, modelPath, progressCallback, resolve, reject);
-                    }).on('error', reject);
-                } else {
-                    this._downloadFile(response, modelPath, progressCallback, resolve, reject);
-                }
-            }).on('error', reject);
-        });
-    }
 
-    _downloadFile(response, filePath, progressCallback, resolve, reject) {
-        const totalSize = parseInt(response.headers['content-length'], 10);
-        let downloadedSize = 0;
+// Sibling modules (audio-converter.js, transcript.js, ...) are loaded lazily from the
+// plugin folder to avoid circular dependency
+const pluginModules = {};
 
-        const file = fs.createWriteStream(filePath);
-
-        response.on('data', (chunk) => {
-            downloadedSize += chunk.length;
-            file.write(chunk);
-
-            if (progressCallback && totalSize > 0) {
-                const progress = (downloadedSize / totalSize) * 100;
-                const downloadedMB = (downloadedSize / 1024 / 1024).toFixed(1);
-                const totalMB = (totalSize / 1024 / 1024).toFixed(1);
-                progressCallback(progress, `${downloadedMB} MB / ${totalMB} MB`);
-            }
-        });
+function getPluginDir(app) {
+    return app.vault.adapter.basePath + '/.obsidian/plugins/meeting-intelligence';
+}
 
-        response.on('end', () => {
-            file.end();
-            resolve(filePath);
-        });
+function getSessionsDir(app) {
+    return getPluginDir(app) + '/temp/sessions';
+}
 
-        response.on('error', (err) => {
-            file.end();
-            fs.unlinkSync(filePath);
-            reject(err);
-        });
+function loadPluginModule(app, fileName) {
+    if (!pluginModules[fileName]) {
+        pluginModules[fileName] = require(path.join(getPluginDir(app), fileName));
     }
+    return pluginModules[fileName];
+}
 
-    getDownloadedModels() {
-        if (!fs.existsSync(this.modelDir)) {
-            return [];
-        }
-
-        return fs.readdirSync(this.modelDir)
-            .filter(f => f.startsWith('ggml-') && f.endsWith('.bin'))
-            .map(f => f.replace('ggml-', '').replace('.bin', ''));
-    }
+const VIEW_TYPE_ACTION_ITEMS = 'meeting-action-items';
+const VIEW_TYPE_TRANSCRIPTION_QUEUE = 'meeting-transcription-queue';
+
+// Vault files that can be imported and transcribed
+const AUDIO_MIME_TYPES = {
+    'mp3': 'audio/mpeg',
+    'm4a': 'audio/mp4',
+    'wav': 'audio/wav',
+    'ogg': 'audio/ogg',
+    'webm': 'audio/webm',
+    'mp4': 'video/mp4'
+};
 
-    deleteModel(modelSize) {
-        const modelPath = path.join(this.modelDir, `ggml-${modelSize}.bin`);
-        if (fs.existsSync(modelPath)) {
-            fs.unlinkSync(modelPath);
-            return true;
-        }
-        return false;
-    }
-}
+// Long recordings are split at a pause in the conversation, looked for up to this many
+// seconds either side of the split length, and this long at least
+const SPLIT_PAUSE_WINDOW_SECONDS = 60;
+const SPLIT_PAUSE_SECONDS = 0.7;
 
 const DEFAULT_SETTINGS = {
+    transcriptionProvider: 'whisper-cli',
     whisperPath: '/opt/homebrew/opt/whisper-cpp/bin/whisper-cli',
     modelSize: 'base',
+    customModels: [],
+    whisperThreads: 0,
+    whisperBeamSize: 0,
+    whisperPrompt: '',
+    whisperExtraArgs: '',
+    transcriptionTimeoutMinutes: 0,
+    whisperServerUrl: 'http://127.0.0.1:8080',
+    openaiUrl: 'http://127.0.0.1:8000',
+    openaiModel: 'whisper-1',
+    openaiApiKey: '',
     language: 'auto',
     meetingNotesFolder: 'Meetings',
+    noteFileName: '{{date}} - {{title}}',
+    audioLocation: 'note',
+    audioFolder: 'Meetings/Audio',
+    audioFormat: 'original',
+    opusBitrate: 24,
+    audioRetentionDays: 0,
+    audioRetentionAction: 'compress',
+    audioRetentionOnStartup: false,
     attendeesDefault: '',
     autoExtractActionItems: true,
+    actionItemFormat: 'tasks',
+    actionItemTemplate: '{{text}}{{#if owner}} [owner:: {{owner}}]{{/if}} [meeting:: {{source}}]{{#if due}} 📅 {{due}}{{/if}}',
     autoDetectDecisions: true,
     autoLinkNotes: true,
+    relatedNotesThreshold: 0.1,
+    detectSpeakers: true,
+    analysisEnabled: false,
+    analysisUrl: 'http://127.0.0.1:11434',
+    analysisModel: 'llama3.1',
+    analysisApiKey: '',
+    analysisPrompt: '',
+    actionItemsGroupBy: 'owner',
+    templateFolder: 'Templates/Meetings',
+    detectSeries: true,
+    seriesFolder: 'Meetings/Series',
+    peopleFolder: 'People',
+    createPeopleNotes: false,
+    logMeetingsInPeopleNotes: true,
+    calendarSources: '',
+    lastTemplate: '',
+    liveTranscription: true,
+    liveChunkSeconds: 10,
+    splitRecordingMinutes: 60,
     templateEnabled: true,
     micGain: 1.0,
+    // Devices to record from. secondSource is '' (none), 'desktop' or a device id; labels
+    // find the device again when its id changed
+    audioProfiles: [{
+        name: 'Default',
+        microphone: '',
+        microphoneLabel: '',
+        secondSource: '',
+        secondSourceLabel: '',
+        secondSourceGain: 1.0
+    }],
+    audioProfile: 'Default',
+    highPassFrequency: 80,
+    normalizeLoudness: true,
+    targetLoudness: -20,
+    noiseGate: false,
+    noiseGateThreshold: -50,
+    trimSilence: true,
+    silenceTrimSeconds: 2,
+    silenceWarningMinutes: 5,
     micSensitivity: 0.5
 };
 
@@ -130,63 +121,244 @@ class AudioRecorder {
         this.audioContext = null;
         this.analyser = null;
         this.gainNode = null;
+        this.mixNode = null;
         this.volumeInterval = null;
+        this.captureNode = null;
+        this.captureBuffers = [];
+        this.captureLength = 0;
+        this.captureOffset = 0;
+        // Set by the modal to receive raw PCM chunks for live transcription
+        this.onChunk = null;
+        // Set by the modal to spool encoded chunks to disk as they arrive
+        this.onData = null;
+        // Set by the modal to hear how long nothing has been said, ten times a second
+        this.onSilence = null;
+        this.speechDetector = null;
+        this.monitorStartedAt = 0;
+        this.paused = false;
+        this.chunkSeconds = 10;
+        // Set by the modal; the plugin's current audio profile otherwise
+        this.profile = null;
+        this.secondStream = null;
+        this.secondGainNode = null;
+    }
+
+    // The id of a device saved in the profile, found by its label if the id changed.
+    // Returns '' for the default device and null if the device is gone.
+    async findDevice(deviceId, label) {
+        if (!deviceId) return '';
+        const devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'audioinput');
+        const device = devices.find(candidate => candidate.deviceId === deviceId) ||
+            devices.find(candidate => label && candidate.label === label);
+        return device ? device.deviceId : null;
     }
 
     async startRecording() {
+        const profile = this.profile || this.plugin.getAudioProfile();
+
         try {
+            let microphone = await this.findDevice(profile.microphone, profile.microphoneLabel);
+            if (microphone === null) {
+                new Notice(`Microphone "${profile.microphoneLabel || profile.microphone}" not found, recording from the default microphone`);
+                microphone = '';
+            }
+
             this.stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
+                audio: Object.assign({
                     channelCount: 1,
                     sampleRate: 16000,
                     echoCancellation: true,
                     noiseSuppression: true,
                     autoGainControl: false
-                }
+                }, microphone ? { deviceId: { exact: microphone } } : {})
             });
+        } catch (error) {
+            console.error('Microphone error:', error);
+            throw new Error('Microphone access denied');
+        }
 
+        try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             const source = this.audioContext.createMediaStreamSource(this.stream);
 
             this.gainNode = this.audioContext.createGain();
             this.gainNode.gain.value = this.plugin.settings.micGain;
 
+            // Microphone and second source are summed here; everything after it (meter,
+            // recorder, live transcription) hears the mix
+            this.mixNode = this.audioContext.createGain();
+
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
 
             source.connect(this.gainNode);
-            this.gainNode.connect(this.analyser);
+            this.gainNode.connect(this.mixNode);
+            await this.connectSecondSource(profile);
+            this.mixNode.connect(this.analyser);
 
             const destination = this.audioContext.createMediaStreamDestination();
-            this.gainNode.connect(destination);
+            this.mixNode.connect(destination);
 
             this.mediaRecorder = new MediaRecorder(destination.stream);
             this.audioChunks = [];
+            this.paused = false;
 
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
                     this.audioChunks.push(event.data);
+                    if (this.onData) {
+                        this.onData(event.data);
+                    }
                 }
             };
 
+            if (this.onChunk) {
+                this.startLiveCapture();
+            }
+
             this.startVolumeMonitoring();
-            this.mediaRecorder.start();
+            // Emit a chunk every second so it can be spooled to disk right away
+            this.mediaRecorder.start(1000);
 
             return true;
         } catch (error) {
-            console.error('Microphone error:', error);
-            throw new Error('Microphone access denied');
+            console.error('Meeting Intelligence: Failed to start recording:', error);
+            this.stopVolumeMonitoring();
+            this.stopStreams();
+            throw error;
+        }
+    }
+
+    // The other side of a call: a loopback device (BlackHole, VB-Cable, a PulseAudio
+    // monitor) or the desktop audio, mixed in with its own gain. Without it the
+    // recording goes on with the microphone alone.
+    async connectSecondSource(profile) {
+        if (!profile.secondSource) return;
+
+        try {
+            if (profile.secondSource === 'desktop') {
+                // Electron's way to capture what the speakers play; it insists on a video track
+                this.secondStream = await navigator.mediaDevices.getUserMedia({
+                    audio: { mandatory: { chromeMediaSource: 'desktop' } },
+                    video: { mandatory: { chromeMediaSource: 'desktop' } }
+                });
+                this.secondStream.getVideoTracks().forEach(track => track.stop());
+            } else {
+                const device = await this.findDevice(profile.secondSource, profile.secondSourceLabel);
+                if (!device) {
+                    throw new Error(`device "${profile.secondSourceLabel || profile.secondSource}" not found`);
+                }
+                // Processing meant for a microphone would only damage the loopback signal
+                this.secondStream = await navigator.mediaDevices.getUserMedia({
+                    audio: {
+                        deviceId: { exact: device },
+                        echoCancellation: false,
+                        noiseSuppression: false,
+                        autoGainControl: false
+                    }
+                });
+            }
+
+            if (this.secondStream.getAudioTracks().length === 0) {
+                throw new Error('it has no audio');
+            }
+
+            this.secondGainNode = this.audioContext.createGain();
+            this.secondGainNode.gain.value = profile.secondSourceGain;
+            this.audioContext.createMediaStreamSource(this.secondStream).connect(this.secondGainNode);
+            this.secondGainNode.connect(this.mixNode);
+        } catch (error) {
+            console.error('Meeting Intelligence: Second audio source failed:', error);
+            new Notice(`Recording the microphone only, the second audio source could not be captured: ${error.message}`);
+            if (this.secondStream) {
+                this.secondStream.getTracks().forEach(track => track.stop());
+                this.secondStream = null;
+            }
         }
     }
 
+    stopStreams() {
+        [this.stream, this.secondStream].forEach(stream => {
+            if (stream) stream.getTracks().forEach(track => track.stop());
+        });
+        this.stream = null;
+        this.secondStream = null;
+        this.secondGainNode = null;
+    }
+
+    startLiveCapture() {
+        // MediaRecorder chunks are not decodable on their own, so tap the raw
+        // samples from the graph and hand them out every few seconds instead
+        this.captureBuffers = [];
+        this.captureLength = 0;
+        this.captureOffset = 0;
+
+        this.captureNode = this.audioContext.createScriptProcessor(4096, 1, 1);
+        this.captureNode.onaudioprocess = (event) => {
+            // Paused time is not in the recording, so it stays out of the chunks too
+            if (this.paused) return;
+            this.captureBuffers.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+            this.captureLength += event.inputBuffer.length;
+
+            if (this.captureLength >= this.chunkSeconds * this.audioContext.sampleRate) {
+                this.flushLiveCapture();
+            }
+        };
+
+        this.mixNode.connect(this.captureNode);
+        // The processor only runs while connected to an output; it writes silence
+        this.captureNode.connect(this.audioContext.destination);
+    }
+
+    flushLiveCapture() {
+        if (!this.captureNode || this.captureLength === 0) return;
+
+        const samples = new Float32Array(this.captureLength);
+        let position = 0;
+        this.captureBuffers.forEach(buffer => {
+            samples.set(buffer, position);
+            position += buffer.length;
+        });
+
+        const sampleRate = this.audioContext.sampleRate;
+        const chunk = { samples, sampleRate, offset: this.captureOffset };
+
+        this.captureOffset += this.captureLength / sampleRate;
+        this.captureBuffers = [];
+        this.captureLength = 0;
+
+        this.onChunk(chunk);
+    }
+
+    stopLiveCapture() {
+        if (!this.captureNode) return;
+
+        this.flushLiveCapture();
+        this.captureNode.onaudioprocess = null;
+        this.captureNode.disconnect();
+        this.captureNode = null;
+    }
+
     startVolumeMonitoring() {
         try {
             const bufferLength = this.analyser.frequencyBinCount;
             const dataArray = new Uint8Array(bufferLength);
+            const waveform = new Float32Array(this.analyser.fftSize);
+            const { SpeechDetector, levelDb } = loadPluginModule(this.plugin.app, 'voice-activity.js');
+            this.speechDetector = new SpeechDetector();
+            this.monitorStartedAt = Date.now();
 
             this.volumeInterval = setInterval(() => {
+                if (this.paused) return;
                 this.analyser.getByteFrequencyData(dataArray);
 
+                if (this.onSilence) {
+                    this.analyser.getFloatTimeDomainData(waveform);
+                    const seconds = (Date.now() - this.monitorStartedAt) / 1000;
+                    this.speechDetector.update(levelDb(waveform), seconds);
+                    this.onSilence(this.speechDetector.silenceSeconds(seconds));
+                }
+
                 let sum = 0;
                 for (let i = 0; i < bufferLength; i++) {
                     sum += dataArray[i];
@@ -217,7 +389,27 @@ class AudioRecorder {
         }
     }
 
+    // MediaRecorder leaves the paused time out of the file
+    pauseRecording() {
+        if (!this.mediaRecorder || this.mediaRecorder.state !== 'recording') return;
+        this.mediaRecorder.pause();
+        this.paused = true;
+    }
+
+    resumeRecording() {
+        if (!this.mediaRecorder || this.mediaRecorder.state !== 'paused') return;
+        this.mediaRecorder.resume();
+        this.paused = false;
+        // The break is not a silence in the meeting
+        if (this.speechDetector) {
+            const { SpeechDetector } = loadPluginModule(this.plugin.app, 'voice-activity.js');
+            this.speechDetector = new SpeechDetector();
+            this.monitorStartedAt = Date.now();
+        }
+    }
+
     async stopRecording() {
+        this.stopLiveCapture();
         this.stopVolumeMonitoring();
 
         return new Promise((resolve, reject) => {
@@ -229,9 +421,7 @@ class AudioRecorder {
             this.mediaRecorder.onstop = () => {
                 const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
 
-                if (this.stream) {
-                    this.stream.getTracks().forEach(track => track.stop());
-                }
+                this.stopStreams();
 
                 resolve(audioBlob);
             };
@@ -241,542 +431,1199 @@ class AudioRecorder {
     }
 }
 
+class LiveTranscriber {
+    constructor(plugin, language, onUpdate) {
+        this.plugin = plugin;
+        this.language = language;
+        this.onUpdate = onUpdate;
+        this.segments = [];
+        this.chunkCount = 0;
+        this.failed = false;
+        this.cancelled = false;
+        // Chunks are transcribed one at a time, in recording order
+        this.queue = Promise.resolve();
+    }
+
+    addChunk(chunk) {
+        if (this.cancelled) return;
+
+        const index = this.chunkCount++;
+        this.queue = this.queue.then(() => this.transcribeChunk(chunk, index));
+    }
+
+    async transcribeChunk(chunk, index) {
+        if (this.failed || this.cancelled) return;
+
+        const { AudioConverter } = loadPluginModule(this.plugin.app, 'audio-converter.js');
+        const tempDir = getPluginDir(this.plugin.app) + '/temp';
+        if (!fs.existsSync(tempDir)) {
+            fs.mkdirSync(tempDir, { recursive: true });
+        }
+
+        const wavPath = path.join(tempDir, `live-${Date.now()}-${index}.wav`);
+
+        try {
+            // Normalising each chunk on its own would boost near-silent ones by up to 30 dB
+            // and make the level jump between chunks; the saved recording is normalised whole
+            const processing = Object.assign(this.plugin.getAudioProcessing(), { normalize: false });
+            const wavBuffer = await new AudioConverter(processing).samplesToWav(chunk.samples, chunk.sampleRate);
+            fs.writeFileSync(wavPath, wavBuffer);
+
+            const segments = await this.plugin.transcribeWav(wavPath, this.language);
+            segments.forEach(segment => {
+                this.segments.push(Object.assign({}, segment, {
+                    start: segment.start + chunk.offset,
+                    end: segment.end + chunk.offset
+                }));
+            });
+
+            if (this.onUpdate) {
+                this.onUpdate(this.segments);
+            }
+        } catch (error) {
+            // A failed chunk would leave a hole, so fall back to transcribing the full recording
+            console.error('Meeting Intelligence: Live transcription failed:', error);
+            this.failed = true;
+        } finally {
+            if (fs.existsSync(wavPath)) {
+                fs.unlinkSync(wavPath);
+            }
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.onUpdate = null;
+    }
+
+    // Resolves with all segments once pending chunks are done, or null if any chunk failed
+    async finish() {
+        await this.queue;
+        return this.failed ? null : this.segments;
+    }
+}
+
+// Built-in templates, used when no template note is chosen. They use the same
+// template language as vault templates (see template-engine.js).
 const MEETING_TEMPLATES = {
     en: `---
 date: {{date}}
 time: {{time}}
-attendees: {{attendees}}
+{{#if attendeeLinks}}
+attendees:
+{{#each attendeeLinks}}
+  - "{{this}}"
+{{/each}}
+{{else}}
+attendees: []
+{{/if}}
 duration: {{duration}}
 tags: meeting
+{{#if series}}
+series: {{series}}
+{{/if}}
+{{#if previousMeeting}}
+previous: "{{previousMeeting}}"
+{{/if}}
+{{#if eventUid}}
+event-uid: "{{eventUid}}"
+scheduled: {{scheduledStart:YYYY-MM-DD HH:mm}}
+{{/if}}
+{{#if recordings}}
+recordings:
+{{#each recordings}}
+  - "{{this}}"
+{{/each}}
+{{/if}}
 ---
 
 # {{title}}
+{{#if series}}
 
-## Attendees
-{{attendees}}
+Series: {{seriesIndex}}
+{{/if}}
+{{#if audio}}
 
-## Agenda
+{{audio}}
+{{/if}}
+{{#if summary}}
 
+## Summary
+{{summary}}
+{{/if}}
+{{#if keyMoments}}
 
+## Key Moments
+{{#each keyMoments}}
+- {{link}} =={{#if label}}{{label}}{{else}}Bookmark{{/if}}==
+{{/each}}
+{{/if}}
+
+## Attendees
+{{#each attendeeLinks}}
+- {{this}}
+{{/each}}
+{{#if description}}
+
+## Description
+{{description}}
+{{/if}}
+
+## Agenda
+{{#each agenda}}
+- {{#if addressed}}{{title}}{{else}}{{title}} ⚠️ not discussed{{/if}}
+{{/each}}
+{{#if carriedActionItems}}
+{{#if agenda}}
+
+{{/if}}
+Open action items from earlier meetings:
+{{#each carriedActionItems}}
+- {{text}}{{#if owner}} ({{owner}}){{/if}}{{#if due}}, due {{due}}{{/if}} · {{link}}
+{{/each}}
+{{/if}}
+{{#if carriedQuestions}}
+{{#if agenda}}
+
+{{else}}
+{{#if carriedActionItems}}
+
+{{/if}}
+{{/if}}
+Open questions from {{previousMeeting}}:
+{{#each carriedQuestions}}
+- {{this}}
+{{/each}}
+{{/if}}
+
+{{#if notes}}
+## Notes
+{{notes}}
+
+{{/if}}
 ## Discussion
-{{transcription}}
+{{#each agenda}}
+### {{title}}
+{{#if addressed}}
+{{discussion}}
+{{else}}
+*Not discussed*
+{{/if}}
+
+{{/each}}
+{{#if agenda}}
+{{#if offAgendaTranscript}}
+### Other
+{{offAgendaTranscript}}
+{{/if}}
+{{else}}
+{{transcript}}
+{{/if}}
 
 ## Action Items
+{{#each actionItems}}
+- [ ] {{line}}
+{{else}}
 - [ ]
+{{/each}}
 
 ## Decisions Made
-
+{{#each decisions}}
+- {{this}}
+{{/each}}
 
 ## Follow-up Questions
-
+{{#each openQuestions}}
+- {{this}}
+{{/each}}
 
 ## Related Notes
-
+{{#each relatedNotes}}
+- {{link}}{{#if reason}} · {{reason}}{{/if}}
+{{/each}}
 `,
     de: `---
 datum: {{date}}
 zeit: {{time}}
-teilnehmer: {{attendees}}
+{{#if attendeeLinks}}
+teilnehmer:
+{{#each attendeeLinks}}
+  - "{{this}}"
+{{/each}}
+{{else}}
+teilnehmer: []
+{{/if}}
 dauer: {{duration}}
 tags: meeting
+{{#if series}}
+series: {{series}}
+{{/if}}
+{{#if previousMeeting}}
+previous: "{{previousMeeting}}"
+{{/if}}
+{{#if eventUid}}
+event-uid: "{{eventUid}}"
+scheduled: {{scheduledStart:YYYY-MM-DD HH:mm}}
+{{/if}}
+{{#if recordings}}
+recordings:
+{{#each recordings}}
+  - "{{this}}"
+{{/each}}
+{{/if}}
 ---
 
 # {{title}}
+{{#if series}}
 
-## Teilnehmer
-{{attendees}}
+Serie: {{seriesIndex}}
+{{/if}}
+{{#if audio}}
 
-## Tagesordnung
+{{audio}}
+{{/if}}
+{{#if summary}}
+
+## Zusammenfassung
+{{summary}}
+{{/if}}
+{{#if keyMoments}}
+
+## Schlüsselmomente
+{{#each keyMoments}}
+- {{link}} =={{#if label}}{{label}}{{else}}Lesezeichen{{/if}}==
+{{/each}}
+{{/if}}
 
+## Teilnehmer
+{{#each attendeeLinks}}
+- {{this}}
+{{/each}}
+{{#if description}}
+
+## Beschreibung
+{{description}}
+{{/if}}
 
+## Tagesordnung
+{{#each agenda}}
+- {{#if addressed}}{{title}}{{else}}{{title}} ⚠️ nicht besprochen{{/if}}
+{{/each}}
+{{#if carriedActionItems}}
+{{#if agenda}}
+
+{{/if}}
+Offene Aktionspunkte aus früheren Meetings:
+{{#each carriedActionItems}}
+- {{text}}{{#if owner}} ({{owner}}){{/if}}{{#if due}}, fällig {{due}}{{/if}} · {{link}}
+{{/each}}
+{{/if}}
+{{#if carriedQuestions}}
+{{#if agenda}}
+
+{{else}}
+{{#if carriedActionItems}}
+
+{{/if}}
+{{/if}}
+Offene Fragen aus {{previousMeeting}}:
+{{#each carriedQuestions}}
+- {{this}}
+{{/each}}
+{{/if}}
+
+{{#if notes}}
+## Notizen
+{{notes}}
+
+{{/if}}
 ## Diskussion
-{{transcription}}
+{{#each agenda}}
+### {{title}}
+{{#if addressed}}
+{{discussion}}
+{{else}}
+*Nicht besprochen*
+{{/if}}
+
+{{/each}}
+{{#if agenda}}
+{{#if offAgendaTranscript}}
+### Sonstiges
+{{offAgendaTranscript}}
+{{/if}}
+{{else}}
+{{transcript}}
+{{/if}}
 
 ## Aktionspunkte
+{{#each actionItems}}
+- [ ] {{line}}
+{{else}}
 - [ ]
+{{/each}}
 
 ## Entscheidungen
-
+{{#each decisions}}
+- {{this}}
+{{/each}}
 
 ## Offene Fragen
-
+{{#each openQuestions}}
+- {{this}}
+{{/each}}
 
 ## Verwandte Notizen
-
-`,
-    auto: `---
-date: {{date}}
-time: {{time}}
-attendees: {{attendees}}
-duration: {{duration}}
-tags: meeting
----
-
-# {{title}}
-
-## Attendees
-{{attendees}}
-
-## Agenda
-
-
-## Discussion
-{{transcription}}
-
-## Action Items
-- [ ]
-
-## Decisions Made
-
-
-## Follow-up Questions
-
-
-## Related Notes
-
+{{#each relatedNotes}}
+- {{link}}{{#if reason}} · {{reason}}{{/if}}
+{{/each}}
 `
 };
 
-class MeetingModal extends Modal {
-    constructor(app, plugin) {
+class SpeakerMappingModal extends Modal {
+    constructor(app, segments, attendees) {
         super(app);
-        this.plugin = plugin;
-        this.isRecording = false;
-        this.startTime = null;
-        this.timerInterval = null;
-        this.volumeLevel = 0;
-        this.recorder = new AudioRecorder(plugin);
-        this.audioBlob = null; // Store audio blob for later saving
-        this.recordingParts = []; // Store multiple recording parts for auto-splitting
-        this.currentPartNumber = 1;
-        this.MAX_RECORDING_TIME = 60 * 60 * 1000; // 60 minutes in milliseconds
+        this.segments = segments;
+        this.attendees = attendees;
+        this.mapping = {};
+        this.resolve = null;
+    }
+
+    openAndWait() {
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.open();
+        });
     }
 
     onOpen() {
         const { contentEl } = this;
         contentEl.addClass('meeting-intelligence-modal');
 
-        // Make modal larger
-        this.modalEl.style.width = '700px';
-        this.modalEl.style.maxWidth = '90vw';
-
-        contentEl.createEl('h2', { text: '🎙️ Meeting Intelligence' });
-
-        // Meeting Info
-        const infoContainer = contentEl.createDiv({ cls: 'meeting-info' });
-
-        infoContainer.createEl('label', { text: 'Meeting Title:' });
-        this.titleInput = infoContainer.createEl('input', {
-            type: 'text',
-            placeholder: 'e.g., Weekly Standup, Client Call...',
-            cls: 'meeting-input'
+        contentEl.createEl('h2', { text: '🗣️ Who said what?' });
+        contentEl.createEl('p', {
+            text: 'Match each detected speaker to an attendee. Unmatched speakers keep their generic label.',
+            cls: 'setting-item-description'
         });
 
-        infoContainer.createEl('label', { text: 'Attendees (comma separated):' });
-        this.attendeesInput = infoContainer.createEl('input', {
-            type: 'text',
-            placeholder: 'John, Sarah, Michael...',
-            value: this.plugin.settings.attendeesDefault,
-            cls: 'meeting-input'
+        const speakers = [];
+        this.segments.forEach(segment => {
+            if (!speakers.includes(segment.speaker)) {
+                speakers.push(segment.speaker);
+            }
         });
 
-        // Language selection
-        const langContainer = infoContainer.createDiv({ cls: 'meeting-input-row' });
-        langContainer.createEl('label', { text: 'Language:' });
-        this.languageSelect = langContainer.createEl('select', { cls: 'meeting-select' });
-        this.languageSelect.createEl('option', { text: 'Auto-detect', value: 'auto' });
-        this.languageSelect.createEl('option', { text: 'English', value: 'en' });
-        this.languageSelect.createEl('option', { text: 'Deutsch', value: 'de' });
-        this.languageSelect.value = this.plugin.settings.language;
-
-        // Status
-        this.statusEl = contentEl.createDiv({ cls: 'meeting-status' });
-        this.statusEl.setText('Ready to start');
-
-        this.timerEl = contentEl.createDiv({ cls: 'meeting-timer' });
-        this.timerEl.setText('00:00:00');
-
-        // Audio Level Meter
-        const vizContainer = contentEl.createDiv({ cls: 'meeting-visualizer' });
-        vizContainer.createEl('div', { text: 'Audio Level', cls: 'meeting-label' });
-        const meterContainer = vizContainer.createDiv({ cls: 'meeting-meter' });
-        this.meterFill = meterContainer.createDiv({ cls: 'meeting-meter-fill' });
-        this.meterLabel = meterContainer.createDiv({ cls: 'meeting-meter-label', text: '0%' });
-
-        // Transcription Progress
-        this.transcribeContainer = contentEl.createDiv({
-            cls: 'meeting-progress',
-            attr: { style: 'display: none;' }
+        speakers.forEach(speaker => {
+            this.mapping[speaker] = speaker;
+
+            // Show the longest thing this speaker said to help recognise them
+            const sample = this.segments
+                .filter(segment => segment.speaker === speaker)
+                .reduce((longest, segment) => (segment.text.length > longest.length ? segment.text : longest), '');
+
+            new Setting(contentEl)
+                .setName(speaker)
+                .setDesc(`"${sample.length > 120 ? sample.substring(0, 120) + '…' : sample}"`)
+                .addDropdown(dropdown => {
+                    dropdown.addOption(speaker, `Keep as ${speaker}`);
+                    this.attendees.forEach(attendee => dropdown.addOption(attendee, attendee));
+                    dropdown
+                        .setValue(speaker)
+                        .onChange(value => {
+                            this.mapping[speaker] = value;
+                        });
+                });
         });
-        this.transcribeContainer.createEl('div', { text: 'Transcribing...', cls: 'meeting-label' });
-        const transcribeBar = this.transcribeContainer.createDiv({ cls: 'meeting-progress-bar' });
-        this.transcribeFill = transcribeBar.createDiv({ cls: 'meeting-progress-fill' });
-        this.transcribeLabel = this.transcribeContainer.createDiv({ cls: 'meeting-label' });
 
-        // Buttons
         const buttonContainer = contentEl.createDiv({ cls: 'meeting-buttons' });
-
-        this.recordButton = buttonContainer.createEl('button', {
-            text: '▶ Start Meeting',
+        const applyButton = buttonContainer.createEl('button', {
+            text: 'Apply',
             cls: 'meeting-button primary'
         });
-        this.recordButton.onclick = () => this.toggleRecording();
-
-        this.closeButton = buttonContainer.createEl('button', {
-            text: 'Close',
-            cls: 'meeting-button'
-        });
-        this.closeButton.onclick = () => this.close();
+        applyButton.onclick = () => this.close();
     }
 
-    async toggleRecording() {
-        if (!this.isRecording) {
-            await this.startRecording();
-        } else {
-            await this.stopRecording();
+    onClose() {
+        this.contentEl.empty();
+        if (this.resolve) {
+            this.resolve(this.mapping);
+            this.resolve = null;
         }
     }
+}
 
-    async startRecording() {
-        if (!this.titleInput.value.trim()) {
-            new Notice('Please enter a meeting title');
-            return;
+// Runs the post-recording pipeline (conversion, transcription, speaker turns and the
+// meeting note) for one meeting, independent of where the audio came from.
+//
+// meeting: {
+//     title, attendees, language,
+//     date,          // Date the meeting started
+//     duration,      // 'HH:MM:SS', or null to measure it from the audio
+//     parts: [{      // recording parts in order (auto-split recordings have several)
+//         audioBlob,   // recorded audio, saved next to the note
+//         audioFile,   // TFile already in the vault (imports), embedded as is
+//         liveResult   // Promise of segments from LiveTranscriber, if any
+//     }]
+// }
+class MeetingProcessor {
+    constructor(plugin, meeting, onProgress) {
+        this.plugin = plugin;
+        this.meeting = meeting;
+        this.onProgress = onProgress || (() => {});
+        // Per part: { wavPath, offset, seconds }, offset being where it starts in the meeting
+        this.preparedParts = [];
+        this.abortController = new AbortController();
+    }
+
+    // Stops a running transcription; process() then fails with 'Transcription cancelled'
+    cancel() {
+        this.abortController.abort();
+    }
+
+    checkCancelled() {
+        if (this.abortController.signal.aborted) {
+            throw new Error('Transcription cancelled');
         }
+    }
 
+    async process() {
         try {
-            await this.recorder.startRecording();
-            this.isRecording = true;
-            this.startTime = Date.now();
-
-            this.recordButton.setText('⏸ Stop Meeting');
-            this.recordButton.removeClass('primary');
-            this.recordButton.addClass('stop');
-            this.statusEl.setText('🔴 Recording...');
-            this.titleInput.disabled = true;
-            this.attendeesInput.disabled = true;
+            const segments = [];
+            let offset = 0;
+
+            for (let i = 0; i < this.meeting.parts.length; i++) {
+                this.checkCancelled();
+                const prepared = await this.preparePart(i, offset);
+                this.preparedParts.push(prepared);
+
+                prepared.segments.forEach(segment => {
+                    segments.push(Object.assign({}, segment, {
+                        start: segment.start + offset,
+                        end: segment.end + offset,
+                        part: i
+                    }));
+                });
+                offset += prepared.seconds;
+            }
 
-            this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+            if (!this.meeting.duration) {
+                const { formatTimestamp } = loadPluginModule(this.plugin.app, 'transcript.js');
+                this.meeting.duration = formatTimestamp(offset);
+            }
 
-        } catch (error) {
-            new Notice('Microphone access denied: ' + error.message);
-            console.error(error);
+            this.checkCancelled();
+            return await this.finishTranscript(segments);
+        } finally {
+            // Clean up temp WAV files
+            this.preparedParts.forEach(part => {
+                if (fs.existsSync(part.wavPath)) {
+                    fs.unlinkSync(part.wavPath);
+                }
+            });
         }
     }
 
-    async autoSplitRecording() {
-        console.log('Meeting Intelligence: Auto-splitting at 60 minutes, saving part', this.currentPartNumber);
-
-        new Notice(`Meeting part ${this.currentPartNumber} complete (60 min). Starting part ${this.currentPartNumber + 1}...`);
+    // Converts one part to 16 kHz WAV and transcribes it; segment times are part-relative
+    async preparePart(index, offset) {
+        const part = this.meeting.parts[index];
+        const partCount = this.meeting.parts.length;
+        const label = partCount > 1 ? ` (part ${index + 1}/${partCount})` : '';
+        // Each part gets an equal share of the 5-70% progress range
+        const progress = (fraction) => 5 + Math.round(65 * (index + fraction) / partCount);
 
-        // Stop current recording and save it
-        const audioBlob = await this.recorder.stopRecording();
-        const duration = this.getDuration();
+        const audioBlob = part.audioBlob || await this.readAudioFile(part.audioFile);
 
-        // Store this part
-        this.recordingParts.push({
-            blob: audioBlob,
-            duration: duration,
-            partNumber: this.currentPartNumber
-        });
+        console.log('Meeting Intelligence: Audio blob size:', audioBlob.size, 'bytes');
+        console.log('Meeting Intelligence: Audio blob type:', audioBlob.type);
 
-        // Immediately start new recording for next part
-        this.currentPartNumber++;
-        this.startTime = Date.now(); // Reset timer for new part
+        this.onProgress(progress(0), 'Converting audio' + label + '...');
 
+        let wavPath;
+        let seconds;
         try {
-            await this.recorder.startRecording();
-            this.statusEl.setText(`🔴 Recording... (Part ${this.currentPartNumber})`);
-            console.log('Meeting Intelligence: Started part', this.currentPartNumber);
-        } catch (error) {
-            console.error('Meeting Intelligence: Failed to start next part:', error);
-            new Notice('Auto-split failed. Please stop and restart recording.');
-            this.isRecording = false;
-        }
-    }
+            const { AudioConverter } = loadPluginModule(this.plugin.app, 'audio-converter.js');
+            const audioConverter = new AudioConverter(this.plugin.getAudioProcessing());
+            const wavBuffer = await audioConverter.convertBlobToWav(audioBlob);
 
-    async stopRecording() {
-        this.isRecording = false;
-        clearInterval(this.timerInterval);
+            console.log('Meeting Intelligence: Conversion successful, WAV size:', wavBuffer.length, 'bytes');
 
-        this.recordButton.setText('Processing...');
-        this.recordButton.disabled = true;
-        this.statusEl.setText('Processing recording...');
-        this.updateMicLevel(0);
+            const tempDir = getPluginDir(this.plugin.app) + '/temp';
+            if (!fs.existsSync(tempDir)) {
+                fs.mkdirSync(tempDir, { recursive: true });
+            }
 
-        this.audioBlob = await this.recorder.stopRecording();
+            wavPath = path.join(tempDir, `meeting-${Date.now()}-${index + 1}.wav`);
+            await audioConverter.saveWavFile(wavBuffer, wavPath);
+            console.log('Meeting Intelligence: Saved WAV to:', wavPath);
 
-        // If we have multiple parts, process them all
-        if (this.recordingParts.length > 0) {
-            // Add the final part
-            const duration = this.getDuration();
-            this.recordingParts.push({
-                blob: this.audioBlob,
-                duration: duration,
-                partNumber: this.currentPartNumber
-            });
+            // 16 kHz mono 16-bit PCM after the 44-byte header
+            seconds = (wavBuffer.length - 44) / 32000;
+        } catch (error) {
+            console.error('Meeting Intelligence: Conversion error:', error);
+            throw new Error('Audio conversion failed: ' + error.message);
+        }
+
+        let segments = null;
+        if (part.liveResult) {
+            this.onProgress(progress(0.2), 'Finishing live transcription' + label + '...');
+            segments = await part.liveResult;
+        }
 
-            await this.processMultiPartRecording();
+        if (segments) {
+            // Everything was already transcribed chunk by chunk while recording
+            console.log('Meeting Intelligence: Reusing live transcript segments:', segments.length);
         } else {
-            // Single recording, process normally
-            await this.processRecording(this.audioBlob);
+            this.onProgress(progress(0.3), 'Transcribing audio' + label + '...');
+
+            try {
+                segments = await this.plugin.transcribeWav(wavPath, this.meeting.language, {
+                    // whisper's own progress fills the rest of this part's share
+                    onProgress: (percent) => {
+                        this.onProgress(progress(0.3 + 0.7 * percent / 100), `Transcribing audio${label}... ${percent}%`);
+                    },
+                    signal: this.abortController.signal
+                });
+            } catch (error) {
+                if (fs.existsSync(wavPath)) {
+                    fs.unlinkSync(wavPath);
+                }
+                this.checkCancelled();
+                console.error('Meeting Intelligence: Transcription error:', error);
+                throw new Error('Transcription failed: ' + error.message);
+            }
         }
+
+        return { wavPath, offset, seconds, segments };
     }
 
-    async processMultiPartRecording() {
-        new Notice(`Processing ${this.recordingParts.length} recording parts...`);
-        console.log('Meeting Intelligence: Processing', this.recordingParts.length, 'parts');
+    async readAudioFile(file) {
+        const data = await this.plugin.app.vault.readBinary(file);
+        return new Blob([data], { type: AUDIO_MIME_TYPES[file.extension.toLowerCase()] || 'application/octet-stream' });
+    }
 
-        // Process each part sequentially
-        for (let i = 0; i < this.recordingParts.length; i++) {
-            const part = this.recordingParts[i];
-            this.statusEl.setText(`Processing part ${part.partNumber}/${this.recordingParts.length}...`);
+    async finishTranscript(segments) {
+        this.onProgress(70, 'Processing transcript...');
+        console.log('Meeting Intelligence: Transcript segments:', segments.length);
 
-            // Store current part info for file naming
-            this.currentProcessingPart = part.partNumber;
-            this.totalParts = this.recordingParts.length;
+        if (this.plugin.settings.detectSpeakers && segments.length > 0) {
+            this.onProgress(80, 'Identifying speakers...');
+            segments = await this.identifySpeakers(segments);
+        }
 
-            await this.processRecording(part.blob, part.duration);
+        let analysis = null;
+        if (this.plugin.settings.analysisEnabled && segments.length > 0) {
+            this.onProgress(85, 'Analyzing transcript...');
+            analysis = await this.analyzeTranscript(segments);
         }
 
-        // Reset for next recording
-        this.recordingParts = [];
-        this.currentPartNumber = 1;
-        this.currentProcessingPart = null;
-        this.totalParts = null;
+        this.onProgress(90, 'Creating meeting note...');
 
-        new Notice('All recording parts processed!');
-    }
+        const file = await this.createMeetingNote(segments, analysis);
 
-    async processRecording(audioBlob, durationOverride = null) {
-        const duration = durationOverride || this.getDuration();
+        this.onProgress(100, 'Complete!');
 
-        console.log('Meeting Intelligence: Audio blob size:', audioBlob.size, 'bytes');
-        console.log('Meeting Intelligence: Audio blob type:', audioBlob.type);
+        return file;
+    }
 
-        this.transcribeContainer.style.display = 'block';
-        this.updateTranscribeProgress(5, 'Converting audio...');
+    async identifySpeakers(segments) {
+        const { diarize, listSpeakers, applySpeakerNames } = loadPluginModule(this.plugin.app, 'diarizer.js');
 
         try {
-            // Load AudioConverter lazily
-            if (!AudioConverter) {
-                const pluginDir = this.plugin.app.vault.adapter.basePath + '/.obsidian/plugins/meeting-intelligence';
-                const converterModule = require(path.join(pluginDir, 'audio-converter.js'));
-                AudioConverter = converterModule.AudioConverter;
+            const attendees = this.getAttendeeList();
+            const labelled = await diarize(this.preparedParts, segments, { maxSpeakers: attendees.length });
+            const speakers = listSpeakers(labelled);
+            console.log('Meeting Intelligence: Detected speakers:', speakers.length);
+
+            // A single voice needs no speaker turns
+            if (speakers.length < 2) {
+                return segments;
             }
 
-            const audioConverter = new AudioConverter();
-            const wavBuffer = await audioConverter.convertBlobToWav(audioBlob);
+            const mapping = await new SpeakerMappingModal(this.plugin.app, labelled, attendees).openAndWait();
+            return applySpeakerNames(labelled, mapping);
+        } catch (error) {
+            console.error('Meeting Intelligence: Speaker detection failed:', error);
+            new Notice('Speaker detection failed: ' + error.message);
+            return segments;
+        }
+    }
 
-            console.log('Meeting Intelligence: Conversion successful, WAV size:', wavBuffer.length, 'bytes');
+    // Returns null when the model can't be reached or answers nonsense, in which case
+    // the note falls back to keyword-based extraction
+    async analyzeTranscript(segments) {
+        const { renderPlainTranscript } = loadPluginModule(this.plugin.app, 'transcript.js');
+        const { ChatAnalysisProvider } = loadPluginModule(this.plugin.app, 'analysis-provider.js');
 
-            const tempDir = this.plugin.app.vault.adapter.basePath + '/.obsidian/plugins/meeting-intelligence/temp';
-            if (!fs.existsSync(tempDir)) {
-                fs.mkdirSync(tempDir, { recursive: true });
-            }
+        try {
+            const analysis = await new ChatAnalysisProvider(this.plugin.settings).analyze(renderPlainTranscript(segments), {
+                title: this.meeting.title,
+                attendees: this.getAttendeeList().join(', ')
+            });
+            console.log('Meeting Intelligence: Analysis:', analysis);
+            return analysis;
+        } catch (error) {
+            console.error('Meeting Intelligence: Transcript analysis failed:', error);
+            new Notice('Transcript analysis failed, using keyword detection instead: ' + error.message);
+            return null;
+        }
+    }
 
-            const wavPath = path.join(tempDir, 'meeting.wav');
-            await audioConverter.saveWavFile(wavBuffer, wavPath);
-            console.log('Meeting Intelligence: Saved WAV to:', wavPath);
+    // Typed attendees matched to person notes: [{ name, file }], name being the person
+    // note's name when one was found and file null otherwise
+    getAttendees() {
+        if (!this.attendees) {
+            const { matchPerson, parseAttendees } = loadPluginModule(this.plugin.app, 'people.js');
+            const people = this.plugin.getPeople();
+            this.attendees = [];
+            parseAttendees(this.meeting.attendees).forEach(typed => {
+                const person = matchPerson(typed, people);
+                const attendee = person ? { name: person.name, file: person.file } : { name: typed, file: null };
+                if (!this.attendees.some(other => other.name === attendee.name)) {
+                    this.attendees.push(attendee);
+                }
+            });
+        }
+        return this.attendees;
+    }
+
+    getAttendeeList() {
+        return this.getAttendees().map(attendee => attendee.name);
+    }
+
+    // Person notes are linked by their shortest unambiguous name; people without a note
+    // get a link that resolves once one is created
+    getAttendeeLinks(notePath) {
+        const { sanitizeFileName } = loadPluginModule(this.plugin.app, 'note-paths.js');
+        return this.getAttendees().map(attendee => (attendee.file
+            ? `[[${this.plugin.app.metadataCache.fileToLinktext(attendee.file, notePath, true)}]]`
+            : `[[${sanitizeFileName(attendee.name)}]]`));
+    }
+
+    // Creates missing person notes if enabled and logs the meeting in each one.
+    // The meeting note already exists, so failures here only cost the log entries.
+    async linkPeople(file) {
+        const { renderPersonNote, appendMeetingLog } = loadPluginModule(this.plugin.app, 'people.js');
+        const { sanitizeFileName, joinPath } = loadPluginModule(this.plugin.app, 'note-paths.js');
+        const app = this.plugin.app;
+        const settings = this.plugin.settings;
+        const folder = settings.peopleFolder.replace(/^\/+|\/+$/g, '');
 
-            await this.transcribeAudio(wavPath, duration);
+        try {
+            for (const attendee of this.getAttendees()) {
+                let personFile = attendee.file;
+                if (!personFile && settings.createPeopleNotes && folder) {
+                    const personPath = joinPath(folder, `${sanitizeFileName(attendee.name)}.md`);
+                    const existing = app.vault.getAbstractFileByPath(personPath);
+                    if (existing instanceof TFile) {
+                        personFile = existing;
+                    } else {
+                        await this.plugin.ensureFolder(folder);
+                        personFile = await app.vault.create(personPath, renderPersonNote(attendee.name));
+                    }
+                }
 
+                if (personFile && settings.logMeetingsInPeopleNotes) {
+                    const entry = `${this.getDateParts().date} [[${app.metadataCache.fileToLinktext(file, personFile.path, true)}|${this.meeting.title}]]`;
+                    await app.vault.process(personFile, (content) => appendMeetingLog(content, entry));
+                }
+            }
         } catch (error) {
-            console.error('Meeting Intelligence: Conversion error:', error);
-            new Notice('Audio conversion failed: ' + error.message);
-            this.resetModal();
+            console.error('Meeting Intelligence: Failed to update people notes:', error);
+            new Notice('Could not update the people notes: ' + error.message);
         }
     }
 
-    async transcribeAudio(audioPath, duration) {
-        this.transcribeContainer.style.display = 'block';
-        this.updateTranscribeProgress(10, 'Starting transcription...');
+    getDateParts() {
+        const start = this.meeting.date;
+        return {
+            date: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`,
+            time: start.toTimeString().split(' ')[0].substring(0, 5)
+        };
+    }
 
-        const modelDir = this.plugin.app.vault.adapter.basePath + '/.obsidian/plugins/meeting-intelligence/models';
-        if (!fs.existsSync(modelDir)) {
-            fs.mkdirSync(modelDir, { recursive: true });
+    // A meeting recorded against a draft becomes that note; others go where the
+    // path templates in settings say
+    getNoteDestination() {
+        if (!this.noteDestination) {
+            const draft = this.getDraftFile();
+            this.noteDestination = draft
+                ? { folder: draft.parent ? draft.parent.path.replace(/^\/$/, '') : '', basename: draft.basename }
+                : this.plugin.getNoteDestination(this.meeting);
         }
+        return this.noteDestination;
+    }
 
-        const modelPath = path.join(modelDir, `ggml-${this.plugin.settings.modelSize}.bin`);
+    getPathContext() {
+        return this.plugin.getPathContext(this.meeting);
+    }
 
-        if (!fs.existsSync(modelPath)) {
-            new Notice(`Model ${this.plugin.settings.modelSize} not found. Please download it in settings.`);
-            this.resetModal();
-            return;
+    getDraftFile() {
+        const file = this.meeting.draft ? this.plugin.app.vault.getAbstractFileByPath(this.meeting.draft) : null;
+        return file instanceof TFile ? file : null;
+    }
+
+    // Agenda items and notes typed into the draft, read at the end so edits made
+    // during the meeting count
+    async loadDraft() {
+        const { parseAgenda, extractNotes } = loadPluginModule(this.plugin.app, 'agenda.js');
+        const file = this.getDraftFile();
+        if (!file) {
+            if (this.meeting.draft) {
+                new Notice(`Meeting draft "${this.meeting.draft}" not found, creating a new note`);
+            }
+            return { agenda: [], notes: '' };
         }
 
-        console.log('Meeting Intelligence: Model path:', modelPath);
-        console.log('Meeting Intelligence: Audio path:', audioPath);
+        const content = await this.plugin.app.vault.read(file);
+        return { agenda: parseAgenda(content), notes: extractNotes(content) };
+    }
 
-        // Use language from modal if selected, otherwise from settings
-        const selectedLanguage = this.languageSelect ? this.languageSelect.value : this.plugin.settings.language;
-        const language = selectedLanguage === 'auto' ? '' : `-l ${selectedLanguage}`;
-        const command = `${this.plugin.settings.whisperPath} -m "${modelPath}" ${language} -f "${audioPath}" --output-txt`;
+    getNoteBasename() {
+        return this.getNoteDestination().basename;
+    }
 
-        console.log('Meeting Intelligence: Running command:', command);
+    async getAudioPath(basename, notePath, extension) {
+        const { renderPath, joinPath } = loadPluginModule(this.plugin.app, 'note-paths.js');
+        const settings = this.plugin.settings;
 
-        this.updateTranscribeProgress(30, 'Transcribing audio...');
+        if (settings.audioLocation === 'attachments') {
+            // Follows Obsidian's "Default location for new attachments"
+            const attachmentPath = await this.plugin.app.fileManager.getAvailablePathForAttachment(`${basename}.${extension}`, notePath);
+            await this.plugin.ensureFolder(attachmentPath.substring(0, Math.max(0, attachmentPath.lastIndexOf('/'))));
+            return attachmentPath;
+        }
 
-        exec(command, { maxBuffer: 10 * 1024 * 1024 }, async (error, stdout, stderr) => {
-            console.log('Meeting Intelligence: Whisper stdout:', stdout);
-            console.log('Meeting Intelligence: Whisper stderr:', stderr);
+        const folder = settings.audioLocation === 'folder'
+            ? renderPath(settings.audioFolder, this.getPathContext())
+            : this.getNoteDestination().folder;
+        await this.plugin.ensureFolder(folder);
+        return this.plugin.getAvailablePath(joinPath(folder, basename), extension);
+    }
 
-            if (error) {
-                new Notice('Transcription failed: ' + error.message);
-                console.error('Meeting Intelligence: Transcription error:', error);
-                console.error('Meeting Intelligence: stderr:', stderr);
-                this.resetModal();
-                return;
+    // The recording in the format chosen under "Recording Format": as recorded, the
+    // 16 kHz WAV made for whisper, or re-encoded as low-bitrate Opus
+    async encodeAudioPart(part, prepared) {
+        const format = this.plugin.settings.audioFormat;
+
+        if (format === 'wav' && prepared && fs.existsSync(prepared.wavPath)) {
+            return { data: fs.readFileSync(prepared.wavPath), extension: 'wav' };
+        }
+        if (format === 'opus') {
+            try {
+                const { AudioConverter } = loadPluginModule(this.plugin.app, 'audio-converter.js');
+                const data = await new AudioConverter().encodeOpus(part.audioBlob, this.plugin.settings.opusBitrate * 1000);
+                return { data: data, extension: 'ogg' };
+            } catch (error) {
+                console.error('Meeting Intelligence: Opus encoding failed:', error);
+                new Notice('Could not compress the recording, saving it as recorded: ' + error.message);
+            }
+        }
+        return { data: Buffer.from(await part.audioBlob.arrayBuffer()), extension: 'webm' };
+    }
+
+    // Imported files are already in the vault and get embedded where they are;
+    // recordings are saved first so the transcript timestamps can link into them.
+    // Returns one { target, offset, saved } per part, target being null if nothing was
+    // saved and saved telling recordings written here from imported files.
+    async saveAudioParts(notePath) {
+        const partCount = this.meeting.parts.length;
+        const audioParts = [];
+
+        for (let i = 0; i < partCount; i++) {
+            const part = this.meeting.parts[i];
+            const offset = this.preparedParts[i] ? this.preparedParts[i].offset : 0;
+            let target = null;
+            let saved = false;
+
+            if (part.audioFile) {
+                target = part.audioFile.path;
+            } else if (part.audioBlob) {
+                const partSuffix = partCount > 1 ? ` - Part ${i + 1}` : '';
+                try {
+                    const { data, extension } = await this.encodeAudioPart(part, this.preparedParts[i]);
+                    const audioFilePath = await this.getAudioPath(`${this.getNoteBasename()}${partSuffix}`, notePath, extension);
+                    await this.plugin.app.vault.adapter.writeBinary(audioFilePath, data);
+                    console.log('Meeting Intelligence: Saved audio to:', audioFilePath);
+                    target = audioFilePath;
+                    saved = true;
+                } catch (error) {
+                    console.error('Meeting Intelligence: Failed to save audio:', error);
+                    new Notice('Warning: Audio file could not be saved');
+                }
             }
 
-            this.updateTranscribeProgress(70, 'Processing transcript...');
+            audioParts.push({ target, offset, saved });
+        }
+
+        return audioParts;
+    }
 
-            // Whisper creates .txt file next to the audio file
-            const txtPath = audioPath + '.txt';
-            let transcription = '';
+    async createMeetingNote(segments, analysis = null) {
+        const { joinPath } = loadPluginModule(this.plugin.app, 'note-paths.js');
+        const { folder, basename } = this.getNoteDestination();
 
-            console.log('Meeting Intelligence: Looking for transcript at:', txtPath);
+        console.log('Meeting Intelligence: Saving to folder:', folder || '(root)');
 
-            if (fs.existsSync(txtPath)) {
-                transcription = fs.readFileSync(txtPath, 'utf-8').trim();
-                console.log('Meeting Intelligence: Transcription length:', transcription.length);
-                console.log('Meeting Intelligence: Transcription preview:', transcription.substring(0, 100));
-                fs.unlinkSync(txtPath);
-            } else {
-                console.error('Meeting Intelligence: Transcript file not found at:', txtPath);
-                new Notice('Transcript file not found');
-            }
+        const draft = this.getDraftFile();
+        await this.plugin.ensureFolder(folder);
+        const filePath = draft ? draft.path : await this.plugin.getAvailablePath(joinPath(folder, basename), 'md');
+        const fileName = filePath.substring(filePath.lastIndexOf('/') + 1);
+
+        const { agenda, notes } = await this.loadDraft();
+        const audioParts = await this.saveAudioParts(filePath);
+        const series = await this.findSeries();
+        const context = await this.buildTemplateContext(segments, analysis, audioParts, filePath);
+        Object.assign(context, this.getSeriesContext(series), this.getAgendaContext(segments, agenda, audioParts), this.getEventContext(), { notes });
+        const content = await this.renderNote(context);
+
+        if (draft) {
+            // The draft is replaced, so links to it lead to the minutes
+            await this.plugin.app.vault.modify(draft, content);
+        } else {
+            await this.plugin.app.vault.create(filePath, content);
+        }
 
-            // Don't delete audio file yet - we'll save it with the note
-            this.updateTranscribeProgress(90, 'Creating meeting note...');
+        new Notice(`Meeting note created: ${fileName}`);
+        if (context.unaddressedAgenda.length > 0) {
+            new Notice(`Not discussed: ${context.unaddressedAgenda.join(', ')}`);
+        }
 
-            await this.createMeetingNote(transcription, duration, audioPath);
+        const file = this.plugin.app.vault.getAbstractFileByPath(filePath);
+        if (series && file instanceof TFile) {
+            await this.linkSeries(series, file);
+        }
+        if (file instanceof TFile) {
+            await this.linkPeople(file);
+        }
 
-            this.updateTranscribeProgress(100, 'Complete!');
+        // Open the note
+        if (file instanceof TFile) {
+            await this.plugin.app.workspace.getLeaf().openFile(file);
+        }
+        return file;
+    }
 
-            setTimeout(() => {
-                this.close();
-            }, 1000);
+    // Meeting notes in the vault with their frontmatter, title and "date time" for sorting
+    getMeetingNotes() {
+        const notes = [];
+        this.plugin.app.vault.getMarkdownFiles().forEach(file => {
+            const cache = this.plugin.app.metadataCache.getFileCache(file);
+            if (!cache || !(getAllTags(cache) || []).includes('#meeting')) return;
+
+            const frontmatter = cache.frontmatter || {};
+            const heading = (cache.headings || []).find(h => h.level === 1);
+            notes.push({
+                file: file,
+                frontmatter: frontmatter,
+                title: heading ? heading.heading : file.basename,
+                date: String(frontmatter.date || frontmatter.datum || ''),
+                when: `${frontmatter.date || frontmatter.datum || ''} ${frontmatter.time || frontmatter.zeit || ''}`.trim()
+            });
         });
+        return notes;
     }
 
-    async createMeetingNote(transcription, duration, audioPath) {
-        // Get current folder from active file, or use root
-        let folder = '';
-        const activeFile = this.plugin.app.workspace.getActiveFile();
-        if (activeFile && activeFile.parent) {
-            folder = activeFile.parent.path;
+    // Finds the earlier meetings of the same series, matched by the series name if one was
+    // given and by title otherwise. Returns null for one-off meetings. Open tasks are
+    // collected from all of them, as they stay in the note they were written in; open
+    // questions only from the latest.
+    async findSeries() {
+        const { seriesKey, findOpenItems, createBlockId } = loadPluginModule(this.plugin.app, 'meeting-series.js');
+        const { sanitizeFileName } = loadPluginModule(this.plugin.app, 'note-paths.js');
+        const explicit = (this.meeting.series || '').trim();
+        if (!explicit && !this.plugin.settings.detectSeries) return null;
+
+        const key = seriesKey(explicit || this.meeting.title);
+        if (!key) return null;
+
+        const { date, time } = this.getDateParts();
+        const current = `${date} ${time}`;
+        const earlier = this.getMeetingNotes()
+            .filter(note => seriesKey(note.frontmatter.series || note.title) === key && note.when && note.when < current)
+            .sort((a, b) => a.when.localeCompare(b.when));
+        const previous = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+
+        if (!previous && !explicit) return null;
+
+        const name = sanitizeFileName(explicit || previous.frontmatter.series || this.meeting.title);
+        const actionItems = [];
+        let questions = [];
+        for (const note of earlier) {
+            const open = findOpenItems(await this.plugin.app.vault.cachedRead(note.file));
+            open.actionItems.forEach(item => {
+                // Tasks without a block id get one written when the new note is saved
+                actionItems.push(Object.assign({}, item, { file: note.file, blockId: item.blockId || createBlockId(), added: !item.blockId }));
+            });
+            if (note === previous) questions = open.questions;
         }
 
-        console.log('Meeting Intelligence: Saving to folder:', folder || '(root)');
+        console.log('Meeting Intelligence: Series:', name, 'previous:', previous ? previous.file.path : '(none)');
+        return { name, previous: previous ? previous.file : null, actionItems: actionItems, questions: questions };
+    }
 
-        const now = new Date();
-        const date = now.toISOString().split('T')[0];
-        const time = now.toTimeString().split(' ')[0].substring(0, 5);
-        const title = this.titleInput.value.trim();
-        const attendees = this.attendeesInput.value.trim();
+    getSeriesIndexPath(name) {
+        const { joinPath } = loadPluginModule(this.plugin.app, 'note-paths.js');
+        return joinPath(this.plugin.settings.seriesFolder.replace(/^\/+|\/+$/g, ''), `${name}.md`);
+    }
 
-        // Use language from modal if selected, otherwise from settings
-        const selectedLanguage = this.languageSelect ? this.languageSelect.value : this.plugin.settings.language;
-        const template = MEETING_TEMPLATES[selectedLanguage] || MEETING_TEMPLATES['en'];
-
-        let content = template
-            .replace(/{{date}}/g, date)
-            .replace(/{{time}}/g, time)
-            .replace(/{{title}}/g, title)
-            .replace(/{{attendees}}/g, attendees)
-            .replace(/{{duration}}/g, duration)
-            .replace(/{{transcription}}/g, transcription);
-
-        // Auto-extract action items
-        if (this.plugin.settings.autoExtractActionItems) {
-            const actionItems = this.extractActionItems(transcription);
-            if (actionItems.length > 0) {
-                const actionItemsHeader = selectedLanguage === 'de' ? '## Aktionspunkte\n- [ ] ' : '## Action Items\n- [ ] ';
-                const actionItemsReplacement = selectedLanguage === 'de' ? '## Aktionspunkte\n' : '## Action Items\n';
-                content = content.replace(actionItemsHeader, actionItemsReplacement + actionItems.join('\n'));
-            }
+    getSeriesContext(series) {
+        if (!series) {
+            return { series: '', seriesIndex: '', previousMeeting: '', carriedActionItems: [], carriedQuestions: [] };
         }
+        return {
+            series: series.name,
+            seriesIndex: `[[${this.getSeriesIndexPath(series.name).replace(/\.md$/, '')}|${series.name}]]`,
+            previousMeeting: series.previous ? `[[${series.previous.basename}]]` : '',
+            // References to the tasks where they were written, not copies: checking off
+            // the original is what closes them
+            carriedActionItems: series.actionItems.map(item => ({
+                text: item.text,
+                owner: item.owner || '',
+                due: item.due || '',
+                meeting: `[[${item.file.basename}]]`,
+                link: `[[${item.file.basename}#^${item.blockId}|${item.file.basename}]]`
+            })),
+            carriedQuestions: series.questions
+        };
+    }
+
+    // Points the previous meeting at the new one and refreshes the series index note.
+    // The new note already exists, so failures here only cost the links.
+    async linkSeries(series, file) {
+        const { seriesKey, renderSeriesIndex, addBlockIds } = loadPluginModule(this.plugin.app, 'meeting-series.js');
+        const app = this.plugin.app;
+
+        try {
+            // The carried tasks' block ids, for the links in the new note's agenda
+            const sources = new Map();
+            series.actionItems.filter(item => item.added).forEach(item => {
+                if (!sources.has(item.file)) sources.set(item.file, []);
+                sources.get(item.file).push(item);
+            });
+            for (const [source, items] of sources) {
+                await app.vault.process(source, (content) => addBlockIds(content, items));
+            }
 
-        // Auto-detect decisions
-        if (this.plugin.settings.autoDetectDecisions) {
-            const decisions = this.extractDecisions(transcription);
-            if (decisions.length > 0) {
-                const decisionsHeader = selectedLanguage === 'de' ? '## Entscheidungen\n\n' : '## Decisions Made\n\n';
-                const decisionsReplacement = selectedLanguage === 'de' ? '## Entscheidungen\n' : '## Decisions Made\n';
-                content = content.replace(decisionsHeader, decisionsReplacement + decisions.join('\n') + '\n\n');
+            // The metadata cache doesn't know about the new note (or the previous one's
+            // new series field) yet, so both are added by hand
+            const key = seriesKey(series.name);
+            const notes = this.getMeetingNotes();
+            const occurrences = notes
+                .filter(note => note.file !== file && note.file !== series.previous && seriesKey(note.frontmatter.series) === key)
+                .map(note => ({ basename: note.file.basename, date: note.date }));
+            occurrences.push({ basename: file.basename, date: this.getDateParts().date });
+
+            if (series.previous) {
+                const previous = notes.find(note => note.file === series.previous);
+                occurrences.push({ basename: series.previous.basename, date: previous ? previous.date : '' });
+
+                await app.fileManager.processFrontMatter(series.previous, (frontmatter) => {
+                    frontmatter.series = frontmatter.series || series.name;
+                    frontmatter.next = `[[${file.basename}]]`;
+                });
             }
-        }
 
-        // Auto-link related notes based on meeting title
-        if (this.plugin.settings.autoLinkNotes) {
-            const links = await this.findRelatedNotes(title);
-            if (links.length > 0) {
-                const relatedNotesHeader = selectedLanguage === 'de' ? '## Verwandte Notizen\n\n' : '## Related Notes\n\n';
-                const relatedNotesReplacement = selectedLanguage === 'de' ? '## Verwandte Notizen\n' : '## Related Notes\n';
-                content = content.replace(relatedNotesHeader, relatedNotesReplacement + links.join('\n') + '\n\n');
+            const indexPath = this.getSeriesIndexPath(series.name);
+            const indexFile = app.vault.getAbstractFileByPath(indexPath);
+            if (indexFile instanceof TFile) {
+                await app.vault.process(indexFile, (content) => renderSeriesIndex(content, series.name, occurrences));
+            } else {
+                await this.plugin.ensureFolder(indexPath.substring(0, Math.max(0, indexPath.lastIndexOf('/'))));
+                await app.vault.create(indexPath, renderSeriesIndex(null, series.name, occurrences));
             }
+        } catch (error) {
+            console.error('Meeting Intelligence: Failed to link meeting series:', error);
+            new Notice('Could not update the meeting series: ' + error.message);
         }
+    }
 
-        // Add part number if this is a multi-part recording
-        const partSuffix = this.currentProcessingPart ? ` - Part ${this.currentProcessingPart}` : '';
-        const fileName = `${date} - ${title}${partSuffix}.md`;
-        const audioFileName = `${date} - ${title}${partSuffix}.webm`;
-        const filePath = folder ? `${folder}/${fileName}` : fileName;
-        const audioFilePath = folder ? `${folder}/${audioFileName}` : audioFileName;
+    // One discussion subsection per agenda item, each with the transcript matched to it
+    getAgendaContext(segments, agenda, audioParts) {
+        const { alignToAgenda } = loadPluginModule(this.plugin.app, 'agenda.js');
+        const { renderSegments, formatTimestamp, renderTimestampLink } = loadPluginModule(this.plugin.app, 'transcript.js');
+        const { sections, other } = alignToAgenda(segments, agenda);
+
+        return {
+            agenda: sections.map(section => {
+                const start = section.segments.length > 0 ? section.segments[0] : null;
+                return {
+                    title: section.title,
+                    addressed: section.addressed,
+                    discussion: renderSegments(section.segments, audioParts),
+                    time: start ? formatTimestamp(start.start) : '',
+                    link: start ? renderTimestampLink(start.start, audioParts[start.part]) : ''
+                };
+            }),
+            unaddressedAgenda: sections.filter(section => !section.addressed).map(section => section.title),
+            offAgendaTranscript: agenda.length > 0 ? renderSegments(other, audioParts) : ''
+        };
+    }
 
-        // Save audio file
-        if (this.audioBlob) {
-            try {
-                const arrayBuffer = await this.audioBlob.arrayBuffer();
-                await this.plugin.app.vault.adapter.writeBinary(audioFilePath, Buffer.from(arrayBuffer));
-                console.log('Meeting Intelligence: Saved audio to:', audioFilePath);
-
-                // Add audio link to content after title
-                const audioLink = `\n\n![[${audioFileName}]]\n`;
-                content = content.replace(/# {{title}}/, `# {{title}}${audioLink}`);
-                content = content.replace(`# ${title}`, `# ${title}${audioLink}`);
-            } catch (error) {
-                console.error('Meeting Intelligence: Failed to save audio:', error);
-                new Notice('Warning: Audio file could not be saved');
-            }
+    // Everything the pipeline produced, as variables for the note template
+    async buildTemplateContext(segments, analysis, audioParts, notePath) {
+        const { segmentsToText, renderSegments, renderPlainTranscript, groupSegments, formatTimestamp, renderTimestampLink } =
+            loadPluginModule(this.plugin.app, 'transcript.js');
+        const { listSpeakers } = loadPluginModule(this.plugin.app, 'diarizer.js');
+        const settings = this.plugin.settings;
+        const transcription = segmentsToText(segments);
+        const discussion = renderSegments(segments, audioParts);
+
+        let actionItems = [];
+        if (settings.autoExtractActionItems) {
+            const { extractActionItems, resolveOwner, resolveDueDate } = loadPluginModule(this.plugin.app, 'action-items.js');
+            const attendees = this.getAttendeeList();
+            const items = analysis
+                ? analysis.actionItems.map(item => ({
+                    text: item.text,
+                    owner: resolveOwner(item.owner, attendees) || item.owner,
+                    due: resolveDueDate(item.due, this.meeting.date)
+                }))
+                : extractActionItems(groupSegments(segments), { attendees: attendees, date: this.meeting.date });
+            actionItems = this.formatActionItems(items, notePath);
         }
 
-        // Clean up temp WAV file
-        if (audioPath && fs.existsSync(audioPath)) {
-            fs.unlinkSync(audioPath);
+        let decisions = [];
+        if (settings.autoDetectDecisions) {
+            decisions = analysis ? analysis.decisions : this.extractDecisions(transcription);
         }
 
-        await this.plugin.app.vault.create(filePath, content);
+        const relatedNotes = settings.autoLinkNotes ? await this.findRelatedNotes(segments, notePath) : [];
+        const audioFiles = audioParts
+            .filter(part => part.target)
+            .map(part => ({ path: part.target, embed: `![[${part.target}]]` }));
+
+        return {
+            title: this.meeting.title,
+            date: this.meeting.date,
+            time: this.getDateParts().time,
+            attendees: this.getAttendeeList().join(', '),
+            attendeeList: this.getAttendeeList(),
+            attendeeLinks: this.getAttendeeLinks(notePath),
+            duration: this.meeting.duration,
+            language: this.meeting.language,
+            summary: analysis ? analysis.summary : '',
+            actionItems: actionItems,
+            decisions: decisions,
+            openQuestions: analysis ? analysis.openQuestions : [],
+            relatedNotes: relatedNotes,
+            audio: audioFiles.map(file => file.embed).join('\n'),
+            audioFiles: audioFiles,
+            // Only recordings listed here are ever compressed or deleted by audio retention
+            recordings: audioParts.filter(part => part.saved).map(part => `[[${part.target}]]`),
+            transcript: discussion,
+            // Name used by the original built-in templates
+            transcription: discussion,
+            transcriptText: renderPlainTranscript(segments),
+            segments: groupSegments(segments).map(paragraph => ({
+                start: paragraph.start,
+                end: paragraph.end,
+                time: formatTimestamp(paragraph.start),
+                link: renderTimestampLink(paragraph.start, audioParts[paragraph.part]),
+                speaker: paragraph.speaker || '',
+                text: paragraph.text,
+                part: paragraph.part + 1
+            })),
+            speakers: listSpeakers(segments),
+            keyMoments: this.getKeyMoments(audioParts)
+        };
+    }
 
-        new Notice(`Meeting note created: ${fileName}`);
+    // Bookmarks set while recording, in meeting time and linked into the recording
+    getKeyMoments(audioParts) {
+        const { formatTimestamp, renderTimestampLink } = loadPluginModule(this.plugin.app, 'transcript.js');
+
+        return (this.meeting.bookmarks || [])
+            .map(bookmark => {
+                const parts = this.meeting.parts;
+                const index = parts.findIndex(part => part.partNumber === bookmark.partNumber);
+                let audioPart = audioParts[index];
+                let seconds = (audioPart ? audioPart.offset : 0) + bookmark.time;
+                if (index === -1) {
+                    // Its part recorded nothing and was left out, so the bookmark sits where
+                    // the next part starts (or the recording ends) and has no audio to link to
+                    const next = parts.findIndex(part => part.partNumber > bookmark.partNumber);
+                    const following = next === -1 ? null : audioParts[next];
+                    const last = this.preparedParts[this.preparedParts.length - 1];
+                    seconds = following ? following.offset : (last ? last.offset + last.seconds : 0);
+                    audioPart = null;
+                }
+                return {
+                    seconds: seconds,
+                    time: formatTimestamp(seconds),
+                    link: renderTimestampLink(seconds, audioPart),
+                    label: bookmark.label || ''
+                };
+            })
+            .sort((a, b) => a.seconds - b.seconds);
+    }
 
-        // Open the note
-        const file = this.plugin.app.vault.getAbstractFileByPath(filePath);
-        if (file instanceof TFile) {
-            await this.plugin.app.workspace.getLeaf().openFile(file);
-        }
+    // The calendar event the meeting was started from, if any
+    getEventContext() {
+        const event = this.meeting.event;
+        return {
+            eventUid: event ? event.uid : '',
+            scheduledStart: event ? new Date(event.start) : null,
+            scheduledEnd: event ? new Date(event.end) : null,
+            description: event ? event.description : '',
+            location: event ? event.location : ''
+        };
     }
 
-    extractActionItems(text) {
-        const actionItems = [];
-        const patterns = [
-            /(?:will|should|need to|must|has to|gonna)\s+([^.!?\n]{10,100})/gi,
-            /action item:?\s*([^.!?\n]+)/gi,
-            /TODO:?\s*([^.!?\n]+)/gi,
-            /\[action\]:?\s*([^.!?\n]+)/gi
-        ];
+    // A broken template note must not cost the meeting, so it falls back to the built-in one
+    async renderNote(context) {
+        const { renderTemplate } = loadPluginModule(this.plugin.app, 'template-engine.js');
+        const language = this.meeting.language;
+        const options = { locale: language === 'auto' ? undefined : language };
+        const builtIn = MEETING_TEMPLATES[language] || MEETING_TEMPLATES['en'];
 
-        patterns.forEach(pattern => {
-            const matches = text.matchAll(pattern);
-            for (const match of matches) {
-                const item = match[1].trim();
-                if (item.length > 10 && !actionItems.includes(item)) {
-                    actionItems.push(`- [ ] ${item}`);
+        const templatePath = this.meeting.template;
+        if (templatePath) {
+            const templateFile = this.plugin.app.vault.getAbstractFileByPath(templatePath);
+            try {
+                if (!(templateFile instanceof TFile)) {
+                    throw new Error('file not found');
+                }
+                const template = await this.plugin.app.vault.read(templateFile);
+                const content = renderTemplate(template, context, options);
+                if (this.plugin.settings.audioRetentionDays > 0 && context.recordings.length > 0 && !template.includes('recordings')) {
+                    new Notice(`Template "${templatePath}" has no "recordings" list in its frontmatter, so audio retention only finds recordings still named after the note`);
                 }
+                return content;
+            } catch (error) {
+                console.error('Meeting Intelligence: Template error:', templatePath, error);
+                new Notice(`Template "${templatePath}" could not be used (${error.message}), using the built-in template`);
             }
-        });
+        }
+
+        return renderTemplate(builtIn, context, options);
+    }
+
+    // Each item gets its rendered task line (`line`) in the configured format
+    formatActionItems(items, notePath) {
+        const { ACTION_ITEM_FORMATS, formatActionItem } = loadPluginModule(this.plugin.app, 'action-items.js');
+        const { formatDate } = loadPluginModule(this.plugin.app, 'template-engine.js');
+        const settings = this.plugin.settings;
+        const options = {
+            attendees: this.getAttendeeList(),
+            source: `[[${path.basename(notePath, '.md')}]]`
+        };
+
+        let template = settings.actionItemFormat === 'custom'
+            ? settings.actionItemTemplate
+            : (ACTION_ITEM_FORMATS[settings.actionItemFormat] || ACTION_ITEM_FORMATS.tasks).template;
+        try {
+            formatActionItem({ text: '', owner: null, due: null }, template, options);
+        } catch (error) {
+            new Notice(`Action item format could not be used (${error.message}), using the Tasks format`);
+            template = ACTION_ITEM_FORMATS.tasks.template;
+        }
 
-        return actionItems.slice(0, 10); // Limit to 10 items
+        return items.map(item => ({
+            text: item.text,
+            owner: item.owner || '',
+            due: item.due ? formatDate(item.due, 'YYYY-MM-DD') : '',
+            line: formatActionItem(item, template, options)
+        }));
     }
 
     extractDecisions(text) {
@@ -792,7 +1639,7 @@ class MeetingModal extends Modal {
             for (const match of matches) {
                 const decision = match[1].trim();
                 if (decision.length > 10 && !decisions.includes(decision)) {
-                    decisions.push(`- ${decision}`);
+                    decisions.push(decision);
                 }
             }
         });
@@ -800,167 +1647,2252 @@ class MeetingModal extends Modal {
         return decisions.slice(0, 8); // Limit to 8 decisions
     }
 
-    async findRelatedNotes(meetingTitle) {
-        const links = [];
-        const files = this.plugin.app.vault.getMarkdownFiles();
-
-        // Extract meaningful words from meeting title (ignore short words and dates)
-        const titleWords = meetingTitle
-            .toLowerCase()
-            .replace(/\d{4}-\d{2}-\d{2}/g, '') // Remove dates
-            .replace(/[^\w\säöüß]/g, ' ') // Remove special chars
-            .split(/\s+/)
-            .filter(word => word.length >= 3); // At least 3 characters
+    // Notes of the vault ranked against the title and transcript by the related-notes
+    // index, best first, with the words that matched as `reason`
+    async findRelatedNotes(segments, notePath) {
+        const { segmentsToText } = loadPluginModule(this.plugin.app, 'transcript.js');
+        const app = this.plugin.app;
 
-        console.log('Meeting Intelligence: Meeting title:', meetingTitle);
-        console.log('Meeting Intelligence: Searching for words:', titleWords);
-
-        // Get current meeting note basename to exclude it
-        const now = new Date();
-        const date = now.toISOString().split('T')[0];
-        const partSuffix = this.currentProcessingPart ? ` - Part ${this.currentProcessingPart}` : '';
-        const currentNoteBasename = `${date} - ${meetingTitle}${partSuffix}`;
+        try {
+            const index = await this.plugin.getRelatedNotesIndex();
+            // Attendees' person notes are linked already
+            const exclude = [notePath].concat(this.getAttendees().filter(attendee => attendee.file).map(attendee => attendee.file.path));
+            const results = index.search(this.meeting.title, segmentsToText(segments), {
+                threshold: this.plugin.settings.relatedNotesThreshold,
+                limit: 10,
+                exclude: exclude
+            });
+            console.log('Meeting Intelligence: Related notes:', results);
+
+            return results
+                .map(result => ({ result, file: app.vault.getAbstractFileByPath(result.path) }))
+                .filter(({ file }) => file instanceof TFile)
+                .map(({ result, file }) => ({
+                    name: file.basename,
+                    link: `[[${app.metadataCache.fileToLinktext(file, notePath, true)}]]`,
+                    score: Math.round(result.score * 100),
+                    reason: result.terms.join(', ')
+                }));
+        } catch (error) {
+            console.error('Meeting Intelligence: Finding related notes failed:', error);
+            return [];
+        }
+    }
+}
 
-        for (const file of files) {
-            const basename = file.basename.toLowerCase();
-            const basenameOriginal = file.basename;
+// Dropdown of the template notes in the template folder; remembers the last choice
+function createTemplatePicker(plugin, container) {
+    const templateContainer = container.createDiv({ cls: 'meeting-input-row' });
+    templateContainer.createEl('label', { text: 'Template:' });
+    const select = templateContainer.createEl('select', { cls: 'meeting-select' });
+    select.createEl('option', { text: 'Built-in', value: '' });
+
+    const templates = plugin.getTemplateFiles();
+    templates.forEach(file => select.createEl('option', { text: file.basename, value: file.path }));
+    select.value = templates.some(file => file.path === plugin.settings.lastTemplate) ? plugin.settings.lastTemplate : '';
+
+    select.onchange = async () => {
+        plugin.settings.lastTemplate = select.value;
+        await plugin.saveSettings();
+    };
+    return select;
+}
 
-            // Don't include the current meeting note itself
-            if (basenameOriginal === currentNoteBasename) {
-                console.log('Meeting Intelligence: Skipping current note:', basenameOriginal);
-                continue;
-            }
+// Creates a draft note with the agenda before the meeting; recording against it later
+// fills in the minutes
+// Progress of a queued transcription job inside a modal. Closing the modal only ends
+// the display; the job keeps running in the plugin's queue.
+class JobProgressPanel {
+    constructor(plugin, parentEl) {
+        this.plugin = plugin;
+        this.job = null;
+        this.unsubscribe = null;
 
-            // Check in filename first
-            const filenameMatch = titleWords.some(word => basename.includes(word));
+        this.containerEl = parentEl.createDiv({
+            cls: 'meeting-progress',
+            attr: { style: 'display: none;' }
+        });
+        this.containerEl.createEl('div', { text: 'Transcribing...', cls: 'meeting-label' });
+        const bar = this.containerEl.createDiv({ cls: 'meeting-progress-bar' });
+        this.fillEl = bar.createDiv({ cls: 'meeting-progress-fill' });
+        this.labelEl = this.containerEl.createDiv({ cls: 'meeting-label' });
+        this.containerEl.createDiv({
+            text: 'You can close this window; transcription continues in the background.',
+            cls: 'setting-item-description'
+        });
+        this.cancelButton = this.containerEl.createEl('button', {
+            text: 'Cancel',
+            cls: 'meeting-button'
+        });
+        this.cancelButton.onclick = () => this.cancel();
+    }
 
-            if (filenameMatch) {
-                console.log('Meeting Intelligence: Found in filename:', basenameOriginal, 'contains one of', titleWords);
-                links.push(`- [[${basenameOriginal}]]`);
-                continue; // Skip content search if already matched by filename
+    // onFinish(job) is called once the job is done or has failed
+    track(job, onFinish) {
+        this.stop();
+        this.job = job;
+        this.containerEl.style.display = 'block';
+        this.cancelButton.disabled = false;
+        this.render(job);
+
+        this.unsubscribe = this.plugin.watchJob(job.id, (current) => {
+            this.render(current);
+            if (current.status === 'done' || current.status === 'failed') {
+                this.stop();
+                onFinish(current);
             }
+        });
+    }
 
-            // Search in file content
-            try {
-                const content = await this.plugin.app.vault.read(file);
-                const contentLower = content.toLowerCase();
-
-                const contentMatch = titleWords.some(word => contentLower.includes(word));
-
-                if (contentMatch) {
-                    console.log('Meeting Intelligence: Found in content:', basenameOriginal, 'contains one of', titleWords);
-                    links.push(`- [[${basenameOriginal}]]`);
-                }
-            } catch (error) {
-                console.error('Meeting Intelligence: Error reading file:', basenameOriginal, error);
-            }
+    render(job) {
+        if (job.status === 'queued') {
+            const ahead = this.plugin.jobQueue.position(job.id);
+            this.fillEl.style.width = '0%';
+            this.labelEl.setText(`Waiting for ${ahead} other transcription${ahead === 1 ? '' : 's'}...`);
+            return;
         }
-
-        console.log('Meeting Intelligence: Found', links.length, 'related notes');
-        return links.slice(0, 10); // Limit to 10 links
+        this.fillEl.style.width = job.progress + '%';
+        this.labelEl.setText(job.status === 'failed' ? job.error : (job.message || Math.round(job.progress) + '%'));
     }
 
-    updateMicLevel(level) {
-        const volumeLevel = Math.min(100, Math.max(0, level));
-        this.meterFill.style.width = volumeLevel + '%';
-        this.meterLabel.setText(Math.round(volumeLevel) + '%');
+    cancel() {
+        if (!this.job) return;
+        this.plugin.jobQueue.cancel(this.job.id);
+        this.cancelButton.disabled = true;
+        this.labelEl.setText('Cancelling...');
     }
 
-    updateTranscribeProgress(percent, message = '') {
-        this.transcribeFill.style.width = percent + '%';
-        this.transcribeLabel.setText(message || percent + '%');
+    hide() {
+        this.stop();
+        this.containerEl.style.display = 'none';
     }
 
-    updateTimer() {
-        if (!this.startTime) return;
-        const elapsed = Date.now() - this.startTime;
-        const hours = Math.floor(elapsed / 3600000);
-        const minutes = Math.floor((elapsed % 3600000) / 60000);
-        const seconds = Math.floor((elapsed % 60000) / 1000);
-
-        this.timerEl.setText(
-            String(hours).padStart(2, '0') + ':' +
-            String(minutes).padStart(2, '0') + ':' +
-            String(seconds).padStart(2, '0')
-        );
-
-        // Auto-split at 60 minutes
-        if (this.isRecording && elapsed >= this.MAX_RECORDING_TIME) {
-            console.log('Meeting Intelligence: 60 minutes reached, auto-splitting...');
-            this.autoSplitRecording();
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
         }
     }
+}
 
-    getDuration() {
+class PrepareMeetingModal extends Modal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.addClass('meeting-intelligence-modal');
+
+        contentEl.createEl('h2', { text: '🗒️ Prepare Meeting' });
+
+        const infoContainer = contentEl.createDiv({ cls: 'meeting-info' });
+
+        infoContainer.createEl('label', { text: 'Meeting Title:' });
+        this.titleInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'e.g., Weekly Standup, Client Call...',
+            cls: 'meeting-input'
+        });
+
+        infoContainer.createEl('label', { text: 'Attendees (comma separated):' });
+        this.attendeesInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'John, Sarah, Michael...',
+            value: this.plugin.settings.attendeesDefault,
+            cls: 'meeting-input'
+        });
+
+        infoContainer.createEl('label', { text: 'Series (optional):' });
+        this.seriesInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'e.g. Weekly Standup',
+            cls: 'meeting-input'
+        });
+
+        const now = new Date();
+        const whenContainer = infoContainer.createDiv({ cls: 'meeting-input-row' });
+        whenContainer.createEl('label', { text: 'When:' });
+        this.dateInput = whenContainer.createEl('input', {
+            type: 'date',
+            value: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`,
+            cls: 'meeting-input'
+        });
+        this.timeInput = whenContainer.createEl('input', {
+            type: 'time',
+            value: `${String((now.getHours() + 1) % 24).padStart(2, '0')}:00`,
+            cls: 'meeting-input'
+        });
+
+        infoContainer.createEl('label', { text: 'Agenda (one item per line):' });
+        this.agendaInput = infoContainer.createEl('textarea', {
+            placeholder: 'Budget for Q3\nHiring the new designer\nOffice move',
+            cls: 'meeting-input'
+        });
+        this.agendaInput.rows = 6;
+
+        const buttonContainer = contentEl.createDiv({ cls: 'meeting-buttons' });
+        const createButton = buttonContainer.createEl('button', {
+            text: 'Create Draft',
+            cls: 'meeting-button primary'
+        });
+        createButton.onclick = () => this.createDraft();
+
+        buttonContainer.createEl('button', { text: 'Cancel', cls: 'meeting-button' })
+            .onclick = () => this.close();
+    }
+
+    async createDraft() {
+        const { renderDraft } = loadPluginModule(this.plugin.app, 'agenda.js');
+        const { joinPath } = loadPluginModule(this.plugin.app, 'note-paths.js');
+
+        const title = this.titleInput.value.trim();
+        if (!title) {
+            new Notice('Please enter a meeting title');
+            return;
+        }
+
+        const [year, month, day] = this.dateInput.value.split('-').map(Number);
+        const [hours, minutes] = (this.timeInput.value || '00:00').split(':').map(Number);
+        const date = year ? new Date(year, month - 1, day, hours || 0, minutes || 0) : new Date();
+        const meeting = { title, language: this.plugin.settings.language, date };
+
+        try {
+            const { folder, basename } = this.plugin.getNoteDestination(meeting);
+            await this.plugin.ensureFolder(folder);
+            const filePath = await this.plugin.getAvailablePath(joinPath(folder, basename), 'md');
+
+            const file = await this.app.vault.create(filePath, renderDraft({
+                title: title,
+                date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+                time: date.toTimeString().substring(0, 5),
+                attendees: this.attendeesInput.value.trim(),
+                series: this.seriesInput.value.trim(),
+                agenda: this.agendaInput.value.split('\n').map(line => line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '').trim()).filter(line => line)
+            }));
+
+            new Notice('Meeting draft created. Use "Start meeting from current draft" when the meeting begins.');
+            this.close();
+            await this.app.workspace.getLeaf().openFile(file);
+        } catch (error) {
+            console.error('Meeting Intelligence: Failed to create meeting draft:', error);
+            new Notice('Could not create the meeting draft: ' + error.message);
+        }
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+class MeetingModal extends Modal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.isRecording = false;
+        this.startTime = null;
+        this.timerInterval = null;
+        this.volumeLevel = 0;
+        this.recorder = new AudioRecorder(plugin);
+        this.audioBlob = null; // Store audio blob for later saving
+        this.recordingParts = []; // Store multiple recording parts for auto-splitting
+        this.currentPartNumber = 1;
+        this.isSplitting = false;
+        this.silenceWarned = false;
+        // Paused time is left out of the timer; pausedAt is set while paused
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+        // { partNumber, time, label } with time in seconds into that part
+        this.bookmarks = [];
+        this.liveTranscriber = null;
+        this.spool = null;
+        this.draft = null;
+        this.calendarEvent = null;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.addClass('meeting-intelligence-modal');
+
+        // Make modal larger
+        this.modalEl.style.width = '700px';
+        this.modalEl.style.maxWidth = '90vw';
+
+        contentEl.createEl('h2', { text: '🎙️ Meeting Intelligence' });
+
+        // Meeting Info
+        const infoContainer = contentEl.createDiv({ cls: 'meeting-info' });
+
+        this.calendarEvent = null;
+        if (this.plugin.settings.calendarSources.trim()) {
+            const eventContainer = infoContainer.createDiv({ cls: 'meeting-input-row' });
+            eventContainer.createEl('label', { text: 'Calendar event:' });
+            this.eventSelect = eventContainer.createEl('select', { cls: 'meeting-select' });
+            this.eventSelect.createEl('option', { text: 'Loading today\'s events...', value: '' });
+            this.eventInfoEl = infoContainer.createEl('p', { cls: 'setting-item-description meeting-event-info' });
+            this.loadCalendarEvents();
+        } else {
+            this.eventSelect = null;
+        }
+
+        infoContainer.createEl('label', { text: 'Meeting Title:' });
+        this.titleInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'e.g., Weekly Standup, Client Call...',
+            cls: 'meeting-input'
+        });
+
+        infoContainer.createEl('label', { text: 'Attendees (comma separated):' });
+        this.attendeesInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'John, Sarah, Michael...',
+            value: this.plugin.settings.attendeesDefault,
+            cls: 'meeting-input'
+        });
+
+        infoContainer.createEl('label', { text: 'Series (optional):' });
+        this.seriesInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'Detected from the title, e.g. Weekly Standup',
+            cls: 'meeting-input'
+        });
+
+        // Language selection
+        const langContainer = infoContainer.createDiv({ cls: 'meeting-input-row' });
+        langContainer.createEl('label', { text: 'Language:' });
+        this.languageSelect = langContainer.createEl('select', { cls: 'meeting-select' });
+        this.languageSelect.createEl('option', { text: 'Auto-detect', value: 'auto' });
+        this.languageSelect.createEl('option', { text: 'English', value: 'en' });
+        this.languageSelect.createEl('option', { text: 'Deutsch', value: 'de' });
+        this.languageSelect.value = this.plugin.settings.language;
+
+        this.templateSelect = createTemplatePicker(this.plugin, infoContainer);
+
+        // Which microphone and second source to record, when there is a choice
+        const profiles = this.plugin.settings.audioProfiles;
+        if (profiles.length > 1) {
+            const profileContainer = infoContainer.createDiv({ cls: 'meeting-input-row' });
+            profileContainer.createEl('label', { text: 'Audio profile:' });
+            this.profileSelect = profileContainer.createEl('select', { cls: 'meeting-select' });
+            profiles.forEach(profile => this.profileSelect.createEl('option', { text: profile.name, value: profile.name }));
+            this.profileSelect.value = this.plugin.getAudioProfile().name;
+        } else {
+            this.profileSelect = null;
+        }
+
+        if (this.draft) {
+            this.draftInfoEl = infoContainer.createEl('p', { cls: 'setting-item-description' });
+            this.fillFromDraft();
+        }
+
+        // Status
+        this.statusEl = contentEl.createDiv({ cls: 'meeting-status' });
+        this.statusEl.setText('Ready to start');
+
+        this.timerEl = contentEl.createDiv({ cls: 'meeting-timer' });
+        this.timerEl.setText('00:00:00');
+
+        // Audio Level Meter
+        const vizContainer = contentEl.createDiv({ cls: 'meeting-visualizer' });
+        vizContainer.createEl('div', { text: 'Audio Level', cls: 'meeting-label' });
+        const meterContainer = vizContainer.createDiv({ cls: 'meeting-meter' });
+        this.meterFill = meterContainer.createDiv({ cls: 'meeting-meter-fill' });
+        this.meterLabel = meterContainer.createDiv({ cls: 'meeting-meter-label', text: '0%' });
+
+        // Live Transcript
+        this.liveContainer = contentEl.createDiv({
+            cls: 'meeting-live',
+            attr: { style: 'display: none;' }
+        });
+        this.liveContainer.createEl('div', { text: 'Live Transcript', cls: 'meeting-label' });
+        this.liveTranscriptEl = this.liveContainer.createDiv({ cls: 'meeting-live-transcript' });
+
+        // Bookmarks, while recording
+        this.bookmarkContainer = contentEl.createDiv({
+            cls: 'meeting-bookmark-row',
+            attr: { style: 'display: none;' }
+        });
+        this.bookmarkInput = this.bookmarkContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'Bookmark label (optional)',
+            cls: 'meeting-input'
+        });
+        this.bookmarkInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.addBookmark();
+            }
+        });
+        this.bookmarkButton = this.bookmarkContainer.createEl('button', {
+            text: '🔖 Bookmark',
+            cls: 'meeting-button'
+        });
+        this.bookmarkButton.onclick = () => this.addBookmark();
+        this.scope.register(['Mod'], 'b', () => {
+            this.addBookmark();
+            return false;
+        });
+
+        // Transcription Progress
+        this.progressPanel = new JobProgressPanel(this.plugin, contentEl);
+
+        // Buttons
+        const buttonContainer = contentEl.createDiv({ cls: 'meeting-buttons' });
+
+        this.recordButton = buttonContainer.createEl('button', {
+            text: '▶ Start Meeting',
+            cls: 'meeting-button primary'
+        });
+        this.recordButton.onclick = () => this.toggleRecording();
+
+        this.pauseButton = buttonContainer.createEl('button', {
+            text: '⏸ Pause',
+            cls: 'meeting-button',
+            attr: { style: 'display: none;' }
+        });
+        this.pauseButton.onclick = () => this.togglePause();
+
+        this.closeButton = buttonContainer.createEl('button', {
+            text: 'Close',
+            cls: 'meeting-button'
+        });
+        this.closeButton.onclick = () => this.close();
+    }
+
+    async loadCalendarEvents() {
+        const events = await this.plugin.getTodaysEvents();
+        // The modal may have been closed or the recording started in the meantime
+        if (!this.eventSelect || this.isRecording) return;
+
+        const formatTime = (date) => date.toTimeString().substring(0, 5);
+        this.eventSelect.empty();
+        this.eventSelect.createEl('option', {
+            text: events.length > 0 ? 'None' : 'No more events today',
+            value: ''
+        });
+        events.forEach((event, index) => this.eventSelect.createEl('option', {
+            text: `${formatTime(event.start)}–${formatTime(event.end)} ${event.title || 'Untitled event'}`,
+            value: String(index)
+        }));
+
+        this.eventSelect.onchange = () => {
+            const event = events[parseInt(this.eventSelect.value, 10)] || null;
+            this.calendarEvent = event;
+            if (!event) {
+                this.eventInfoEl.setText('');
+                return;
+            }
+
+            this.titleInput.value = event.title;
+            if (event.attendees.length > 0) {
+                this.attendeesInput.value = event.attendees.join(', ');
+            }
+            const details = [`Scheduled ${formatTime(event.start)}–${formatTime(event.end)}`, event.location]
+                .filter(detail => detail)
+                .join(' · ');
+            this.eventInfoEl.setText(event.description ? `${details}\n${event.description}` : details);
+        };
+    }
+
+    // The chosen calendar event in the form kept in the meeting and the spool manifest
+    getEventInfo() {
+        const event = this.calendarEvent;
+        if (!event) return null;
+        return {
+            uid: event.uid,
+            start: event.start.getTime(),
+            end: event.end.getTime(),
+            description: event.description,
+            location: event.location
+        };
+    }
+
+    // Title, attendees and series come from the draft's frontmatter and heading
+    async fillFromDraft() {
+        const { parseAgenda } = loadPluginModule(this.plugin.app, 'agenda.js');
+        const cache = this.app.metadataCache.getFileCache(this.draft) || {};
+        const frontmatter = cache.frontmatter || {};
+        const heading = (cache.headings || []).find(h => h.level === 1);
+
+        this.titleInput.value = heading ? heading.heading : this.draft.basename;
+        const attendees = frontmatter.attendees || frontmatter.teilnehmer;
+        if (attendees) {
+            const { parseAttendees } = loadPluginModule(this.plugin.app, 'people.js');
+            this.attendeesInput.value = parseAttendees(Array.isArray(attendees) ? attendees.join(', ') : String(attendees)).join(', ');
+        }
+        this.seriesInput.value = frontmatter.series ? String(frontmatter.series) : '';
+
+        const agenda = parseAgenda(await this.app.vault.cachedRead(this.draft));
+        this.draftInfoEl.setText(`Recording against "${this.draft.basename}" · ${agenda.length} agenda item(s)`);
+    }
+
+    async toggleRecording() {
+        if (!this.isRecording) {
+            await this.startRecording();
+        } else {
+            await this.stopRecording();
+        }
+    }
+
+    async startRecording() {
+        if (!this.titleInput.value.trim()) {
+            new Notice('Please enter a meeting title');
+            return;
+        }
+
+        try {
+            this.meetingStartedAt = new Date();
+            this.bookmarks = [];
+            this.startSpool();
+            this.startLiveTranscription();
+            this.recorder.onSilence = (seconds) => this.onSilence(seconds);
+            this.recorder.profile = this.plugin.getAudioProfile(this.profileSelect ? this.profileSelect.value : undefined);
+            await this.recorder.startRecording();
+            this.isRecording = true;
+            this.startTime = Date.now();
+            this.pausedAt = null;
+            this.pausedTotal = 0;
+
+            this.recordButton.setText('⏹ Stop Meeting');
+            this.recordButton.removeClass('primary');
+            this.recordButton.addClass('stop');
+            this.statusEl.setText('🔴 Recording...');
+            this.titleInput.disabled = true;
+            this.attendeesInput.disabled = true;
+            this.seriesInput.disabled = true;
+            this.templateSelect.disabled = true;
+            if (this.eventSelect) this.eventSelect.disabled = true;
+            if (this.profileSelect) this.profileSelect.disabled = true;
+            this.pauseButton.setText('⏸ Pause');
+            this.pauseButton.style.display = '';
+            this.bookmarkButton.setText('🔖 Bookmark');
+            this.bookmarkContainer.style.display = '';
+
+            this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+
+        } catch (error) {
+            new Notice('Could not start recording: ' + error.message);
+            console.error(error);
+            this.discardSpool();
+        }
+    }
+
+    startSpool() {
+        const { RecordingSpool } = loadPluginModule(this.plugin.app, 'recording-spool.js');
+
+        try {
+            this.spool = RecordingSpool.create(getSessionsDir(this.plugin.app), {
+                title: this.titleInput.value.trim(),
+                attendees: this.attendeesInput.value.trim(),
+                series: this.seriesInput.value.trim(),
+                language: this.getLanguage(),
+                template: this.templateSelect.value,
+                draft: this.draft ? this.draft.path : '',
+                event: this.getEventInfo(),
+                startedAt: this.meetingStartedAt.getTime()
+            });
+            const spool = this.spool;
+            spool.startPart(this.currentPartNumber);
+            this.plugin.activeSessionId = spool.id;
+            this.recorder.onData = (blob) => spool.append(this.currentPartNumber, blob);
+        } catch (error) {
+            console.error('Meeting Intelligence: Failed to create recording spool:', error);
+            new Notice('Warning: Recording is not backed up to disk and cannot be recovered after a crash');
+            this.spool = null;
+            this.recorder.onData = null;
+        }
+    }
+
+    // Called once the meeting note exists; the spooled audio is no longer needed
+    discardSpool() {
+        if (this.spool) {
+            this.spool.remove();
+            this.spool = null;
+        }
+        this.plugin.activeSessionId = null;
+    }
+
+    // Leaves the spooled audio on disk for the "Recover unfinished recording" command
+    releaseSpool() {
+        this.spool = null;
+        this.plugin.activeSessionId = null;
+    }
+
+    startLiveTranscription() {
+        if (!this.plugin.settings.liveTranscription) {
+            this.recorder.onChunk = null;
+            return;
+        }
+
+        this.liveTranscriber = new LiveTranscriber(this.plugin, this.getLanguage(), (segments) => this.updateLiveTranscript(segments));
+        this.recorder.chunkSeconds = this.plugin.settings.liveChunkSeconds;
+        this.recorder.onChunk = (chunk) => this.liveTranscriber.addChunk(chunk);
+
+        this.liveTranscriptEl.empty();
+        this.liveTranscriptEl.createDiv({ text: 'Listening...', cls: 'meeting-live-placeholder' });
+        this.liveContainer.style.display = 'block';
+    }
+
+    finishLiveTranscription() {
+        if (!this.liveTranscriber) return null;
+
+        const result = this.liveTranscriber.finish();
+        this.liveTranscriber = null;
+        return result;
+    }
+
+    updateLiveTranscript(segments) {
+        const { formatTimestamp } = loadPluginModule(this.plugin.app, 'transcript.js');
+
+        this.liveTranscriptEl.empty();
+        segments.forEach(segment => {
+            const line = this.liveTranscriptEl.createDiv({ cls: 'meeting-live-segment' });
+            line.createSpan({ text: formatTimestamp(segment.start), cls: 'meeting-live-time' });
+            line.createSpan({ text: ' ' + segment.text });
+        });
+        this.liveTranscriptEl.scrollTop = this.liveTranscriptEl.scrollHeight;
+    }
+
+    async autoSplitRecording() {
+        console.log(`Meeting Intelligence: Auto-splitting after ${this.getDuration()}, saving part`, this.currentPartNumber);
+
+        new Notice(`Meeting part ${this.currentPartNumber} complete (${this.getDuration()}). Starting part ${this.currentPartNumber + 1}...`);
+
+        // Stop current recording and save it
+        const audioBlob = await this.recorder.stopRecording();
+        const duration = this.getDuration();
+
+        // Store this part
+        this.recordingParts.push({
+            blob: audioBlob,
+            duration: duration,
+            partNumber: this.currentPartNumber,
+            liveResult: this.finishLiveTranscription()
+        });
+
+        if (this.spool) {
+            await this.spool.flush();
+            this.spool.finishPart(this.currentPartNumber, duration);
+        }
+
+        // Immediately start new recording for next part
+        this.currentPartNumber++;
+        this.startTime = Date.now(); // Reset timer for new part
+        this.pausedTotal = 0;
+
+        if (this.spool) {
+            this.spool.startPart(this.currentPartNumber);
+        }
+
+        try {
+            this.startLiveTranscription();
+            await this.recorder.startRecording();
+            this.statusEl.setText(this.getRecordingStatus());
+            console.log('Meeting Intelligence: Started part', this.currentPartNumber);
+        } catch (error) {
+            console.error('Meeting Intelligence: Failed to start next part:', error);
+            new Notice('Auto-split failed. Please stop and restart recording.');
+            this.isRecording = false;
+        }
+    }
+
+    togglePause() {
+        if (!this.isRecording || this.isSplitting) return;
+
+        if (this.pausedAt) {
+            this.pausedTotal += Date.now() - this.pausedAt;
+            this.pausedAt = null;
+            this.recorder.resumeRecording();
+            this.pauseButton.setText('⏸ Pause');
+            this.statusEl.setText(this.getRecordingStatus());
+        } else {
+            this.recorder.pauseRecording();
+            this.pausedAt = Date.now();
+            this.pauseButton.setText('▶ Resume');
+            this.statusEl.setText('⏸ Paused - nothing is recorded');
+            this.updateMicLevel(0);
+        }
+    }
+
+    // Marks the current moment, with the label typed so far, for the note's key moments
+    addBookmark() {
+        if (!this.isRecording) return;
+
+        const bookmark = {
+            partNumber: this.currentPartNumber,
+            time: Math.floor(this.getElapsed() / 1000),
+            label: this.bookmarkInput.value.trim()
+        };
+        this.bookmarks.push(bookmark);
+        if (this.spool) {
+            this.spool.addBookmark(bookmark);
+        }
+
+        this.bookmarkInput.value = '';
+        this.bookmarkButton.setText(`🔖 Bookmark (${this.bookmarks.length})`);
+        new Notice(`🔖 Bookmarked ${this.getDuration()}${bookmark.label ? ': ' + bookmark.label : ''}`);
+    }
+
+    async stopRecording() {
+        this.isRecording = false;
+        clearInterval(this.timerInterval);
+        this.pauseButton.style.display = 'none';
+        this.bookmarkContainer.style.display = 'none';
+
+        this.recordButton.setText('Processing...');
+        this.recordButton.disabled = true;
+        this.statusEl.setText('Processing recording...');
+        this.updateMicLevel(0);
+
+        this.audioBlob = await this.recorder.stopRecording();
+        const liveResult = this.finishLiveTranscription();
+
+        if (this.spool) {
+            await this.spool.flush();
+            this.spool.finishPart(this.currentPartNumber, this.getDuration());
+        }
+
+        // Add the final part
+        this.recordingParts.push({
+            blob: this.audioBlob,
+            duration: this.getDuration(),
+            partNumber: this.currentPartNumber,
+            liveResult: liveResult
+        });
+
+        try {
+            await this.queueRecording();
+        } catch (error) {
+            console.error('Meeting Intelligence: Failed to queue the recording:', error);
+            new Notice('Could not queue the recording for transcription: ' + error.message +
+                (this.spool ? ' The recording was kept and can be recovered.' : ''));
+            this.releaseSpool();
+            this.recordingParts = [];
+            this.currentPartNumber = 1;
+            this.resetModal();
+        }
+    }
+
+    // All parts of an auto-split recording end up in one note with a combined transcript.
+    // The plugin's queue does the work; this modal only shows its progress.
+    async queueRecording() {
+        const parts = this.recordingParts;
+        const job = await this.plugin.queueRecording({
+            title: this.titleInput.value.trim(),
+            attendees: this.attendeesInput.value.trim(),
+            series: this.seriesInput.value.trim(),
+            language: this.getLanguage(),
+            template: this.templateSelect.value,
+            draft: this.draft ? this.draft.path : '',
+            event: this.getEventInfo(),
+            date: (this.meetingStartedAt || new Date()).getTime(),
+            bookmarks: this.bookmarks
+        }, this.spool, parts);
+
+        // The queue owns the spooled audio from here on
+        this.releaseSpool();
+        // Reset for next recording
+        this.recordingParts = [];
+        this.currentPartNumber = 1;
+        this.bookmarks = [];
+
+        this.statusEl.setText('Recording queued for transcription');
+        this.progressPanel.track(job, (finished) => {
+            if (finished.status === 'done') {
+                setTimeout(() => this.close(), 1000);
+            } else {
+                this.resetModal();
+            }
+        });
+    }
+
+    getLanguage() {
+        // Use language from modal if selected, otherwise from settings
+        return this.languageSelect ? this.languageSelect.value : this.plugin.settings.language;
+    }
+
+    updateMicLevel(level) {
+        const volumeLevel = Math.min(100, Math.max(0, level));
+        this.meterFill.style.width = volumeLevel + '%';
+        this.meterLabel.setText(Math.round(volumeLevel) + '%');
+    }
+
+    // Milliseconds recorded in the current part, without paused time
+    getElapsed() {
+        if (!this.startTime) return 0;
+        const pausing = this.pausedAt ? Date.now() - this.pausedAt : 0;
+        return Date.now() - this.startTime - this.pausedTotal - pausing;
+    }
+
+    updateTimer() {
+        if (!this.startTime) return;
+        const elapsed = this.getElapsed();
+        const hours = Math.floor(elapsed / 3600000);
+        const minutes = Math.floor((elapsed % 3600000) / 60000);
+        const seconds = Math.floor((elapsed % 60000) / 1000);
+
+        this.timerEl.setText(
+            String(hours).padStart(2, '0') + ':' +
+            String(minutes).padStart(2, '0') + ':' +
+            String(seconds).padStart(2, '0')
+        );
+
+        // Without a pause near the split length, split anyway
+        const maxRecordingTime = this.plugin.settings.splitRecordingMinutes * 60 * 1000;
+        if (elapsed >= maxRecordingTime + SPLIT_PAUSE_WINDOW_SECONDS * 1000) {
+            this.startAutoSplit('no pause found');
+        }
+    }
+
+    getRecordingStatus() {
+        return this.currentPartNumber > 1 ? `🔴 Recording... (Part ${this.currentPartNumber})` : '🔴 Recording...';
+    }
+
+    // Called by the recorder with the seconds since speech was last heard
+    onSilence(seconds) {
+        if (!this.isRecording || !this.startTime) return;
+
+        // Auto-split long recordings into parts at a pause; they are merged again into one note
+        const elapsed = this.getElapsed();
+        const maxRecordingTime = this.plugin.settings.splitRecordingMinutes * 60 * 1000;
+        if (seconds >= SPLIT_PAUSE_SECONDS && elapsed >= maxRecordingTime - SPLIT_PAUSE_WINDOW_SECONDS * 1000) {
+            this.startAutoSplit('pause');
+        }
+
+        const warningMinutes = this.plugin.settings.silenceWarningMinutes;
+        if (warningMinutes > 0 && seconds >= warningMinutes * 60 && !this.silenceWarned) {
+            this.silenceWarned = true;
+            this.statusEl.setText(`🔇 Nothing heard for ${warningMinutes} min`);
+            new Notice(`Meeting Intelligence: Nothing heard for ${warningMinutes} minutes. Is the microphone muted?`);
+        } else if (this.silenceWarned && seconds < 1) {
+            this.silenceWarned = false;
+            this.statusEl.setText(this.getRecordingStatus());
+        }
+    }
+
+    startAutoSplit(reason) {
+        if (!this.isRecording || this.isSplitting) return;
+        console.log(`Meeting Intelligence: Split length reached (${reason}), auto-splitting...`);
+        this.isSplitting = true;
+        this.autoSplitRecording().finally(() => {
+            this.isSplitting = false;
+        });
+    }
+
+    getDuration() {
         if (!this.startTime) return '00:00:00';
-        const elapsed = Date.now() - this.startTime;
+        const elapsed = this.getElapsed();
         const hours = Math.floor(elapsed / 3600000);
         const minutes = Math.floor((elapsed % 3600000) / 60000);
         const seconds = Math.floor((elapsed % 60000) / 1000);
 
-        return String(hours).padStart(2, '0') + ':' +
-               String(minutes).padStart(2, '0') + ':' +
-               String(seconds).padStart(2, '0');
+        return String(hours).padStart(2, '0') + ':' +
+               String(minutes).padStart(2, '0') + ':' +
+               String(seconds).padStart(2, '0');
+    }
+
+    resetModal() {
+        this.recordButton.setText('▶ Start Meeting');
+        this.recordButton.disabled = false;
+        this.recordButton.removeClass('stop');
+        this.recordButton.addClass('primary');
+        this.statusEl.setText('Ready to start');
+        this.titleInput.disabled = false;
+        this.attendeesInput.disabled = false;
+        this.seriesInput.disabled = false;
+        this.templateSelect.disabled = false;
+        if (this.eventSelect) this.eventSelect.disabled = false;
+        if (this.profileSelect) this.profileSelect.disabled = false;
+        this.pauseButton.style.display = 'none';
+        this.bookmarkContainer.style.display = 'none';
+        this.progressPanel.hide();
+        this.liveContainer.style.display = 'none';
+    }
+
+    onClose() {
+        // Stop recording if active
+        if (this.isRecording) {
+            this.isRecording = false;
+            if (this.timerInterval) {
+                clearInterval(this.timerInterval);
+            }
+            if (this.liveTranscriber) {
+                this.liveTranscriber.cancel();
+                this.liveTranscriber = null;
+            }
+            this.recorder.stopLiveCapture();
+            this.recorder.stopVolumeMonitoring();
+            // Stopping the recorder emits the last chunk so it still reaches the spool
+            if (this.recorder.mediaRecorder && this.recorder.mediaRecorder.state !== 'inactive') {
+                this.recorder.mediaRecorder.stop();
+            }
+            this.recorder.stopStreams();
+
+            if (this.spool) {
+                new Notice('Recording saved. Use "Recover unfinished recording" to process it.');
+                this.releaseSpool();
+            }
+        }
+
+        // A queued transcription carries on without this modal
+        this.progressPanel.stop();
+
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+
+class AudioFileSuggestModal extends FuzzySuggestModal {
+    constructor(app, onChoose) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder('Choose an audio or video file to transcribe...');
+    }
+
+    getItems() {
+        return this.app.vault.getFiles().filter(file => AUDIO_MIME_TYPES[file.extension.toLowerCase()]);
+    }
+
+    getItemText(file) {
+        return file.path;
+    }
+
+    onChooseItem(file) {
+        this.onChoose(file);
+    }
+}
+
+class ImportAudioModal extends Modal {
+    constructor(app, plugin, file) {
+        super(app);
+        this.plugin = plugin;
+        this.file = file;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.addClass('meeting-intelligence-modal');
+
+        this.modalEl.style.width = '700px';
+        this.modalEl.style.maxWidth = '90vw';
+
+        contentEl.createEl('h2', { text: '🎧 Transcribe Audio File' });
+        contentEl.createEl('div', { text: this.file.path, cls: 'meeting-label' });
+
+        // Meeting Info
+        const infoContainer = contentEl.createDiv({ cls: 'meeting-info' });
+
+        infoContainer.createEl('label', { text: 'Meeting Title:' });
+        this.titleInput = infoContainer.createEl('input', {
+            type: 'text',
+            value: this.file.basename,
+            cls: 'meeting-input'
+        });
+
+        infoContainer.createEl('label', { text: 'Attendees (comma separated):' });
+        this.attendeesInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'John, Sarah, Michael...',
+            value: this.plugin.settings.attendeesDefault,
+            cls: 'meeting-input'
+        });
+
+        infoContainer.createEl('label', { text: 'Series (optional):' });
+        this.seriesInput = infoContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'Detected from the title, e.g. Weekly Standup',
+            cls: 'meeting-input'
+        });
+
+        const langContainer = infoContainer.createDiv({ cls: 'meeting-input-row' });
+        langContainer.createEl('label', { text: 'Language:' });
+        this.languageSelect = langContainer.createEl('select', { cls: 'meeting-select' });
+        this.languageSelect.createEl('option', { text: 'Auto-detect', value: 'auto' });
+        this.languageSelect.createEl('option', { text: 'English', value: 'en' });
+        this.languageSelect.createEl('option', { text: 'Deutsch', value: 'de' });
+        this.languageSelect.value = this.plugin.settings.language;
+
+        this.templateSelect = createTemplatePicker(this.plugin, infoContainer);
+
+        // Transcription Progress
+        this.progressPanel = new JobProgressPanel(this.plugin, contentEl);
+
+        // Buttons
+        const buttonContainer = contentEl.createDiv({ cls: 'meeting-buttons' });
+
+        this.transcribeButton = buttonContainer.createEl('button', {
+            text: '▶ Transcribe',
+            cls: 'meeting-button primary'
+        });
+        this.transcribeButton.onclick = () => this.transcribeFile();
+
+        this.closeButton = buttonContainer.createEl('button', {
+            text: 'Close',
+            cls: 'meeting-button'
+        });
+        this.closeButton.onclick = () => this.close();
+    }
+
+    async transcribeFile() {
+        if (!this.titleInput.value.trim()) {
+            new Notice('Please enter a meeting title');
+            return;
+        }
+
+        this.transcribeButton.setText('Processing...');
+        this.transcribeButton.disabled = true;
+        this.titleInput.disabled = true;
+        this.attendeesInput.disabled = true;
+        this.seriesInput.disabled = true;
+        this.templateSelect.disabled = true;
+
+        // Synced phone/Zoom recordings often get a fresh ctime, so use whichever is older
+        const fileDate = new Date(Math.min(this.file.stat.ctime, this.file.stat.mtime));
+
+        const job = this.plugin.queueAudioFile({
+            title: this.titleInput.value.trim(),
+            attendees: this.attendeesInput.value.trim(),
+            series: this.seriesInput.value.trim(),
+            language: this.languageSelect.value,
+            template: this.templateSelect.value,
+            draft: '',
+            event: null,
+            date: fileDate.getTime()
+        }, this.file);
+
+        this.progressPanel.track(job, (finished) => {
+            if (finished.status === 'done') {
+                setTimeout(() => this.close(), 1000);
+                return;
+            }
+            this.transcribeButton.setText('▶ Transcribe');
+            this.transcribeButton.disabled = false;
+            this.titleInput.disabled = false;
+            this.attendeesInput.disabled = false;
+            this.seriesInput.disabled = false;
+            this.templateSelect.disabled = false;
+            this.progressPanel.hide();
+        });
+    }
+
+    onClose() {
+        this.progressPanel.stop();
+        this.contentEl.empty();
+    }
+}
+
+class RecoverRecordingModal extends Modal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.addClass('meeting-intelligence-modal');
+
+        contentEl.createEl('h2', { text: '🛟 Unfinished Recordings' });
+
+        this.listEl = contentEl.createDiv();
+
+        this.renderSessions();
+    }
+
+    renderSessions() {
+        this.listEl.empty();
+
+        const sessions = this.plugin.getUnfinishedSessions();
+        if (sessions.length === 0) {
+            this.listEl.createEl('p', { text: 'No unfinished recordings found.', cls: 'setting-item-description' });
+            return;
+        }
+
+        sessions.forEach(spool => {
+            const { title, startedAt, parts } = spool.manifest;
+            const sizeMB = (spool.getSize() / 1024 / 1024).toFixed(1);
+
+            new Setting(this.listEl)
+                .setName(title || 'Untitled meeting')
+                .setDesc(`Started ${new Date(startedAt).toLocaleString()} · ${parts.length} part(s) · ${sizeMB} MB`)
+                .addButton(button => button
+                    .setButtonText('Process')
+                    .setCta()
+                    .onClick(() => this.processSession(spool)))
+                .addButton(button => button
+                    .setButtonText('Discard')
+                    .setWarning()
+                    .onClick(() => {
+                        spool.remove();
+                        new Notice(`Discarded recording: ${title}`);
+                        this.renderSessions();
+                    }));
+        });
+    }
+
+    // The session leaves this list for the transcription queue, which removes it once
+    // the note exists
+    processSession(spool) {
+        const { title, attendees, series, language, template, draft, event, startedAt } = spool.manifest;
+        this.plugin.jobQueue.add({
+            title: title,
+            attendees: attendees,
+            series: series || '',
+            language: language,
+            template: template || '',
+            draft: draft || '',
+            event: event || null,
+            date: startedAt,
+            bookmarks: spool.manifest.bookmarks || []
+        }, { type: 'session', sessionId: spool.id });
+
+        new Notice(`Queued for transcription: ${title}`);
+        this.renderSessions();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Confirms what the audio retention policy is about to compress or delete
+class AudioRetentionModal extends Modal {
+    constructor(app, plugin, recordings) {
+        super(app);
+        this.plugin = plugin;
+        this.recordings = recordings;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.addClass('meeting-intelligence-modal');
+
+        const compress = this.plugin.settings.audioRetentionAction === 'compress';
+        const sizeMB = (this.recordings.reduce((total, { file }) => total + file.stat.size, 0) / 1024 / 1024).toFixed(1);
+        const noteCount = new Set([].concat(...this.recordings.map(({ notes }) => notes))).size;
+
+        contentEl.createEl('h2', { text: '🗄️ Audio Retention' });
+        contentEl.createEl('p', {
+            text: `${this.recordings.length} recording(s) (${sizeMB} MB) in ${noteCount} meeting note(s) older than ${this.plugin.settings.audioRetentionDays} days will be ` +
+                (compress
+                    ? `re-encoded as ${this.plugin.settings.opusBitrate} kbps Opus. The originals are moved to the system trash.`
+                    : 'moved to the system trash and removed from the notes. Transcripts are kept.')
+        });
+
+        const list = contentEl.createEl('ul');
+        this.recordings.slice(0, 10).forEach(({ file }) => list.createEl('li', { text: file.path }));
+        if (this.recordings.length > 10) {
+            list.createEl('li', { text: `… and ${this.recordings.length - 10} more` });
+        }
+
+        const buttonContainer = contentEl.createDiv({ cls: 'meeting-buttons' });
+        const applyButton = buttonContainer.createEl('button', {
+            text: compress ? 'Compress' : 'Delete',
+            cls: compress ? 'meeting-button primary' : 'meeting-button stop'
+        });
+        applyButton.onclick = () => {
+            this.close();
+            this.plugin.applyAudioRetention(this.recordings);
+        };
+
+        const cancelButton = buttonContainer.createEl('button', {
+            text: 'Cancel',
+            cls: 'meeting-button'
+        });
+        cancelButton.onclick = () => this.close();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Side view of every open action item in the vault's meeting notes
+class ActionItemsView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.items = [];
+        this.requestRefresh = debounce(() => this.refresh(), 1000, true);
+    }
+
+    getViewType() {
+        return VIEW_TYPE_ACTION_ITEMS;
+    }
+
+    getDisplayText() {
+        return 'Action Items';
+    }
+
+    getIcon() {
+        return 'check-square';
+    }
+
+    async onOpen() {
+        const container = this.containerEl.children[1];
+        container.empty();
+        container.addClass('meeting-action-items');
+
+        const header = container.createDiv({ cls: 'meeting-action-items-header' });
+        header.createEl('label', { text: 'Group by:' });
+        const groupSelect = header.createEl('select', { cls: 'dropdown' });
+        groupSelect.createEl('option', { text: 'Owner', value: 'owner' });
+        groupSelect.createEl('option', { text: 'Meeting', value: 'meeting' });
+        groupSelect.createEl('option', { text: 'Due date', value: 'due' });
+        groupSelect.value = this.plugin.settings.actionItemsGroupBy;
+        groupSelect.onchange = async () => {
+            this.plugin.settings.actionItemsGroupBy = groupSelect.value;
+            await this.plugin.saveSettings();
+            this.render();
+        };
+
+        const refreshButton = header.createEl('button', { text: 'Refresh' });
+        refreshButton.onclick = () => this.refresh();
+
+        this.listEl = container.createDiv({ cls: 'meeting-action-items-list' });
+
+        // Meeting notes edited anywhere (including by check-offs here) show up automatically
+        this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+            if (this.isMeetingNote(file) || this.items.some(item => item.file === file)) {
+                this.requestRefresh();
+            }
+        }));
+        this.registerEvent(this.app.vault.on('delete', () => this.requestRefresh()));
+        this.registerEvent(this.app.vault.on('rename', () => this.requestRefresh()));
+
+        await this.refresh();
+    }
+
+    isMeetingNote(file) {
+        const cache = this.app.metadataCache.getFileCache(file);
+        return Boolean(cache && (getAllTags(cache) || []).includes('#meeting'));
+    }
+
+    async collectItems() {
+        const { parseTaskLine } = loadPluginModule(this.app, 'task-list.js');
+        const items = [];
+
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (!this.isMeetingNote(file)) continue;
+
+            const cache = this.app.metadataCache.getFileCache(file);
+            const openTasks = (cache.listItems || []).filter(item => item.task === ' ');
+            if (openTasks.length === 0) continue;
+
+            const frontmatter = cache.frontmatter || {};
+            const lines = (await this.app.vault.cachedRead(file)).split('\n');
+
+            openTasks.forEach(task => {
+                const lineNumber = task.position.start.line;
+                const line = (lines[lineNumber] || '').replace(/\r$/, '');
+                const parsed = parseTaskLine(line);
+                // Skip empty placeholders like the template's "- [ ]"
+                if (!parsed || parsed.done || !parsed.text) return;
+
+                items.push(Object.assign(parsed, {
+                    file: file,
+                    line: line,
+                    lineNumber: lineNumber,
+                    meeting: file.basename,
+                    meetingDate: String(frontmatter.date || frontmatter.datum || '')
+                }));
+            });
+        }
+
+        return items;
+    }
+
+    async refresh() {
+        if (!this.listEl) return;
+        this.items = await this.collectItems();
+        this.render();
+    }
+
+    render() {
+        const { groupActionItems, dueStatus, todayString } = loadPluginModule(this.app, 'task-list.js');
+        this.listEl.empty();
+
+        if (this.items.length === 0) {
+            this.listEl.createDiv({ text: 'No open action items in meeting notes 🎉', cls: 'meeting-action-items-empty' });
+            return;
+        }
+
+        const today = todayString();
+        groupActionItems(this.items, this.plugin.settings.actionItemsGroupBy, today).forEach(group => {
+            const groupEl = this.listEl.createDiv({ cls: 'meeting-action-items-group' });
+            groupEl.createEl('h4', { text: `${group.name} (${group.items.length})` });
+
+            group.items.forEach(item => {
+                const itemEl = groupEl.createDiv({ cls: 'meeting-action-item' });
+                const checkbox = itemEl.createEl('input', { type: 'checkbox', cls: 'task-list-item-checkbox' });
+                checkbox.onclick = () => this.checkOff(item, checkbox);
+
+                const body = itemEl.createDiv({ cls: 'meeting-action-item-body' });
+                body.createDiv({ text: item.text, cls: 'meeting-action-item-text' });
+
+                const meta = body.createDiv({ cls: 'meeting-action-item-meta' });
+                if (item.owner && this.plugin.settings.actionItemsGroupBy !== 'owner') {
+                    meta.createSpan({ text: `👤 ${item.owner}` });
+                }
+                if (item.due) {
+                    const status = dueStatus(item, today);
+                    meta.createSpan({ text: `📅 ${item.due}`, cls: status === 'Overdue' ? 'meeting-action-item-overdue' : '' });
+                }
+                if (this.plugin.settings.actionItemsGroupBy !== 'meeting') {
+                    const link = meta.createEl('a', { text: item.meeting, cls: 'internal-link' });
+                    link.onclick = (evt) => {
+                        evt.preventDefault();
+                        this.openItem(item);
+                    };
+                }
+            });
+        });
+    }
+
+    async openItem(item) {
+        await this.app.workspace.getLeaf(false).openFile(item.file, { eState: { line: item.lineNumber } });
+    }
+
+    async checkOff(item, checkbox) {
+        const { checkOffTask } = loadPluginModule(this.app, 'task-list.js');
+        checkbox.disabled = true;
+
+        let updated = false;
+        await this.app.vault.process(item.file, (content) => {
+            const result = checkOffTask(content, item.lineNumber, item.line);
+            updated = result !== null;
+            return updated ? result : content;
+        });
+
+        if (!updated) {
+            new Notice(`"${item.text}" was changed in ${item.meeting}, refreshing the list`);
+        }
+        await this.refresh();
+    }
+}
+
+// Side view of the transcription queue: what is running, waiting, finished or failed
+class TranscriptionQueueView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+    }
+
+    getViewType() {
+        return VIEW_TYPE_TRANSCRIPTION_QUEUE;
+    }
+
+    getDisplayText() {
+        return 'Transcription Queue';
+    }
+
+    getIcon() {
+        return 'list-ordered';
+    }
+
+    async onOpen() {
+        const container = this.containerEl.children[1];
+        container.empty();
+        container.addClass('meeting-transcription-queue');
+
+        this.listEl = container.createDiv();
+        this.unsubscribe = this.plugin.jobQueue.subscribe((job, event) => {
+            // Progress only moves one bar, everything else redraws the list
+            if (event === 'progress' && this.updateProgress(job)) return;
+            this.render();
+        });
+        this.render();
+    }
+
+    async onClose() {
+        if (this.unsubscribe) this.unsubscribe();
+    }
+
+    render() {
+        this.listEl.empty();
+        this.progressEls = new Map();
+
+        const jobs = this.plugin.jobQueue.list().reverse();
+        if (jobs.length === 0) {
+            this.listEl.createDiv({ text: 'No transcriptions yet', cls: 'meeting-queue-empty' });
+            return;
+        }
+
+        const labels = { queued: '⏳ Waiting', running: '🎙️ Transcribing', done: '✅ Done', failed: '⚠️ Failed' };
+        jobs.forEach(job => {
+            const jobEl = this.listEl.createDiv({ cls: `meeting-queue-job meeting-queue-${job.status}` });
+            jobEl.createDiv({ text: job.meeting.title || 'Untitled meeting', cls: 'meeting-queue-title' });
+            jobEl.createDiv({
+                text: `${labels[job.status]} · ${new Date(job.meeting.date).toLocaleString()}`,
+                cls: 'meeting-queue-meta'
+            });
+
+            if (job.status === 'running') {
+                const bar = jobEl.createDiv({ cls: 'meeting-progress-bar' });
+                const fill = bar.createDiv({ cls: 'meeting-progress-fill' });
+                const label = jobEl.createDiv({ cls: 'meeting-queue-meta' });
+                this.progressEls.set(job.id, { fill, label });
+                this.updateProgress(job);
+            }
+            if (job.status === 'failed') {
+                jobEl.createDiv({ text: job.error, cls: 'meeting-queue-error' });
+            }
+
+            const buttons = jobEl.createDiv({ cls: 'meeting-queue-buttons' });
+            if (job.status === 'queued' || job.status === 'running') {
+                buttons.createEl('button', { text: 'Cancel' }).onclick = () => this.plugin.jobQueue.cancel(job.id);
+            }
+            if (job.status === 'failed') {
+                buttons.createEl('button', { text: 'Retry', cls: 'mod-cta' }).onclick = () => this.plugin.jobQueue.retry(job.id);
+            }
+            if (job.status === 'done' && job.notePath) {
+                buttons.createEl('button', { text: 'Open note' }).onclick = () => this.openNote(job);
+            }
+            if (job.status === 'done' || job.status === 'failed') {
+                buttons.createEl('button', { text: 'Remove' }).onclick = () => this.plugin.jobQueue.remove(job.id);
+            }
+        });
+    }
+
+    updateProgress(job) {
+        const elements = this.progressEls && this.progressEls.get(job.id);
+        if (!elements) return false;
+        elements.fill.style.width = job.progress + '%';
+        elements.label.setText(job.message || Math.round(job.progress) + '%');
+        return true;
+    }
+
+    async openNote(job) {
+        const file = this.app.vault.getAbstractFileByPath(job.notePath);
+        if (!(file instanceof TFile)) {
+            new Notice(`${job.notePath} no longer exists`);
+            return;
+        }
+        await this.app.workspace.getLeaf(false).openFile(file);
+    }
+}
+
+class MeetingIntelligencePlugin extends Plugin {
+    async onload() {
+        await this.loadSettings();
+
+        this.meetingModal = null;
+        // Spool session of the recording in progress, never offered for recovery
+        this.activeSessionId = null;
+        // Model downloads in progress by model id: { controller, message, onProgress }
+        this.modelDownloads = new Map();
+        this.startJobQueue();
+
+        this.addRibbonIcon('microphone', 'Start Meeting', () => this.openMeetingModal());
+
+        this.addCommand({
+            id: 'start-meeting',
+            name: 'Start Meeting Recording',
+            callback: () => this.openMeetingModal()
+        });
+
+        this.addCommand({
+            id: 'prepare-meeting',
+            name: 'Prepare meeting (agenda draft)',
+            callback: () => new PrepareMeetingModal(this.app, this).open()
+        });
+
+        this.addCommand({
+            id: 'start-meeting-from-draft',
+            name: 'Start meeting from current draft',
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!this.isMeetingDraft(file)) return false;
+                if (!checking) this.openMeetingModal(file);
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'transcribe-audio-file',
+            name: 'Transcribe audio file…',
+            callback: () => {
+                new AudioFileSuggestModal(this.app, (file) => this.openImportModal(file)).open();
+            }
+        });
+
+        this.registerView(VIEW_TYPE_ACTION_ITEMS, (leaf) => new ActionItemsView(leaf, this));
+
+        this.addCommand({
+            id: 'show-action-items',
+            name: 'Show action items from all meetings',
+            callback: () => this.activateActionItemsView()
+        });
+
+        this.addCommand({
+            id: 'recover-recording',
+            name: 'Recover unfinished recording',
+            callback: () => {
+                new RecoverRecordingModal(this.app, this).open();
+            }
+        });
+
+        this.app.workspace.onLayoutReady(() => this.checkUnfinishedRecordings());
+
+        this.addCommand({
+            id: 'bookmark-meeting-moment',
+            name: 'Bookmark the current moment of the meeting',
+            checkCallback: (checking) => {
+                const modal = this.meetingModal;
+                if (!modal || !modal.isRecording) return false;
+                if (!checking) modal.addBookmark();
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'apply-audio-retention',
+            name: 'Apply audio retention policy',
+            callback: () => this.confirmAudioRetention()
+        });
+
+        this.app.workspace.onLayoutReady(() => {
+            if (this.settings.audioRetentionOnStartup && this.settings.audioRetentionDays > 0) {
+                const recordings = this.findExpiredRecordings();
+                if (recordings.length > 0) this.applyAudioRetention(recordings);
+            }
+        });
+
+        this.registerEvent(this.app.workspace.on('file-menu', (menu, file) => {
+            if (this.isMeetingDraft(file)) {
+                menu.addItem(item => item
+                    .setTitle('Start meeting from draft')
+                    .setIcon('microphone')
+                    .onClick(() => this.openMeetingModal(file)));
+                return;
+            }
+            if (!(file instanceof TFile) || !AUDIO_MIME_TYPES[file.extension.toLowerCase()]) return;
+
+            menu.addItem(item => item
+                .setTitle('Transcribe audio file')
+                .setIcon('microphone')
+                .onClick(() => this.openImportModal(file)));
+        }));
+
+        // Timestamp links in the Discussion section seek the embedded recording
+        this.registerDomEvent(document, 'click', (evt) => this.handleTimestampClick(evt), true);
+
+        if (this.settings.autoLinkNotes) {
+            this.startRelatedNotesIndex();
+        }
+
+        this.registerView(VIEW_TYPE_TRANSCRIPTION_QUEUE, (leaf) => new TranscriptionQueueView(leaf, this));
+
+        this.addCommand({
+            id: 'show-transcription-queue',
+            name: 'Show transcription queue',
+            callback: () => this.activateTranscriptionQueueView()
+        });
+
+        this.addSettingTab(new MeetingIntelligenceSettingTab(this.app, this));
     }
 
-    resetModal() {
-        this.recordButton.setText('▶ Start Meeting');
-        this.recordButton.disabled = false;
-        this.recordButton.removeClass('stop');
-        this.recordButton.addClass('primary');
-        this.statusEl.setText('Ready to start');
-        this.titleInput.disabled = false;
-        this.attendeesInput.disabled = false;
-        this.transcribeContainer.style.display = 'none';
+    // draft: a note from "Prepare meeting" whose agenda the recording is matched to
+    openMeetingModal(draft = null) {
+        if (!this.meetingModal) {
+            this.meetingModal = new MeetingModal(this.app, this);
+        }
+        this.meetingModal.draft = draft;
+        this.meetingModal.open();
     }
 
-    onClose() {
-        // Stop recording if active
-        if (this.isRecording) {
-            this.isRecording = false;
-            if (this.timerInterval) {
-                clearInterval(this.timerInterval);
+    isMeetingDraft(file) {
+        if (!(file instanceof TFile) || file.extension !== 'md') return false;
+        const cache = this.app.metadataCache.getFileCache(file);
+        return Boolean(cache && (getAllTags(cache) || []).includes('#meeting-draft'));
+    }
+
+    // Folder and file name from the path templates in settings, e.g.
+    // "Meetings/{{YYYY}}/{{MM}}" and "{{date}} - {{title}}"
+    getNoteDestination(meeting) {
+        const { renderPath } = loadPluginModule(this.app, 'note-paths.js');
+        const context = this.getPathContext(meeting);
+        const segments = renderPath(`${this.settings.meetingNotesFolder}/${this.settings.noteFileName}`, context).split('/');
+        const basename = segments.pop() || `${context.YYYY}-${context.MM}-${context.DD} - ${context.title}`;
+        return { folder: segments.join('/'), basename: basename };
+    }
+
+    getPathContext(meeting) {
+        const { buildPathContext } = loadPluginModule(this.app, 'note-paths.js');
+        return buildPathContext(meeting, meeting.language === 'auto' ? undefined : meeting.language);
+    }
+
+    onunload() {
+        this.modelDownloads.forEach(download => download.controller.abort());
+        // A job stopped here runs again on the next start
+        this.jobQueue.stop();
+        this.saveRelatedNotesIndex();
+    }
+
+    // Recordings and imports are processed by a queue owned by the plugin, so closing a
+    // modal never stops a transcription and several meetings can wait their turn
+    startJobQueue() {
+        const { JobQueue } = loadPluginModule(this.app, 'job-queue.js');
+        this.jobQueue = new JobQueue(path.join(getPluginDir(this.app), 'transcription-jobs.json'), (job, options) => this.runJob(job, options));
+        this.jobQueue.load();
+        // Live transcripts by job id and part number; only useful until Obsidian restarts
+        this.liveResults = new Map();
+
+        this.statusBarEl = this.addStatusBarItem();
+        this.statusBarEl.addClass('meeting-queue-status');
+        this.statusBarEl.onclick = () => this.activateTranscriptionQueueView();
+        this.updateQueueStatus();
+
+        this.jobQueue.subscribe((job, event) => {
+            this.updateQueueStatus();
+            if (event === 'failed') {
+                new Notice(`Transcription of "${job.meeting.title}" failed: ${job.error}. Retry it from the transcription queue.`);
             }
-            this.recorder.stopVolumeMonitoring();
-            if (this.recorder.stream) {
-                this.recorder.stream.getTracks().forEach(track => track.stop());
+            if (event === 'done' || event === 'failed') {
+                this.liveResults.delete(job.id);
+            }
+        });
+
+        this.app.workspace.onLayoutReady(() => this.jobQueue.start());
+    }
+
+    updateQueueStatus() {
+        const jobs = this.jobQueue.list();
+        const running = jobs.find(job => job.status === 'running');
+        const queued = jobs.filter(job => job.status === 'queued').length;
+        const failed = jobs.filter(job => job.status === 'failed').length;
+
+        let text = '';
+        if (running) {
+            text = `🎙️ ${running.meeting.title}: ${Math.round(running.progress)}%`;
+            if (queued > 0) text += ` (+${queued} queued)`;
+        } else if (queued > 0) {
+            text = `🎙️ ${queued} queued`;
+        } else if (failed > 0) {
+            text = `⚠️ ${failed} transcription${failed === 1 ? '' : 's'} failed`;
+        }
+
+        this.statusBarEl.setText(text);
+        this.statusBarEl.style.display = text ? '' : 'none';
+    }
+
+    // Queues a finished recording. Its audio is read back from the spool, which is written
+    // here if spooling failed during the recording, and removed once the note exists.
+    // parts: [{ blob, duration, partNumber, liveResult }]
+    async queueRecording(meeting, spool, parts) {
+        const { RecordingSpool } = loadPluginModule(this.app, 'recording-spool.js');
+
+        if (!spool) {
+            spool = RecordingSpool.create(getSessionsDir(this.app), Object.assign({}, meeting, { startedAt: meeting.date }));
+            for (const part of parts) {
+                spool.startPart(part.partNumber);
+                spool.append(part.partNumber, part.blob);
+                await spool.flush();
+                spool.finishPart(part.partNumber, part.duration);
             }
         }
 
-        const { contentEl } = this;
-        contentEl.empty();
+        const job = this.jobQueue.add(meeting, { type: 'session', sessionId: spool.id });
+        const liveResults = {};
+        parts.forEach(part => {
+            if (part.liveResult) liveResults[part.partNumber] = part.liveResult;
+        });
+        this.liveResults.set(job.id, liveResults);
+        return job;
     }
-}
 
-class MeetingIntelligencePlugin extends Plugin {
-    async onload() {
-        await this.loadSettings();
+    queueAudioFile(meeting, file) {
+        return this.jobQueue.add(meeting, { type: 'file', path: file.path });
+    }
 
-        this.meetingModal = null;
+    async runJob(job, { onProgress, signal }) {
+        const processor = new MeetingProcessor(this, Object.assign({}, job.meeting, {
+            date: new Date(job.meeting.date),
+            duration: null,
+            parts: this.getJobParts(job)
+        }), onProgress);
+        signal.addEventListener('abort', () => processor.cancel());
+
+        const file = await processor.process();
 
-        this.addRibbonIcon('microphone', 'Start Meeting', () => {
-            if (!this.meetingModal) {
-                this.meetingModal = new MeetingModal(this.app, this);
+        if (job.source.type === 'session') {
+            const { RecordingSpool } = loadPluginModule(this.app, 'recording-spool.js');
+            RecordingSpool.open(getSessionsDir(this.app), job.source.sessionId).remove();
+        }
+        return file ? file.path : '';
+    }
+
+    getJobParts(job) {
+        if (job.source.type === 'file') {
+            const file = this.app.vault.getAbstractFileByPath(job.source.path);
+            if (!(file instanceof TFile)) {
+                throw new Error(`Audio file not found: ${job.source.path}`);
             }
-            this.meetingModal.open();
+            return [{ audioBlob: null, audioFile: file, liveResult: null }];
+        }
+
+        const { RecordingSpool } = loadPluginModule(this.app, 'recording-spool.js');
+        let spool;
+        try {
+            spool = RecordingSpool.open(getSessionsDir(this.app), job.source.sessionId);
+        } catch (error) {
+            throw new Error('The recording of this meeting no longer exists');
+        }
+
+        const liveResults = this.liveResults.get(job.id) || {};
+        return spool.manifest.parts
+            .map(part => ({ part, data: spool.readPart(part.partNumber) }))
+            .filter(({ data }) => data && data.length > 0)
+            .map(({ part, data }) => ({
+                partNumber: part.partNumber,
+                audioBlob: new Blob([data], { type: 'audio/webm' }),
+                audioFile: null,
+                liveResult: liveResults[part.partNumber] || null
+            }));
+    }
+
+    // Calls back with the job whenever it changes; returns a function that stops watching
+    watchJob(id, callback) {
+        return this.jobQueue.subscribe((job, event) => {
+            if (job.id === id && event !== 'removed') callback(job);
         });
+    }
 
-        this.addCommand({
-            id: 'start-meeting',
-            name: 'Start Meeting Recording',
-            callback: () => {
-                if (!this.meetingModal) {
-                    this.meetingModal = new MeetingModal(this.app, this);
+    async activateTranscriptionQueueView() {
+        let leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE_TRANSCRIPTION_QUEUE)[0];
+        if (!leaf) {
+            leaf = this.app.workspace.getRightLeaf(false);
+            await leaf.setViewState({ type: VIEW_TYPE_TRANSCRIPTION_QUEUE, active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+    }
+
+    getRelatedNotesIndexPath() {
+        return path.join(getPluginDir(this.app), 'related-notes-index.json');
+    }
+
+    // The index is loaded from disk, brought up to date in the background once the vault
+    // is ready, and then kept current by vault events, so meetings never wait for a full scan.
+    // It only exists while "Auto-Link Related Notes" is on.
+    startRelatedNotesIndex() {
+        if (this.relatedNotesIndex) return;
+        const { NoteIndex } = loadPluginModule(this.app, 'related-notes.js');
+        const indexPath = this.getRelatedNotesIndexPath();
+
+        try {
+            this.relatedNotesIndex = fs.existsSync(indexPath)
+                ? NoteIndex.fromJSON(JSON.parse(fs.readFileSync(indexPath, 'utf-8')))
+                : new NoteIndex();
+        } catch (error) {
+            console.error('Meeting Intelligence: Related notes index unreadable, rebuilding:', error);
+            this.relatedNotesIndex = new NoteIndex();
+        }
+        this.relatedNotesDirty = false;
+        this.pendingIndexPaths = new Set();
+
+        this.requestIndexSave = debounce(() => this.saveRelatedNotesIndex(), 30000, true);
+        // Notes being typed in are re-indexed once the typing pauses
+        this.flushIndexQueue = debounce(() => this.indexPendingNotes(), 2000, true);
+
+        this.relatedNotesReady = new Promise(resolve => {
+            this.app.workspace.onLayoutReady(async () => {
+                try {
+                    await this.syncRelatedNotesIndex();
+                } catch (error) {
+                    console.error('Meeting Intelligence: Related notes index sync failed:', error);
+                }
+                resolve();
+            });
+        });
+
+        const queue = (file) => {
+            if (!(file instanceof TFile) || file.extension !== 'md') return;
+            this.pendingIndexPaths.add(file.path);
+            this.flushIndexQueue();
+        };
+        this.relatedNotesEvents = [
+            this.app.vault.on('create', queue),
+            this.app.vault.on('modify', queue),
+            this.app.vault.on('delete', (file) => {
+                this.relatedNotesIndex.removeNote(file.path);
+                this.pendingIndexPaths.delete(file.path);
+                this.markIndexChanged();
+            }),
+            this.app.vault.on('rename', (file, oldPath) => {
+                this.relatedNotesIndex.removeNote(oldPath);
+                this.pendingIndexPaths.delete(oldPath);
+                // The note's name is part of what is indexed
+                queue(file);
+            })
+        ];
+        this.relatedNotesEvents.forEach(ref => this.registerEvent(ref));
+    }
+
+    // Stops listening and forgets the index, in memory and on disk
+    async stopRelatedNotesIndex() {
+        if (!this.relatedNotesIndex) return;
+
+        this.relatedNotesEvents.forEach(ref => this.app.vault.offref(ref));
+        this.relatedNotesEvents = [];
+        this.relatedNotesIndex = null;
+        this.relatedNotesDirty = false;
+        this.pendingIndexPaths.clear();
+
+        // A save still being written would bring the file back; its errors are logged there
+        if (this.relatedNotesSave) {
+            await this.relatedNotesSave.catch(() => {});
+        }
+        const indexPath = this.getRelatedNotesIndexPath();
+        if (fs.existsSync(indexPath)) {
+            fs.unlinkSync(indexPath);
+        }
+    }
+
+    async getRelatedNotesIndex() {
+        if (!this.relatedNotesIndex) {
+            this.startRelatedNotesIndex();
+        }
+        await this.relatedNotesReady;
+        await this.indexPendingNotes();
+        return this.relatedNotesIndex;
+    }
+
+    async indexNote(file) {
+        const content = await this.app.vault.cachedRead(file);
+        // The index may have been turned off while the note was read
+        if (this.relatedNotesIndex) {
+            this.relatedNotesIndex.addNote(file.path, file.basename, content, file.stat.mtime);
+        }
+    }
+
+    async indexPendingNotes() {
+        if (!this.relatedNotesIndex) return;
+        const paths = Array.from(this.pendingIndexPaths);
+        this.pendingIndexPaths.clear();
+
+        for (const filePath of paths) {
+            const file = this.app.vault.getAbstractFileByPath(filePath);
+            if (file instanceof TFile) {
+                await this.indexNote(file);
+            }
+        }
+        if (paths.length > 0) {
+            this.markIndexChanged();
+        }
+    }
+
+    // Indexes notes changed while Obsidian was closed and forgets deleted ones
+    async syncRelatedNotesIndex() {
+        const index = this.relatedNotesIndex;
+        if (!index) return;
+        const files = this.app.vault.getMarkdownFiles();
+        const existing = new Set(files.map(file => file.path));
+        let changed = 0;
+
+        this.relatedNotesIndex.paths()
+            .filter(notePath => !existing.has(notePath))
+            .forEach(notePath => {
+                this.relatedNotesIndex.removeNote(notePath);
+                changed++;
+            });
+
+        for (const file of files) {
+            if (this.relatedNotesIndex.has(file.path, file.stat.mtime)) continue;
+            await this.indexNote(file);
+            // Let Obsidian breathe while a large vault is indexed for the first time
+            if (++changed % 100 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                // Turned off in the meantime
+                if (this.relatedNotesIndex !== index) return;
+            }
+        }
+
+        console.log('Meeting Intelligence: Related notes index up to date,', changed, 'note(s) updated');
+        if (changed > 0) {
+            this.markIndexChanged();
+        }
+    }
+
+    markIndexChanged() {
+        this.relatedNotesDirty = true;
+        this.requestIndexSave();
+    }
+
+    async saveRelatedNotesIndex() {
+        if (!this.relatedNotesIndex || !this.relatedNotesDirty) return;
+        this.relatedNotesDirty = false;
+        try {
+            this.relatedNotesSave = fs.promises.writeFile(this.getRelatedNotesIndexPath(), JSON.stringify(this.relatedNotesIndex.toJSON()));
+            await this.relatedNotesSave;
+        } catch (error) {
+            console.error('Meeting Intelligence: Failed to save related notes index:', error);
+            this.relatedNotesDirty = true;
+        }
+    }
+
+    async activateActionItemsView() {
+        let leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE_ACTION_ITEMS)[0];
+        if (!leaf) {
+            leaf = this.app.workspace.getRightLeaf(false);
+            await leaf.setViewState({ type: VIEW_TYPE_ACTION_ITEMS, active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+    }
+
+    // Creates the folder and any missing parents; '' is the vault root
+    async ensureFolder(folder) {
+        let current = '';
+        for (const segment of folder.split('/').filter(part => part)) {
+            current = current ? `${current}/${segment}` : segment;
+            if (!(await this.app.vault.adapter.exists(current))) {
+                await this.app.vault.createFolder(current);
+            }
+        }
+    }
+
+    // "<path>.<extension>", or "<path> (2).<extension>", ... if that is taken
+    async getAvailablePath(pathWithoutExtension, extension) {
+        let candidate = `${pathWithoutExtension}.${extension}`;
+        for (let n = 2; await this.app.vault.adapter.exists(candidate); n++) {
+            candidate = `${pathWithoutExtension} (${n}).${extension}`;
+        }
+        return candidate;
+    }
+
+    // Options for the preprocessing in audio-processing.js, from the audio settings
+    getAudioProcessing() {
+        return {
+            highPass: this.settings.highPassFrequency,
+            normalize: this.settings.normalizeLoudness,
+            targetLoudness: this.settings.targetLoudness,
+            noiseGate: this.settings.noiseGate,
+            noiseGateThreshold: this.settings.noiseGateThreshold
+        };
+    }
+
+    // Recordings the plugin saved for meeting notes older than the retention period (the
+    // note's `recordings` frontmatter, or for older notes the embeds named after the
+    // note), each once with the expired notes that use it: [{ file, notes }]. Imported
+    // files, videos and anything a newer note still links to are left alone.
+    findExpiredRecordings() {
+        const { isExpired, isNamedRecording, recordingLinks } = loadPluginModule(this.app, 'audio-retention.js');
+        const compress = this.settings.audioRetentionAction === 'compress';
+        const resolvedLinks = this.app.metadataCache.resolvedLinks;
+
+        const expired = new Set();
+        this.app.vault.getMarkdownFiles().forEach(note => {
+            const cache = this.app.metadataCache.getFileCache(note);
+            if (!cache || !(getAllTags(cache) || []).includes('#meeting')) return;
+            const frontmatter = cache.frontmatter || {};
+            if (isExpired(frontmatter.date || frontmatter.datum, this.settings.audioRetentionDays)) {
+                expired.add(note);
+            }
+        });
+        const expiredPaths = new Set(Array.from(expired).map(note => note.path));
+        const isLinkedElsewhere = (file) => Object.keys(resolvedLinks).some(source =>
+            !expiredPaths.has(source) && resolvedLinks[source][file.path]);
+
+        const recordings = new Map();
+        expired.forEach(note => {
+            const cache = this.app.metadataCache.getFileCache(note);
+            const frontmatter = cache.frontmatter || {};
+            const resolve = (linkpath) => this.app.metadataCache.getFirstLinkpathDest(getLinkpath(linkpath), note.path);
+            const files = frontmatter.recordings !== undefined
+                ? recordingLinks(frontmatter.recordings).map(resolve)
+                : (cache.embeds || []).map(embed => resolve(embed.link))
+                    .filter(file => file instanceof TFile && isNamedRecording(file.basename, note.basename));
+
+            files.forEach(file => {
+                if (!(file instanceof TFile) || recordings.has(file.path)) return;
+                const extension = file.extension.toLowerCase();
+                const mimeType = AUDIO_MIME_TYPES[extension] || '';
+                // Already compressed recordings are left alone
+                if (!mimeType.startsWith('audio/') || (compress && extension === 'ogg')) return;
+                if (isLinkedElsewhere(file)) return;
+
+                const notes = Array.from(expired).filter(other =>
+                    other === note || (resolvedLinks[other.path] || {})[file.path]);
+                recordings.set(file.path, { file: file, notes: notes });
+            });
+        });
+
+        return Array.from(recordings.values());
+    }
+
+    confirmAudioRetention() {
+        if (!(this.settings.audioRetentionDays > 0)) {
+            new Notice('Set "Keep Recordings For" in the settings first');
+            return;
+        }
+        const recordings = this.findExpiredRecordings();
+        if (recordings.length === 0) {
+            new Notice(`No recordings in meeting notes older than ${this.settings.audioRetentionDays} days`);
+            return;
+        }
+        new AudioRetentionModal(this.app, this, recordings).open();
+    }
+
+    // Compresses each recording to Opus or deletes it (to the system trash), rewriting the
+    // meeting notes' links to match. Transcripts stay; timestamps into deleted audio
+    // become plain text.
+    async applyAudioRetention(recordings) {
+        const { rewriteAudioLinks } = loadPluginModule(this.app, 'audio-retention.js');
+        const compress = this.settings.audioRetentionAction === 'compress';
+        const notice = new Notice('Meeting Intelligence: Applying audio retention...', 0);
+        let processed = 0;
+        let failed = 0;
+        let freedBytes = 0;
+
+        for (const { file, notes } of recordings) {
+            try {
+                const size = file.stat.size;
+                let target = null;
+                if (compress) {
+                    const { AudioConverter } = loadPluginModule(this.app, 'audio-converter.js');
+                    const blob = new Blob([await this.app.vault.readBinary(file)], { type: AUDIO_MIME_TYPES[file.extension.toLowerCase()] });
+                    const data = await new AudioConverter().encodeOpus(blob, this.settings.opusBitrate * 1000);
+                    target = await this.getAvailablePath(file.path.replace(/\.[^./]+$/, ''), 'ogg');
+                    await this.app.vault.createBinary(target, data);
+                    freedBytes += size - data.length;
+                } else {
+                    freedBytes += size;
+                }
+
+                for (const note of notes) {
+                    await this.app.vault.process(note, content => rewriteAudioLinks(content, (linkpath) => {
+                        const destination = this.app.metadataCache.getFirstLinkpathDest(linkpath, note.path);
+                        return destination === file ? target : undefined;
+                    }));
+                }
+                await this.app.vault.trash(file, true);
+
+                processed++;
+                notice.setMessage(`Meeting Intelligence: Applying audio retention... ${processed}/${recordings.length}`);
+            } catch (error) {
+                console.error('Meeting Intelligence: Audio retention failed for', file.path, error);
+                failed++;
+            }
+        }
+
+        notice.hide();
+        const freedMB = (Math.max(0, freedBytes) / 1024 / 1024).toFixed(1);
+        new Notice(`Meeting Intelligence: ${compress ? 'Compressed' : 'Deleted'} ${processed} recording(s), ${freedMB} MB freed` +
+            (failed > 0 ? `. ${failed} failed, see the console.` : ''));
+    }
+
+    // Contents of the configured .ics files; vault paths and absolute paths, files or folders
+    async readCalendars() {
+        const sources = this.settings.calendarSources.split('\n').map(line => line.trim()).filter(line => line);
+        const calendars = [];
+
+        for (const source of sources) {
+            try {
+                if (path.isAbsolute(source)) {
+                    const files = fs.statSync(source).isDirectory()
+                        ? fs.readdirSync(source).filter(name => name.toLowerCase().endsWith('.ics')).map(name => path.join(source, name))
+                        : [source];
+                    files.forEach(file => calendars.push(fs.readFileSync(file, 'utf-8')));
+                } else {
+                    const target = source.replace(/^\/+|\/+$/g, '');
+                    const files = this.app.vault.getFiles()
+                        .filter(file => file.extension.toLowerCase() === 'ics' && (file.path === target || file.path.startsWith(target + '/')));
+                    if (files.length === 0) {
+                        throw new Error('no .ics file found');
+                    }
+                    for (const file of files) {
+                        calendars.push(await this.app.vault.cachedRead(file));
+                    }
                 }
-                this.meetingModal.open();
+            } catch (error) {
+                console.error('Meeting Intelligence: Failed to read calendar:', source, error);
+                new Notice(`Calendar "${source}" could not be read: ${error.message}`);
+            }
+        }
+        return calendars;
+    }
+
+    // Timed events from now until the end of the day, including ones already running
+    async getTodaysEvents() {
+        const { parseCalendar, eventsBetween } = loadPluginModule(this.app, 'calendar.js');
+        const now = new Date();
+        const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+        const events = [];
+        (await this.readCalendars()).forEach(text => {
+            try {
+                events.push(...eventsBetween(parseCalendar(text), now, endOfDay));
+            } catch (error) {
+                console.error('Meeting Intelligence: Failed to parse calendar:', error);
             }
         });
 
-        this.addSettingTab(new MeetingIntelligenceSettingTab(this.app, this));
+        // The same event can come from several calendars
+        const seen = new Set();
+        return events
+            .filter(event => !event.allDay)
+            .filter(event => {
+                const key = `${event.uid}|${event.start.getTime()}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => a.start - b.start);
+    }
+
+    // Person notes in the People folder with their aliases, for matching attendees
+    getPeople() {
+        const folder = this.settings.peopleFolder.replace(/^\/+|\/+$/g, '');
+        if (!folder) return [];
+
+        return this.app.vault.getMarkdownFiles()
+            .filter(file => file.path.startsWith(folder + '/'))
+            .map(file => {
+                const frontmatter = (this.app.metadataCache.getFileCache(file) || {}).frontmatter || {};
+                const aliases = frontmatter.aliases || frontmatter.alias || [];
+                return {
+                    name: file.basename,
+                    aliases: (Array.isArray(aliases) ? aliases : [aliases]).map(String),
+                    file: file
+                };
+            });
+    }
+
+    getTemplateFiles() {
+        const folder = this.settings.templateFolder.replace(/^\/+|\/+$/g, '');
+        if (!folder) return [];
+
+        return this.app.vault.getMarkdownFiles()
+            .filter(file => file.path.startsWith(folder + '/'))
+            .sort((a, b) => a.basename.localeCompare(b.basename));
+    }
+
+    getUnfinishedSessions() {
+        const { RecordingSpool } = loadPluginModule(this.app, 'recording-spool.js');
+        // Sessions waiting in the transcription queue are handled there
+        const queued = this.jobQueue.list()
+            .filter(job => job.source.type === 'session' && job.status !== 'done')
+            .map(job => job.source.sessionId);
+        return RecordingSpool.list(getSessionsDir(this.app))
+            .filter(spool => spool.id !== this.activeSessionId && !queued.includes(spool.id));
+    }
+
+    checkUnfinishedRecordings() {
+        const sessions = this.getUnfinishedSessions();
+        if (sessions.length === 0) return;
+
+        console.log('Meeting Intelligence: Found', sessions.length, 'unfinished recording(s)');
+
+        const notice = new Notice(`Meeting Intelligence: ${sessions.length} unfinished recording(s) found. Click here to recover.`, 0);
+        notice.noticeEl.onclick = () => {
+            notice.hide();
+            new RecoverRecordingModal(this.app, this).open();
+        };
+    }
+
+    openImportModal(file) {
+        new ImportAudioModal(this.app, this, file).open();
+    }
+
+    handleTimestampClick(evt) {
+        const link = evt.target instanceof HTMLElement ? evt.target.closest('a.internal-link') : null;
+        if (!link) return;
+
+        const match = /^(.+)#t=(\d+(?:\.\d+)?)$/.exec(link.getAttribute('data-href') || '');
+        if (!match) return;
+
+        const view = link.closest('.markdown-reading-view, .markdown-preview-view');
+        if (!view) return;
+
+        const audioFileName = match[1];
+        const players = Array.from(view.querySelectorAll('audio, video'));
+        const player = players.find(el => decodeURIComponent(el.currentSrc || el.src).includes(audioFileName)) || players[0];
+        if (!player) return;
+
+        evt.preventDefault();
+        evt.stopPropagation();
+
+        player.currentTime = parseFloat(match[2]);
+        player.play();
+    }
+
+    getModelDownloader() {
+        const { ModelDownloader } = loadPluginModule(this.app, 'downloader.js');
+        return new ModelDownloader(getPluginDir(this.app), this.settings.customModels);
+    }
+
+    getTranscriptionProvider() {
+        const { createTranscriptionProvider } = loadPluginModule(this.app, 'transcription-providers.js');
+        return createTranscriptionProvider(this.settings, this.getModelDownloader());
+    }
+
+    // options: { onProgress(percent), signal } (see transcription-providers.js)
+    // With "Trim Silence" on, long silences are cut out of a copy of the WAV before it
+    // goes to whisper; segment times are mapped back to the original audio
+    async transcribeWav(audioPath, selectedLanguage, options = {}) {
+        const provider = this.getTranscriptionProvider();
+        if (!this.settings.trimSilence) {
+            return provider.transcribe(audioPath, selectedLanguage, options);
+        }
+
+        const { readWav } = loadPluginModule(this.app, 'diarizer.js');
+        const { trimSilence, mapSegments } = loadPluginModule(this.app, 'voice-activity.js');
+        const { samples, sampleRate } = readWav(fs.readFileSync(audioPath));
+        const trimmed = trimSilence(samples, sampleRate, this.settings.silenceTrimSeconds);
+
+        if (trimmed.timeMap.length === 0) {
+            console.log('Meeting Intelligence: No speech detected in', audioPath);
+            return [];
+        }
+        if (trimmed.samples.length >= samples.length) {
+            return provider.transcribe(audioPath, selectedLanguage, options);
+        }
+
+        const { AudioConverter } = loadPluginModule(this.app, 'audio-converter.js');
+        const trimmedPath = audioPath.replace(/\.wav$/, '') + '-speech.wav';
+        fs.writeFileSync(trimmedPath, await new AudioConverter().samplesToWav(trimmed.samples, sampleRate));
+        console.log(`Meeting Intelligence: Trimmed silence from ${(samples.length / sampleRate).toFixed(0)}s to ${(trimmed.samples.length / sampleRate).toFixed(0)}s`);
+
+        try {
+            return mapSegments(await provider.transcribe(trimmedPath, selectedLanguage, options), trimmed.timeMap);
+        } finally {
+            if (fs.existsSync(trimmedPath)) {
+                fs.unlinkSync(trimmedPath);
+            }
+        }
     }
 
     async loadSettings() {
         this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+        // The first default custom format had no link back to the meeting
+        if (this.settings.actionItemTemplate === '{{text}}{{#if owner}} [owner:: {{owner}}]{{/if}}{{#if due}} 📅 {{due}}{{/if}}') {
+            this.settings.actionItemTemplate = DEFAULT_SETTINGS.actionItemTemplate;
+        }
+        // Profiles are edited in place, which must not change the defaults
+        this.settings.audioProfiles = this.settings.audioProfiles.map(profile => Object.assign({}, profile));
+    }
+
+    getAudioProfile(name = this.settings.audioProfile) {
+        const profiles = this.settings.audioProfiles;
+        return profiles.find(profile => profile.name === name) || profiles[0];
+    }
+
+    // Audio inputs with their names, which the browser only reveals once microphone
+    // access was granted
+    async listAudioInputs() {
+        const inputs = async () => (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === 'audioinput');
+
+        let devices = await inputs();
+        if (devices.some(device => !device.label)) {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+                stream.getTracks().forEach(track => track.stop());
+                devices = await inputs();
+            } catch (error) {
+                console.error('Meeting Intelligence: Microphone access needed to list devices:', error);
+            }
+        }
+        return devices;
     }
 
     async saveSettings() {
@@ -980,32 +3912,152 @@ class MeetingIntelligenceSettingTab extends PluginSettingTab {
 
         containerEl.createEl('h2', { text: 'Meeting Intelligence Settings' });
 
+        const { TRANSCRIPTION_PROVIDERS } = loadPluginModule(this.plugin.app, 'transcription-providers.js');
+        const provider = this.plugin.settings.transcriptionProvider;
+
         new Setting(containerEl)
-            .setName('Whisper CLI Path')
-            .setDesc('Path to whisper-cpp executable')
-            .addText(text => text
-                .setPlaceholder('/opt/homebrew/opt/whisper-cpp/bin/whisper-cli')
-                .setValue(this.plugin.settings.whisperPath)
+            .setName('Transcription Backend')
+            .setDesc('Where audio is transcribed: locally with whisper-cli, or on a whisper server on your network')
+            .addDropdown(dropdown => {
+                Object.entries(TRANSCRIPTION_PROVIDERS).forEach(([id, info]) => dropdown.addOption(id, info.name));
+                dropdown
+                    .setValue(provider)
+                    .onChange(async (value) => {
+                        this.plugin.settings.transcriptionProvider = value;
+                        await this.plugin.saveSettings();
+                        this.display(); // Show the backend's own settings
+                    });
+            });
+
+        if (provider === 'whisper-server') {
+            new Setting(containerEl)
+                .setName('Whisper Server URL')
+                .setDesc('Base URL of a whisper.cpp server (audio is posted to /inference)')
+                .addText(text => text
+                    .setPlaceholder('http://127.0.0.1:8080')
+                    .setValue(this.plugin.settings.whisperServerUrl)
+                    .onChange(async (value) => {
+                        this.plugin.settings.whisperServerUrl = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+        } else if (provider === 'openai') {
+            new Setting(containerEl)
+                .setName('Endpoint URL')
+                .setDesc('Base URL of an OpenAI-compatible server (audio is posted to /v1/audio/transcriptions)')
+                .addText(text => text
+                    .setPlaceholder('http://127.0.0.1:8000')
+                    .setValue(this.plugin.settings.openaiUrl)
+                    .onChange(async (value) => {
+                        this.plugin.settings.openaiUrl = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Model Name')
+                .setDesc('Model requested from the server, e.g. whisper-1 or Systran/faster-whisper-small')
+                .addText(text => text
+                    .setPlaceholder('whisper-1')
+                    .setValue(this.plugin.settings.openaiModel)
+                    .onChange(async (value) => {
+                        this.plugin.settings.openaiModel = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('API Key')
+                .setDesc('Sent as a Bearer token. Leave empty for local servers without authentication.')
+                .addText(text => {
+                    text.inputEl.type = 'password';
+                    text
+                        .setValue(this.plugin.settings.openaiApiKey)
+                        .onChange(async (value) => {
+                            this.plugin.settings.openaiApiKey = value.trim();
+                            await this.plugin.saveSettings();
+                        });
+                });
+        } else {
+            new Setting(containerEl)
+                .setName('Whisper CLI Path')
+                .setDesc('Path to whisper-cpp executable')
+                .addText(text => text
+                    .setPlaceholder('/opt/homebrew/opt/whisper-cpp/bin/whisper-cli')
+                    .setValue(this.plugin.settings.whisperPath)
+                    .onChange(async (value) => {
+                        this.plugin.settings.whisperPath = value;
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Model Size')
+                .setDesc('Whisper model size (larger = better quality, slower)')
+                .addDropdown(dropdown => {
+                    this.plugin.getModelDownloader().getModels().forEach(model => {
+                        dropdown.addOption(model.id, model.name);
+                    });
+                    dropdown
+                        .setValue(this.plugin.settings.modelSize)
+                        .onChange(async (value) => {
+                            this.plugin.settings.modelSize = value;
+                            await this.plugin.saveSettings();
+                        });
+                });
+
+            new Setting(containerEl)
+                .setName('Threads')
+                .setDesc('CPU threads whisper uses (0 = whisper\'s default of 4)')
+                .addSlider(slider => slider
+                    .setLimits(0, 32, 1)
+                    .setValue(this.plugin.settings.whisperThreads)
+                    .setDynamicTooltip()
+                    .onChange(async (value) => {
+                        this.plugin.settings.whisperThreads = value;
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Beam Size')
+                .setDesc('Higher is slightly more accurate and slower (0 = whisper\'s default)')
+                .addSlider(slider => slider
+                    .setLimits(0, 10, 1)
+                    .setValue(this.plugin.settings.whisperBeamSize)
+                    .setDynamicTooltip()
+                    .onChange(async (value) => {
+                        this.plugin.settings.whisperBeamSize = value;
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Extra Whisper Flags')
+                .setDesc('Further command line options passed as they are, e.g. --no-gpu or --max-len 60. Quote values with spaces.')
+                .addText(text => text
+                    .setPlaceholder('--no-gpu')
+                    .setValue(this.plugin.settings.whisperExtraArgs)
+                    .onChange(async (value) => {
+                        this.plugin.settings.whisperExtraArgs = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        new Setting(containerEl)
+            .setName('Initial Prompt')
+            .setDesc('Text the transcription starts from, e.g. names, product terms and acronyms that come up so they are spelled right')
+            .addTextArea(text => text
+                .setPlaceholder('Attendees: Sarah Miller, John Doe. Topics: Kubernetes, OKRs.')
+                .setValue(this.plugin.settings.whisperPrompt)
                 .onChange(async (value) => {
-                    this.plugin.settings.whisperPath = value;
+                    this.plugin.settings.whisperPrompt = value.trim();
                     await this.plugin.saveSettings();
                 }));
 
         new Setting(containerEl)
-            .setName('Model Size')
-            .setDesc('Whisper model size (larger = better quality, slower)')
-            .addDropdown(dropdown => dropdown
-                .addOption('tiny', 'Tiny (~75 MB)')
-                .addOption('tiny.en', 'Tiny English (~75 MB)')
-                .addOption('base', 'Base (~142 MB)')
-                .addOption('base.en', 'Base English (~142 MB)')
-                .addOption('small', 'Small (~466 MB)')
-                .addOption('small.en', 'Small English (~466 MB)')
-                .addOption('medium', 'Medium (~1.5 GB)')
-                .addOption('medium.en', 'Medium English (~1.5 GB)')
-                .setValue(this.plugin.settings.modelSize)
+            .setName('Transcription Timeout')
+            .setDesc('Minutes before a transcription that has not finished is stopped (0 = no limit)')
+            .addSlider(slider => slider
+                .setLimits(0, 240, 15)
+                .setValue(this.plugin.settings.transcriptionTimeoutMinutes)
+                .setDynamicTooltip()
                 .onChange(async (value) => {
-                    this.plugin.settings.modelSize = value;
+                    this.plugin.settings.transcriptionTimeoutMinutes = value;
                     await this.plugin.saveSettings();
                 }));
 
@@ -1031,12 +4083,191 @@ class MeetingIntelligenceSettingTab extends PluginSettingTab {
 
         new Setting(containerEl)
             .setName('Meeting Notes Folder')
-            .setDesc('Folder to save meeting notes')
+            .setDesc('Folder to save meeting notes. May contain {{YYYY}}, {{MM}}, {{DD}}, {{MMMM}}, {{date}} and {{title}}, e.g. Meetings/{{YYYY}}/{{MM}}. Missing folders are created.')
             .addText(text => text
                 .setPlaceholder('Meetings')
                 .setValue(this.plugin.settings.meetingNotesFolder)
                 .onChange(async (value) => {
-                    this.plugin.settings.meetingNotesFolder = value;
+                    this.plugin.settings.meetingNotesFolder = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Note File Name')
+            .setDesc('Name of the meeting note, using the same placeholders plus {{time}}. A number is added if the note already exists.')
+            .addText(text => text
+                .setPlaceholder('{{date}} - {{title}}')
+                .setValue(this.plugin.settings.noteFileName)
+                .onChange(async (value) => {
+                    this.plugin.settings.noteFileName = value.trim() || DEFAULT_SETTINGS.noteFileName;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Audio Location')
+            .setDesc('Where recordings are saved')
+            .addDropdown(dropdown => dropdown
+                .addOption('note', 'Next to the meeting note')
+                .addOption('attachments', 'Obsidian attachment folder')
+                .addOption('folder', 'Custom folder')
+                .setValue(this.plugin.settings.audioLocation)
+                .onChange(async (value) => {
+                    this.plugin.settings.audioLocation = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Show or hide the audio folder
+                }));
+
+        if (this.plugin.settings.audioLocation === 'folder') {
+            new Setting(containerEl)
+                .setName('Audio Folder')
+                .setDesc('Folder for recordings, with the same placeholders as the notes folder')
+                .addText(text => text
+                    .setPlaceholder('Meetings/Audio')
+                    .setValue(this.plugin.settings.audioFolder)
+                    .onChange(async (value) => {
+                        this.plugin.settings.audioFolder = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        new Setting(containerEl)
+            .setName('Recording Format')
+            .setDesc('How recordings are saved in the vault. Compressed Opus takes about 11 MB per hour at 24 kbps.')
+            .addDropdown(dropdown => dropdown
+                .addOption('original', 'As recorded (WebM)')
+                .addOption('wav', '16 kHz mono WAV (as transcribed, largest)')
+                .addOption('opus', 'Compressed Opus (Ogg, smallest)')
+                .setValue(this.plugin.settings.audioFormat)
+                .onChange(async (value) => {
+                    this.plugin.settings.audioFormat = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Opus Bitrate')
+            .setDesc('kbps for compressed recordings; 16-24 is plenty for speech')
+            .addSlider(slider => slider
+                .setLimits(12, 64, 4)
+                .setValue(this.plugin.settings.opusBitrate)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.opusBitrate = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Keep Recordings For')
+            .setDesc('Recordings in meeting notes older than this are compressed or deleted by "Apply audio retention policy". Transcripts are never touched.')
+            .addDropdown(dropdown => dropdown
+                .addOption('0', 'Forever')
+                .addOption('7', '1 week')
+                .addOption('30', '30 days')
+                .addOption('90', '90 days')
+                .addOption('180', '180 days')
+                .addOption('365', '1 year')
+                .setValue(String(this.plugin.settings.audioRetentionDays))
+                .onChange(async (value) => {
+                    this.plugin.settings.audioRetentionDays = parseInt(value, 10);
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Old Recordings')
+            .setDesc('What happens to recordings past the retention period')
+            .addDropdown(dropdown => dropdown
+                .addOption('compress', 'Compress to Opus')
+                .addOption('delete', 'Delete, keep the transcript')
+                .setValue(this.plugin.settings.audioRetentionAction)
+                .onChange(async (value) => {
+                    this.plugin.settings.audioRetentionAction = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Apply Retention on Startup')
+            .setDesc('Run the retention policy without asking each time Obsidian starts')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.audioRetentionOnStartup)
+                .onChange(async (value) => {
+                    this.plugin.settings.audioRetentionOnStartup = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Template Folder')
+            .setDesc('Notes in this folder can be picked as meeting note templates when starting a meeting')
+            .addText(text => text
+                .setPlaceholder('Templates/Meetings')
+                .setValue(this.plugin.settings.templateFolder)
+                .onChange(async (value) => {
+                    this.plugin.settings.templateFolder = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Detect Meeting Series')
+            .setDesc('Treat meetings with the same title (ignoring dates and numbers) as a series: link them, carry open action items and questions into the agenda and keep a series index note')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.detectSeries)
+                .onChange(async (value) => {
+                    this.plugin.settings.detectSeries = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Series Folder')
+            .setDesc('Where series index notes are kept')
+            .addText(text => text
+                .setPlaceholder('Meetings/Series')
+                .setValue(this.plugin.settings.seriesFolder)
+                .onChange(async (value) => {
+                    this.plugin.settings.seriesFolder = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Calendar Files')
+            .setDesc('.ics files or folders of them, one per line: vault paths or absolute paths to exported or synced calendars. Today\'s events are offered when starting a meeting.')
+            .addTextArea(text => {
+                text.inputEl.rows = 3;
+                text.inputEl.style.width = '100%';
+                text
+                    .setPlaceholder('Calendars/work.ics\n/Users/me/Calendars')
+                    .setValue(this.plugin.settings.calendarSources)
+                    .onChange(async (value) => {
+                        this.plugin.settings.calendarSources = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName('People Folder')
+            .setDesc('Person notes that attendees are matched to by name or alias, tolerating typos and first or last names only')
+            .addText(text => text
+                .setPlaceholder('People')
+                .setValue(this.plugin.settings.peopleFolder)
+                .onChange(async (value) => {
+                    this.plugin.settings.peopleFolder = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Create Missing People Notes')
+            .setDesc('Create a note in the People folder for attendees who don\'t have one yet')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.createPeopleNotes)
+                .onChange(async (value) => {
+                    this.plugin.settings.createPeopleNotes = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Log Meetings in People Notes')
+            .setDesc('Add each meeting to a "Meetings" list in the attendees\' person notes')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.logMeetingsInPeopleNotes)
+                .onChange(async (value) => {
+                    this.plugin.settings.logMeetingsInPeopleNotes = value;
                     await this.plugin.saveSettings();
                 }));
 
@@ -1051,8 +4282,79 @@ class MeetingIntelligenceSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(containerEl)
+            .setName('Live Transcription')
+            .setDesc('Transcribe in chunks while recording and show a rolling transcript. The final note reuses these results.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.liveTranscription)
+                .onChange(async (value) => {
+                    this.plugin.settings.liveTranscription = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Live Chunk Length')
+            .setDesc('Seconds of audio per live transcription chunk (shorter = faster updates, less context)')
+            .addSlider(slider => slider
+                .setLimits(5, 30, 1)
+                .setValue(this.plugin.settings.liveChunkSeconds)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.liveChunkSeconds = value;
+                    await this.plugin.saveSettings();
+                }));
+
         containerEl.createEl('h3', { text: 'Audio Settings' });
 
+        new Setting(containerEl)
+            .setName('Split Recording After')
+            .setDesc('Minutes per recording part for long meetings. The split waits for a pause, up to a minute either way. Parts are merged back into one note.')
+            .addSlider(slider => slider
+                .setLimits(15, 180, 15)
+                .setValue(this.plugin.settings.splitRecordingMinutes)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.splitRecordingMinutes = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Silence Warning')
+            .setDesc('Warn while recording when nothing has been heard for this many minutes (0 = off)')
+            .addSlider(slider => slider
+                .setLimits(0, 30, 1)
+                .setValue(this.plugin.settings.silenceWarningMinutes)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.silenceWarningMinutes = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Trim Silence')
+            .setDesc('Leave long silences out of what whisper transcribes, which stops it from inventing text in them. Timestamps still match the recording.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.trimSilence)
+                .onChange(async (value) => {
+                    this.plugin.settings.trimSilence = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Show or hide the silence length
+                }));
+
+        if (this.plugin.settings.trimSilence) {
+            new Setting(containerEl)
+                .setName('Trim Silences Longer Than')
+                .setDesc('Seconds; shorter pauses are kept as they are')
+                .addSlider(slider => slider
+                    .setLimits(1, 10, 1)
+                    .setValue(this.plugin.settings.silenceTrimSeconds)
+                    .setDynamicTooltip()
+                    .onChange(async (value) => {
+                        this.plugin.settings.silenceTrimSeconds = value;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
         new Setting(containerEl)
             .setName('Microphone Gain')
             .setDesc('Recording volume (0.5 = quiet, 2.0 = loud)')
@@ -1065,6 +4367,8 @@ class MeetingIntelligenceSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        this.displayAudioProfile(containerEl);
+
         new Setting(containerEl)
             .setName('Visualizer Sensitivity')
             .setDesc('Meter sensitivity (visual only)')
@@ -1077,6 +4381,68 @@ class MeetingIntelligenceSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(containerEl)
+            .setName('High-Pass Filter')
+            .setDesc('Removes rumble and hum below this frequency before transcription (Hz, 0 = off)')
+            .addSlider(slider => slider
+                .setLimits(0, 200, 10)
+                .setValue(this.plugin.settings.highPassFrequency)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.highPassFrequency = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Normalize Loudness')
+            .setDesc('Bring quiet recordings, e.g. from a laptop microphone, to a consistent level before transcription')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.normalizeLoudness)
+                .onChange(async (value) => {
+                    this.plugin.settings.normalizeLoudness = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Show or hide the target loudness
+                }));
+
+        if (this.plugin.settings.normalizeLoudness) {
+            new Setting(containerEl)
+                .setName('Target Loudness')
+                .setDesc('LUFS; -20 suits speech, lower is quieter')
+                .addSlider(slider => slider
+                    .setLimits(-30, -12, 1)
+                    .setValue(this.plugin.settings.targetLoudness)
+                    .setDynamicTooltip()
+                    .onChange(async (value) => {
+                        this.plugin.settings.targetLoudness = value;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        new Setting(containerEl)
+            .setName('Noise Gate')
+            .setDesc('Turn down steady background noise such as fans between sentences')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.noiseGate)
+                .onChange(async (value) => {
+                    this.plugin.settings.noiseGate = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Show or hide the threshold
+                }));
+
+        if (this.plugin.settings.noiseGate) {
+            new Setting(containerEl)
+                .setName('Noise Gate Threshold')
+                .setDesc('dBFS after normalizing; raise it if noise still gets through, lower it if quiet words are lost')
+                .addSlider(slider => slider
+                    .setLimits(-70, -30, 2)
+                    .setValue(this.plugin.settings.noiseGateThreshold)
+                    .setDynamicTooltip()
+                    .onChange(async (value) => {
+                        this.plugin.settings.noiseGateThreshold = value;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
         containerEl.createEl('h3', { text: 'AI Features' });
 
         new Setting(containerEl)
@@ -1089,6 +4455,38 @@ class MeetingIntelligenceSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(containerEl)
+            .setName('Action Item Format')
+            .setDesc('How action items are written, so task dashboards can pick up owners (as [[links]] to attendees), due dates and the meeting note')
+            .addDropdown(dropdown => {
+                const { ACTION_ITEM_FORMATS } = loadPluginModule(this.plugin.app, 'action-items.js');
+                Object.entries(ACTION_ITEM_FORMATS).forEach(([id, format]) => dropdown.addOption(id, format.name));
+                dropdown
+                    .addOption('custom', 'Custom')
+                    .setValue(this.plugin.settings.actionItemFormat)
+                    .onChange(async (value) => {
+                        this.plugin.settings.actionItemFormat = value;
+                        await this.plugin.saveSettings();
+                        this.display(); // Show or hide the custom format
+                    });
+            });
+
+        if (this.plugin.settings.actionItemFormat === 'custom') {
+            new Setting(containerEl)
+                .setName('Custom Action Item Format')
+                .setDesc('Written after "- [ ] ". Uses the template language with {{text}}, {{owner}}, {{ownerName}}, {{due}} (YYYY-MM-DD) and {{source}} (link to the meeting note).')
+                .addTextArea(text => {
+                    text.inputEl.rows = 3;
+                    text.inputEl.style.width = '100%';
+                    text
+                        .setValue(this.plugin.settings.actionItemTemplate)
+                        .onChange(async (value) => {
+                            this.plugin.settings.actionItemTemplate = value.replace(/\n/g, ' ');
+                            await this.plugin.saveSettings();
+                        });
+                });
+        }
+
         new Setting(containerEl)
             .setName('Auto-Detect Decisions')
             .setDesc('Automatically detect decisions made during the meeting')
@@ -1107,80 +4505,390 @@ class MeetingIntelligenceSettingTab extends PluginSettingTab {
                 .onChange(async (value) => {
                     this.plugin.settings.autoLinkNotes = value;
                     await this.plugin.saveSettings();
+                    if (value) {
+                        this.plugin.startRelatedNotesIndex();
+                    } else {
+                        await this.plugin.stopRelatedNotesIndex();
+                    }
                 }));
 
-        containerEl.createEl('h3', { text: 'Model Download' });
+        new Setting(containerEl)
+            .setName('Related Notes Threshold')
+            .setDesc('How closely a note has to match the meeting\'s title and transcript to be linked. Higher means fewer, more relevant links.')
+            .addSlider(slider => slider
+                .setLimits(0.02, 0.5, 0.01)
+                .setValue(this.plugin.settings.relatedNotesThreshold)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.relatedNotesThreshold = value;
+                    await this.plugin.saveSettings();
+                }));
 
-        const downloader = new ModelDownloader(this.plugin.app.vault.adapter.basePath + '/.obsidian/plugins/meeting-intelligence');
-        const downloadedModels = downloader.getDownloadedModels();
-
-        // Model download section
-        const modelOptions = [
-            { id: 'tiny', name: 'Tiny (~75 MB)', desc: 'Fastest, basic quality' },
-            { id: 'tiny.en', name: 'Tiny English (~75 MB)', desc: 'Fastest, English only' },
-            { id: 'base', name: 'Base (~142 MB)', desc: 'Recommended - good balance' },
-            { id: 'base.en', name: 'Base English (~142 MB)', desc: 'Good balance, English only' },
-            { id: 'small', name: 'Small (~466 MB)', desc: 'High quality' },
-            { id: 'small.en', name: 'Small English (~466 MB)', desc: 'High quality, English only' },
-            { id: 'medium', name: 'Medium (~1.5 GB)', desc: 'Very high quality' },
-            { id: 'medium.en', name: 'Medium English (~1.5 GB)', desc: 'Very high quality, English only' }
-        ];
+        new Setting(containerEl)
+            .setName('Detect Speakers')
+            .setDesc('Split the transcript into speaker turns and match each speaker to an attendee after recording')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.detectSpeakers)
+                .onChange(async (value) => {
+                    this.plugin.settings.detectSpeakers = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Analyze with Language Model')
+            .setDesc('Send the transcript to a local chat model (Ollama, llama.cpp server, ...) for a summary, action items with owners, decisions and open questions. Keyword detection is used when this is off or the model is unreachable.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.analysisEnabled)
+                .onChange(async (value) => {
+                    this.plugin.settings.analysisEnabled = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Show or hide the model settings
+                }));
 
-        modelOptions.forEach(model => {
-            const isDownloaded = downloadedModels.includes(model.id);
+        if (this.plugin.settings.analysisEnabled) {
+            const { DEFAULT_ANALYSIS_PROMPT } = loadPluginModule(this.plugin.app, 'analysis-provider.js');
 
             new Setting(containerEl)
-                .setName(model.name)
-                .setDesc(model.desc + (isDownloaded ? ' ✅ Downloaded' : ''))
-                .addButton(button => {
-                    if (isDownloaded) {
-                        button
-                            .setButtonText('Delete')
-                            .setCta()
-                            .onClick(async () => {
-                                if (downloader.deleteModel(model.id)) {
-                                    new Notice(`Model ${model.name} deleted`);
-                                    this.display(); // Refresh
-                                }
-                            });
-                    } else {
-                        button
-                            .setButtonText('Download')
-                            .setCta()
-                            .onClick(async () => {
-                                button.setDisabled(true);
-                                button.setButtonText('Downloading...');
-
-                                const statusEl = containerEl.createDiv({ cls: 'model-download-status' });
-                                statusEl.style.marginTop = '10px';
-                                statusEl.style.padding = '10px';
-                                statusEl.style.background = 'var(--background-secondary)';
-                                statusEl.style.borderRadius = '6px';
-
-                                try {
-                                    await downloader.downloadModel(model.id, (progress, message) => {
-                                        statusEl.setText(`Downloading ${model.name}: ${message} (${Math.round(progress)}%)`);
-                                    });
-
-                                    new Notice(`Model ${model.name} downloaded successfully!`);
-                                    statusEl.remove();
-                                    this.display(); // Refresh
-                                } catch (error) {
-                                    new Notice(`Download failed: ${error.message}`);
-                                    statusEl.remove();
-                                    button.setDisabled(false);
-                                    button.setButtonText('Download');
-                                }
-                            });
-                    }
+                .setName('Model Endpoint URL')
+                .setDesc('Base URL of an OpenAI-compatible server (requests go to /v1/chat/completions). Ollama listens on port 11434.')
+                .addText(text => text
+                    .setPlaceholder('http://127.0.0.1:11434')
+                    .setValue(this.plugin.settings.analysisUrl)
+                    .onChange(async (value) => {
+                        this.plugin.settings.analysisUrl = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Chat Model')
+                .setDesc('Model requested from the server, e.g. llama3.1, qwen2.5:7b or mistral')
+                .addText(text => text
+                    .setPlaceholder('llama3.1')
+                    .setValue(this.plugin.settings.analysisModel)
+                    .onChange(async (value) => {
+                        this.plugin.settings.analysisModel = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Model API Key')
+                .setDesc('Sent as a Bearer token. Leave empty for local servers without authentication.')
+                .addText(text => {
+                    text.inputEl.type = 'password';
+                    text
+                        .setValue(this.plugin.settings.analysisApiKey)
+                        .onChange(async (value) => {
+                            this.plugin.settings.analysisApiKey = value.trim();
+                            await this.plugin.saveSettings();
+                        });
+                });
+
+            new Setting(containerEl)
+                .setName('Analysis Instructions')
+                .setDesc('What the model is asked to do. The required JSON answer format is added automatically. Clear the field to restore the default.')
+                .addTextArea(text => {
+                    text.inputEl.rows = 8;
+                    text.inputEl.style.width = '100%';
+                    text
+                        .setValue(this.plugin.settings.analysisPrompt || DEFAULT_ANALYSIS_PROMPT)
+                        .onChange(async (value) => {
+                            // Store nothing while the default is used so later improvements reach users
+                            this.plugin.settings.analysisPrompt = value.trim() === DEFAULT_ANALYSIS_PROMPT ? '' : value.trim();
+                            await this.plugin.saveSettings();
+                        });
                 });
+        }
+
+        containerEl.createEl('h3', { text: 'Model Download' });
+
+        const downloader = this.plugin.getModelDownloader();
+        const { formatBytes } = loadPluginModule(this.app, 'downloader.js');
+
+        downloader.getModels().forEach(model => {
+            this.displayModel(containerEl, downloader, model);
+        });
+
+        containerEl.createEl('h4', { text: 'Custom Models' });
+        containerEl.createEl('p', {
+            text: 'Fine-tuned or quantized ggml models: a .bin file on this computer is used where it is, a URL is downloaded like the models above. The SHA-1 or SHA-256 is optional.',
+            cls: 'setting-item-description'
         });
 
+        const custom = { name: '', source: '', sha: '' };
+        new Setting(containerEl)
+            .setName('Add Custom Model')
+            .addText(text => text
+                .setPlaceholder('Name')
+                .onChange(value => { custom.name = value.trim(); }))
+            .addText(text => text
+                .setPlaceholder('/path/to/ggml-model.bin or https://...')
+                .onChange(value => { custom.source = value.trim(); }))
+            .addText(text => text
+                .setPlaceholder('SHA (optional)')
+                .onChange(value => { custom.sha = value.trim().toLowerCase(); }))
+            .addButton(button => button
+                .setButtonText('Add')
+                .onClick(async () => {
+                    const error = this.validateCustomModel(downloader, custom);
+                    if (error) {
+                        new Notice(error);
+                        return;
+                    }
+                    this.plugin.settings.customModels = this.plugin.settings.customModels.concat([Object.assign({}, custom)]);
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
         containerEl.createEl('p', {
-            text: `Models saved to: ${downloader.modelDir}`,
+            text: `Models saved to: ${downloader.modelDir} (${formatBytes(downloader.getDiskUsage())} used)`,
             cls: 'setting-item-description'
         });
     }
+
+    // One row per model: its size on disk and Download/Resume, Cancel, Verify, Delete
+    displayModel(containerEl, downloader, model) {
+        const { formatBytes } = loadPluginModule(this.app, 'downloader.js');
+        const download = this.plugin.modelDownloads.get(model.id);
+
+        let status = '';
+        if (model.downloaded) {
+            status = ` ✅ ${model.localPath ? 'Local file' : 'Downloaded'} · ${formatBytes(model.size)}`;
+        } else if (model.localPath) {
+            status = ' ⚠️ File not found';
+        } else if (model.partialSize > 0 && !download) {
+            status = ` · ${formatBytes(model.partialSize)} downloaded, can be resumed`;
+        }
+
+        const setting = new Setting(containerEl)
+            .setName(model.name)
+            .setDesc(model.desc + status);
+
+        if (download) {
+            const statusEl = containerEl.createDiv({ cls: 'model-download-status' });
+            statusEl.setText(download.message);
+            download.onProgress = () => statusEl.setText(download.message);
+
+            setting.addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => download.controller.abort()));
+        } else if (model.downloaded && !model.localPath) {
+            if (model.sha) {
+                setting.addButton(button => button
+                    .setButtonText('Verify')
+                    .onClick(async () => {
+                        button.setDisabled(true);
+                        button.setButtonText('Verifying...');
+                        const valid = await downloader.verifyModel(model.id);
+                        new Notice(valid ? `Model ${model.name} is intact` : `Model ${model.name} is corrupt, please delete and download it again`);
+                        button.setDisabled(false);
+                        button.setButtonText('Verify');
+                    }));
+            }
+            setting.addButton(button => button
+                .setButtonText('Delete')
+                .setCta()
+                .onClick(async () => {
+                    if (downloader.deleteModel(model.id)) {
+                        new Notice(`Model ${model.name} deleted`);
+                        this.display(); // Refresh
+                    }
+                }));
+        } else if (model.url) {
+            setting.addButton(button => button
+                .setButtonText(model.partialSize > 0 ? 'Resume' : 'Download')
+                .setCta()
+                .onClick(() => this.downloadModel(downloader, model)));
+            if (model.partialSize > 0) {
+                setting.addButton(button => button
+                    .setButtonText('Discard')
+                    .onClick(() => {
+                        downloader.deleteModel(model.id);
+                        this.display();
+                    }));
+            }
+        }
+
+        if (model.custom) {
+            setting.addButton(button => button
+                .setButtonText('Remove')
+                .setDisabled(Boolean(download))
+                .onClick(async () => {
+                    if (!model.localPath) downloader.deleteModel(model.id);
+                    this.plugin.settings.customModels = this.plugin.settings.customModels
+                        .filter(entry => entry.name !== model.name);
+                    if (this.plugin.settings.modelSize === model.id) {
+                        this.plugin.settings.modelSize = DEFAULT_SETTINGS.modelSize;
+                    }
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+        }
+    }
+
+    // Downloads keep running when the settings are closed; the row shows them again on reopen
+    async downloadModel(downloader, model) {
+        const download = { controller: new AbortController(), message: `Downloading ${model.name}...`, onProgress: null };
+        this.plugin.modelDownloads.set(model.id, download);
+        this.display();
+
+        try {
+            await downloader.downloadModel(model.id, (progress, message) => {
+                download.message = `Downloading ${model.name}: ${message} (${Math.round(progress)}%)`;
+                if (download.onProgress) download.onProgress();
+            }, download.controller.signal);
+            new Notice(`Model ${model.name} downloaded successfully!`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                new Notice(`Download of ${model.name} paused, it can be resumed later`);
+            } else {
+                console.error('Meeting Intelligence: Model download failed:', error);
+                new Notice(`Download failed: ${error.message}`);
+            }
+        } finally {
+            this.plugin.modelDownloads.delete(model.id);
+            this.display(); // Refresh
+        }
+    }
+
+    // The chosen audio profile: its devices are picked from what this computer has
+    displayAudioProfile(containerEl) {
+        const settings = this.plugin.settings;
+        const profile = this.plugin.getAudioProfile();
+
+        new Setting(containerEl)
+            .setName('Audio Profile')
+            .setDesc('Devices to record from, e.g. one profile for the office headset and one for calls on the laptop. The meeting window lets you pick one.')
+            .addDropdown(dropdown => {
+                settings.audioProfiles.forEach(candidate => dropdown.addOption(candidate.name, candidate.name));
+                dropdown
+                    .setValue(profile.name)
+                    .onChange(async (value) => {
+                        settings.audioProfile = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+            })
+            .addButton(button => button
+                .setButtonText('Add')
+                .onClick(async () => {
+                    let number = settings.audioProfiles.length + 1;
+                    while (settings.audioProfiles.some(candidate => candidate.name === `Profile ${number}`)) number++;
+                    const added = Object.assign({}, DEFAULT_SETTINGS.audioProfiles[0], { name: `Profile ${number}` });
+                    settings.audioProfiles = settings.audioProfiles.concat([added]);
+                    settings.audioProfile = added.name;
+                    await this.plugin.saveSettings();
+                    this.display();
+                }))
+            .addButton(button => button
+                .setButtonText('Delete')
+                .setWarning()
+                .setDisabled(settings.audioProfiles.length < 2)
+                .onClick(async () => {
+                    settings.audioProfiles = settings.audioProfiles.filter(candidate => candidate !== profile);
+                    settings.audioProfile = settings.audioProfiles[0].name;
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
+        new Setting(containerEl)
+            .setName('Profile Name')
+            .addText(text => text
+                .setValue(profile.name)
+                .onChange(async (value) => {
+                    const name = value.trim();
+                    if (!name || settings.audioProfiles.some(candidate => candidate !== profile && candidate.name === name)) return;
+                    profile.name = name;
+                    settings.audioProfile = name;
+                    await this.plugin.saveSettings();
+                }));
+
+        const microphoneSetting = new Setting(containerEl)
+            .setName('Microphone')
+            .setDesc('Recording device of this profile');
+        const secondSourceSetting = new Setting(containerEl)
+            .setName('Second Source')
+            .setDesc('Mixed into the recording, for the other side of a call: a loopback device (BlackHole, VB-Cable, a PulseAudio monitor) or the desktop audio (Windows)');
+
+        // Device names only arrive asynchronously; a saved device that isn't connected
+        // stays selectable under its name
+        this.plugin.listAudioInputs().then(devices => {
+            const options = (selected, label) => {
+                const list = devices.map(device => ({ id: device.deviceId, label: device.label || device.deviceId }));
+                if (selected && selected !== 'desktop' && !list.some(device => device.id === selected)) {
+                    list.push({ id: selected, label: `${label || selected} (not connected)` });
+                }
+                return list;
+            };
+            const labelOf = (id) => {
+                const device = devices.find(candidate => candidate.deviceId === id);
+                return device ? device.label : '';
+            };
+
+            microphoneSetting.addDropdown(dropdown => {
+                dropdown.addOption('', 'System default');
+                options(profile.microphone, profile.microphoneLabel)
+                    .filter(device => device.id !== 'default')
+                    .forEach(device => dropdown.addOption(device.id, device.label));
+                dropdown
+                    .setValue(profile.microphone)
+                    .onChange(async (value) => {
+                        profile.microphone = value;
+                        profile.microphoneLabel = labelOf(value);
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+            secondSourceSetting.addDropdown(dropdown => {
+                dropdown.addOption('', 'None');
+                dropdown.addOption('desktop', 'Desktop audio');
+                options(profile.secondSource, profile.secondSourceLabel)
+                    .filter(device => device.id !== 'default')
+                    .forEach(device => dropdown.addOption(device.id, device.label));
+                dropdown
+                    .setValue(profile.secondSource)
+                    .onChange(async (value) => {
+                        profile.secondSource = value;
+                        profile.secondSourceLabel = labelOf(value);
+                        await this.plugin.saveSettings();
+                        this.display(); // Show or hide the second source gain
+                    });
+            });
+        }).catch(error => {
+            console.error('Meeting Intelligence: Could not list audio devices:', error);
+            microphoneSetting.setDesc('Audio devices could not be listed: ' + error.message);
+        });
+
+        if (profile.secondSource) {
+            new Setting(containerEl)
+                .setName('Second Source Gain')
+                .setDesc('Volume of the second source in the mix, next to the microphone gain')
+                .addSlider(slider => slider
+                    .setLimits(0.1, 3.0, 0.1)
+                    .setValue(profile.secondSourceGain)
+                    .setDynamicTooltip()
+                    .onChange(async (value) => {
+                        profile.secondSourceGain = value;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+    }
+
+    validateCustomModel(downloader, model) {
+        const { customModelId, isUrl } = loadPluginModule(this.app, 'downloader.js');
+        if (!model.name || !model.source) {
+            return 'A custom model needs a name and a file path or URL';
+        }
+        if (downloader.getModels().some(existing => existing.id === customModelId(model.name))) {
+            return `A model named ${model.name} already exists`;
+        }
+        if (!isUrl(model.source) && !(path.isAbsolute(model.source) && fs.existsSync(model.source))) {
+            return `Model file not found: ${model.source}`;
+        }
+        if (model.sha && !/^(?:[0-9a-f]{40}|[0-9a-f]{64})$/.test(model.sha)) {
+            return 'The SHA must be a SHA-1 (40 characters) or SHA-256 (64 characters) hash';
+        }
+        return null;
+    }
 }
 
 module.exports = MeetingIntelligencePlugin;
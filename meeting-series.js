@@ -0,0 +1,105 @@
+const { parseTaskLine } = require('./task-list.js');
+
+const INDEX_START = '<!-- meeting-series:start -->';
+const INDEX_END = '<!-- meeting-series:end -->';
+
+// Sections of the built-in templates (en/de) that hold open questions
+const QUESTION_HEADINGS = ['Follow-up Questions', 'Open Questions', 'Offene Fragen'];
+
+// "Weekly Sync #12", "Weekly sync – 2025-10-03" and "[[Weekly Sync]]" all become "weekly sync"
+function seriesKey(name) {
+    return String(name || '')
+        .replace(/\[\[([^\]|#]+)[^\]]*\]\]/g, (_, target) => target.split('/').pop())
+        .toLowerCase()
+        .replace(/\d{4}-\d{2}-\d{2}/g, ' ')
+        .replace(/(?:#|\bno\.?\s*|\bweek\s*|\bkw\s*)\d+/g, ' ')
+        .replace(/[^\wäöüß]+/g, ' ')
+        .replace(/\b\d+\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Bullet items below a "## Heading" (any of `headings`), up to the next heading
+function extractListSection(content, headings) {
+    const wanted = headings.map(heading => heading.toLowerCase());
+    const items = [];
+    let inSection = false;
+
+    content.split('\n').forEach(rawLine => {
+        const line = rawLine.replace(/\r$/, '');
+        const heading = /^#{1,6}\s+(.*?)\s*$/.exec(line);
+        if (heading) {
+            inSection = wanted.includes(heading[1].toLowerCase());
+            return;
+        }
+        const item = /^\s*[-*+]\s+(?!\[.\])(.+)$/.exec(line);
+        if (inSection && item) {
+            items.push(item[1].trim());
+        }
+    });
+
+    return items;
+}
+
+// What is still unresolved in a meeting note: unchecked tasks and listed open questions
+function findOpenItems(content) {
+    const actionItems = content.split('\n')
+        .map(line => parseTaskLine(line.replace(/\r$/, '')))
+        .filter(task => task && !task.done && task.text);
+
+    return {
+        actionItems: actionItems,
+        questions: extractListSection(content, QUESTION_HEADINGS)
+    };
+}
+
+// Block id for an open task that a later meeting links to
+function createBlockId() {
+    return 'task-' + Math.random().toString(36).slice(2, 8);
+}
+
+// items: [{ text, blockId }]. Gives each item's open task in the note its block id, unless
+// the task has one already or is gone. Returns the new content.
+function addBlockIds(content, items) {
+    const pending = items.slice();
+    return content.split('\n').map(rawLine => {
+        const line = rawLine.replace(/\r$/, '');
+        const task = parseTaskLine(line);
+        if (!task || task.done || task.blockId) return rawLine;
+
+        const index = pending.findIndex(item => item.text === task.text);
+        if (index === -1) return rawLine;
+        const item = pending.splice(index, 1)[0];
+        return `${line.replace(/\s+$/, '')} ^${item.blockId}${rawLine.endsWith('\r') ? '\r' : ''}`;
+    }).join('\n');
+}
+
+// occurrences: [{ basename, date }]. The list between the markers is rewritten; anything
+// the user added around it is kept.
+function renderSeriesIndex(existing, name, occurrences) {
+    const list = occurrences
+        .slice()
+        .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+        .map(occurrence => `- [[${occurrence.basename}]]${occurrence.date ? ` · ${occurrence.date}` : ''}`)
+        .join('\n');
+    const block = `${INDEX_START}\n${list}\n${INDEX_END}`;
+
+    if (existing && existing.includes(INDEX_START) && existing.includes(INDEX_END)) {
+        const start = existing.indexOf(INDEX_START);
+        const end = existing.indexOf(INDEX_END) + INDEX_END.length;
+        return existing.substring(0, start) + block + existing.substring(end);
+    }
+    if (existing) {
+        return `${existing.replace(/\s*$/, '')}\n\n## Meetings\n${block}\n`;
+    }
+    return `---\ntags: meeting-series\n---\n\n# ${name}\n\n## Meetings\n${block}\n`;
+}
+
+module.exports = {
+    addBlockIds,
+    createBlockId,
+    seriesKey,
+    extractListSection,
+    findOpenItems,
+    renderSeriesIndex
+};
@@ -0,0 +1,47 @@
+const { formatDate, renderTemplate } = require('./template-engine.js');
+
+// Bare date tokens usable in path templates, e.g. Meetings/{{YYYY}}/{{MM}}
+const DATE_VARIABLES = ['YYYY', 'YY', 'MMMM', 'MMM', 'MM', 'M', 'DD', 'D', 'dddd', 'ddd', 'HH', 'mm'];
+
+// Characters Obsidian doesn't allow in file names, plus those that break [[links]]
+function sanitizeFileName(name) {
+    return String(name || '')
+        .replace(/[\\/:*?"<>|#^[\]]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Values are sanitized so a title like "Q3/Q4 review" can't create folders
+function buildPathContext(meeting, locale) {
+    const context = {
+        title: sanitizeFileName(meeting.title) || 'Meeting',
+        date: meeting.date,
+        time: formatDate(meeting.date, 'HH-mm'),
+        language: meeting.language
+    };
+    DATE_VARIABLES.forEach(token => {
+        context[token] = formatDate(meeting.date, token, locale);
+    });
+    return context;
+}
+
+// Renders a path template and normalizes the result: no empty, "." or ".." segments
+// and no leading or trailing slashes. An empty result means the vault root.
+function renderPath(template, context) {
+    return renderTemplate(template || '', context)
+        .split('/')
+        .map(segment => segment.trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..')
+        .join('/');
+}
+
+function joinPath(folder, name) {
+    return folder ? `${folder}/${name}` : name;
+}
+
+module.exports = {
+    sanitizeFileName,
+    buildPathContext,
+    renderPath,
+    joinPath
+};
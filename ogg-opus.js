@@ -0,0 +1,125 @@
+// Wraps Opus packets (e.g. from the browser's AudioEncoder) in an Ogg container, the
+// .ogg/.opus file format described in RFC 7845 that Obsidian's audio player can play.
+
+// Opus always counts time in 48 kHz samples, whatever the input rate was
+const OPUS_RATE = 48000;
+// libopus' encoder delay, which players skip at the start
+const PRE_SKIP = 312;
+// Audio packets per page: about a second of 20 ms frames
+const PACKETS_PER_PAGE = 50;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+// Ogg's CRC-32: polynomial 0x04c11db7, no reflection, starting from 0
+function oggCrc(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+// Each packet is split into 255-byte lacing values, ending with one below 255
+function lacing(length) {
+    const values = new Array(Math.floor(length / 255)).fill(255);
+    values.push(length % 255);
+    return values;
+}
+
+function buildPage(packets, { granule, serial, sequence, flags }) {
+    const segments = [];
+    packets.forEach(packet => segments.push(...lacing(packet.length)));
+    const bodyLength = packets.reduce((total, packet) => total + packet.length, 0);
+
+    const page = Buffer.alloc(27 + segments.length + bodyLength);
+    page.write('OggS', 0, 'ascii');
+    page.writeUInt8(0, 4);
+    page.writeUInt8(flags, 5);
+    page.writeBigInt64LE(BigInt(granule), 6);
+    page.writeUInt32LE(serial, 14);
+    page.writeUInt32LE(sequence, 18);
+    page.writeUInt32LE(0, 22);
+    page.writeUInt8(segments.length, 26);
+    segments.forEach((value, index) => page.writeUInt8(value, 27 + index));
+
+    let offset = 27 + segments.length;
+    packets.forEach(packet => {
+        Buffer.from(packet).copy(page, offset);
+        offset += packet.length;
+    });
+
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+}
+
+function opusHead(channels, inputSampleRate) {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'ascii');
+    head.writeUInt8(1, 8);
+    head.writeUInt8(channels, 9);
+    head.writeUInt16LE(PRE_SKIP, 10);
+    head.writeUInt32LE(inputSampleRate, 12);
+    head.writeInt16LE(0, 16);
+    head.writeUInt8(0, 18);
+    return head;
+}
+
+function opusTags(vendor) {
+    const vendorBytes = Buffer.from(vendor, 'utf-8');
+    const tags = Buffer.alloc(8 + 4 + vendorBytes.length + 4);
+    tags.write('OpusTags', 0, 'ascii');
+    tags.writeUInt32LE(vendorBytes.length, 8);
+    vendorBytes.copy(tags, 12);
+    tags.writeUInt32LE(0, 12 + vendorBytes.length);
+    return tags;
+}
+
+// packets: [{ data: Uint8Array, duration }] in order, duration in microseconds.
+// Returns the complete file as a Buffer.
+function muxOggOpus(packets, { channels = 1, inputSampleRate = OPUS_RATE, vendor = 'Meeting Intelligence' } = {}) {
+    const serial = Math.floor(Math.random() * 0xffffffff);
+    const pages = [
+        buildPage([opusHead(channels, inputSampleRate)], { granule: 0, serial, sequence: 0, flags: 0x02 }),
+        buildPage([opusTags(vendor)], { granule: 0, serial, sequence: 1, flags: 0 })
+    ];
+
+    // Pages hold up to PACKETS_PER_PAGE packets and 255 lacing values. A page's granule
+    // position is the sample count at the end of its last packet, counting the encoder
+    // delay that the pre-skip in the header tells players to drop.
+    let granule = 0;
+    let index = 0;
+    do {
+        const pagePackets = [];
+        let segmentCount = 0;
+        while (index < packets.length && pagePackets.length < PACKETS_PER_PAGE &&
+            segmentCount + lacing(packets[index].data.length).length <= 255) {
+            segmentCount += lacing(packets[index].data.length).length;
+            granule += Math.round(packets[index].duration * OPUS_RATE / 1000000);
+            pagePackets.push(packets[index].data);
+            index++;
+        }
+        pages.push(buildPage(pagePackets, {
+            granule,
+            serial,
+            sequence: pages.length,
+            flags: index >= packets.length ? 0x04 : 0
+        }));
+    } while (index < packets.length);
+
+    return Buffer.concat(pages);
+}
+
+module.exports = {
+    muxOggOpus,
+    oggCrc
+};
@@ -0,0 +1,128 @@
+// Matching typed attendee names to person notes, and the "Meetings" log kept in them.
+
+const MEETINGS_HEADING = 'Meetings';
+
+// Lowercase, no accents, single spaces: "  José  Müller" -> "jose muller"
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/ß/g, 'ss')
+        .toLowerCase()
+        .replace(/[^\w\s-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Edit distance where swapping two neighbouring letters counts as one edit
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+function similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 0 : 1 - editDistance(a, b) / length;
+}
+
+// How well a typed name fits one name or alias of a person, from 0 to 1
+function nameScore(wanted, label) {
+    if (wanted === label) return 1;
+
+    // "Sarah" for "Sarah Miller", or "Miller"
+    const wantedTokens = wanted.split(' ');
+    const labelTokens = label.split(' ');
+    if (wantedTokens.length === 1 && labelTokens.includes(wanted)) return 0.9;
+
+    const whole = similarity(wanted, label);
+    // "Micheal" for "Michael Brown": a typo in the first or last name alone
+    const token = wantedTokens.length === 1
+        ? Math.max(...labelTokens.map(part => similarity(wanted, part))) * 0.9
+        : 0;
+    return Math.max(whole, token);
+}
+
+const MATCH_THRESHOLD = 0.75;
+
+// people: [{ name, aliases, ... }]. Returns the best match, or null if nothing is close
+// enough or two people fit equally well (two Sarahs).
+function matchPerson(name, people) {
+    const wanted = normalizeName(name);
+    if (!wanted) return null;
+
+    let best = null;
+    let bestScore = 0;
+    let tied = false;
+    people.forEach(person => {
+        const score = Math.max(...[person.name].concat(person.aliases || [])
+            .map(label => nameScore(wanted, normalizeName(label))));
+        if (score > bestScore) {
+            best = person;
+            bestScore = score;
+            tied = false;
+        } else if (score === bestScore && score > 0) {
+            tied = true;
+        }
+    });
+
+    return best && bestScore >= MATCH_THRESHOLD && !tied ? best : null;
+}
+
+// "Sarah, [[John Doe]], [[People/Mike|Mike]]" -> ['Sarah', 'John Doe', 'Mike']
+function parseAttendees(text) {
+    return String(text || '')
+        .split(',')
+        .map(name => name.trim().replace(/^\[\[(?:[^\]|]*\/)?([^\]|]+)(?:\|[^\]]*)?\]\]$/, '$1').trim())
+        .filter(name => name.length > 0);
+}
+
+function renderPersonNote(name) {
+    return `---\ntags: person\naliases: []\n---\n\n# ${name}\n\n## ${MEETINGS_HEADING}\n`;
+}
+
+// Adds "- entry" at the end of the "## Meetings" section, creating it if needed.
+// An entry that is already listed is not added twice.
+function appendMeetingLog(content, entry) {
+    const line = `- ${entry}`;
+    const lines = content.replace(/\s*$/, '').split('\n');
+    const start = lines.findIndex(current => new RegExp(`^#{1,6}\\s+${MEETINGS_HEADING}\\s*$`, 'i').test(current.replace(/\r$/, '')));
+
+    if (start === -1) {
+        return `${lines.join('\n')}\n\n## ${MEETINGS_HEADING}\n${line}\n`;
+    }
+
+    let end = start + 1;
+    while (end < lines.length && !/^#{1,6}\s/.test(lines[end])) end++;
+    if (lines.slice(start + 1, end).some(current => current.replace(/\r$/, '').trim() === line)) {
+        return content;
+    }
+
+    // After the last non-empty line of the section
+    let insertAt = end;
+    while (insertAt > start + 1 && !lines[insertAt - 1].trim()) insertAt--;
+    lines.splice(insertAt, 0, line);
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    normalizeName,
+    matchPerson,
+    parseAttendees,
+    renderPersonNote,
+    appendMeetingLog
+};
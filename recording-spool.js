@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes MediaRecorder chunks to disk as they arrive, so a closed modal, reload or
+// crash never loses more than the last second of a meeting. Each session lives in
+// its own folder with a manifest.json and one .webm file per recording part.
+class RecordingSpool {
+    constructor(dir, manifest) {
+        this.dir = dir;
+        this.manifest = manifest;
+        this.writeQueue = Promise.resolve();
+    }
+
+    static create(baseDir, info) {
+        const id = `${Date.now()}`;
+        const dir = path.join(baseDir, id);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const spool = new RecordingSpool(dir, {
+            id: id,
+            title: info.title,
+            attendees: info.attendees,
+            series: info.series,
+            language: info.language,
+            template: info.template,
+            draft: info.draft,
+            event: info.event,
+            startedAt: info.startedAt,
+            parts: [],
+            bookmarks: info.bookmarks || []
+        });
+        spool.writeManifest();
+        return spool;
+    }
+
+    static open(baseDir, id) {
+        const dir = path.join(baseDir, id);
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf-8'));
+        return new RecordingSpool(dir, manifest);
+    }
+
+    // Sessions that still have a folder were never finished; unreadable ones are skipped
+    static list(baseDir) {
+        if (!fs.existsSync(baseDir)) {
+            return [];
+        }
+
+        const sessions = [];
+        fs.readdirSync(baseDir).forEach(id => {
+            try {
+                sessions.push(RecordingSpool.open(baseDir, id));
+            } catch (error) {
+                console.error('Meeting Intelligence: Skipping unreadable recording session:', id, error);
+            }
+        });
+        return sessions.sort((a, b) => a.manifest.startedAt - b.manifest.startedAt);
+    }
+
+    get id() {
+        return this.manifest.id;
+    }
+
+    writeManifest() {
+        fs.writeFileSync(path.join(this.dir, 'manifest.json'), JSON.stringify(this.manifest, null, 2));
+    }
+
+    getPartPath(partNumber) {
+        return path.join(this.dir, `part-${partNumber}.webm`);
+    }
+
+    startPart(partNumber) {
+        this.manifest.parts.push({ partNumber: partNumber, duration: null });
+        this.writeManifest();
+    }
+
+    finishPart(partNumber, duration) {
+        const part = this.manifest.parts.find(p => p.partNumber === partNumber);
+        if (part) {
+            part.duration = duration;
+            this.writeManifest();
+        }
+    }
+
+    // { partNumber, time, label }, kept so a recovered meeting still has its key moments
+    addBookmark(bookmark) {
+        if (!this.manifest.bookmarks) this.manifest.bookmarks = [];
+        this.manifest.bookmarks.push(bookmark);
+        this.writeManifest();
+    }
+
+    // Blobs are read asynchronously, so writes are chained to keep chunks in order
+    append(partNumber, blob) {
+        const filePath = this.getPartPath(partNumber);
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const data = Buffer.from(await blob.arrayBuffer());
+                fs.appendFileSync(filePath, data);
+            })
+            .catch(error => {
+                console.error('Meeting Intelligence: Failed to spool audio chunk:', error);
+            });
+        return this.writeQueue;
+    }
+
+    flush() {
+        return this.writeQueue;
+    }
+
+    getSize() {
+        return this.manifest.parts.reduce((total, part) => {
+            const filePath = this.getPartPath(part.partNumber);
+            return total + (fs.existsSync(filePath) ? fs.statSync(filePath).size : 0);
+        }, 0);
+    }
+
+    readPart(partNumber) {
+        const filePath = this.getPartPath(partNumber);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    }
+
+    remove() {
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { RecordingSpool };
@@ -0,0 +1,182 @@
+const { terms } = require('./text-terms.js');
+
+// BM25 parameters: k1 is how quickly repeats of a term stop adding to the score,
+// b how much long notes are penalized
+const K1 = 1.2;
+const B = 0.75;
+
+// Title words count as if they appeared this often
+const TITLE_WEIGHT = 3;
+// Only the most frequent terms of long notes are kept, which keeps the index small
+const MAX_TERMS_PER_NOTE = 300;
+// The transcript's most distinctive terms make up the query
+const MAX_QUERY_TERMS = 40;
+
+const INDEX_VERSION = 1;
+
+function countTerms(list, weight = 1, counts = new Map()) {
+    list.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+    return counts;
+}
+
+// The first spelling of each term, to explain matches with words instead of stems
+function surfaceForms(text) {
+    const forms = new Map();
+    (String(text || '').toLowerCase().match(/[\wäöüß]+/g) || []).forEach(word => {
+        const [term] = terms(word);
+        if (term && !forms.has(term)) forms.set(term, word);
+    });
+    return forms;
+}
+
+function stripFrontmatter(content) {
+    return content.replace(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/, '');
+}
+
+// An inverted index of the vault's notes, updated note by note. Documents are
+// { mtime, length, terms: Map(term -> count) }, keyed by path.
+class NoteIndex {
+    constructor() {
+        this.documents = new Map();
+        this.postings = new Map();
+        this.totalLength = 0;
+    }
+
+    static fromJSON(data) {
+        const index = new NoteIndex();
+        if (!data || data.version !== INDEX_VERSION) return index;
+        Object.keys(data.documents || {}).forEach(path => {
+            const stored = data.documents[path];
+            index.addTerms(path, stored.mtime, new Map(Object.entries(stored.terms)), stored.length);
+        });
+        return index;
+    }
+
+    toJSON() {
+        const documents = {};
+        this.documents.forEach((document, path) => {
+            documents[path] = { mtime: document.mtime, length: document.length, terms: Object.fromEntries(document.terms) };
+        });
+        return { version: INDEX_VERSION, documents };
+    }
+
+    has(path, mtime) {
+        const document = this.documents.get(path);
+        return Boolean(document) && (mtime === undefined || document.mtime === mtime);
+    }
+
+    paths() {
+        return Array.from(this.documents.keys());
+    }
+
+    // title is the note's name; content its markdown
+    addNote(path, title, content, mtime) {
+        const counts = countTerms(terms(stripFrontmatter(content)));
+        countTerms(terms(title), TITLE_WEIGHT, counts);
+
+        let length = 0;
+        counts.forEach(count => { length += count; });
+        const kept = new Map(Array.from(counts).sort((a, b) => b[1] - a[1]).slice(0, MAX_TERMS_PER_NOTE));
+        this.addTerms(path, mtime, kept, length);
+    }
+
+    addTerms(path, mtime, counts, length) {
+        this.removeNote(path);
+        this.documents.set(path, { mtime, length, terms: counts });
+        this.totalLength += length;
+        counts.forEach((count, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(path, count);
+        });
+    }
+
+    removeNote(path) {
+        const document = this.documents.get(path);
+        if (!document) return;
+        this.totalLength -= document.length;
+        document.terms.forEach((count, term) => {
+            const posting = this.postings.get(term);
+            if (!posting) return;
+            posting.delete(path);
+            if (posting.size === 0) this.postings.delete(term);
+        });
+        this.documents.delete(path);
+    }
+
+    renameNote(oldPath, newPath) {
+        const document = this.documents.get(oldPath);
+        if (!document) return;
+        this.removeNote(oldPath);
+        this.addTerms(newPath, document.mtime, document.terms, document.length);
+    }
+
+    idf(term) {
+        const count = this.documents.size;
+        const frequency = this.postings.has(term) ? this.postings.get(term).size : 0;
+        return Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5));
+    }
+
+    // Weighted query terms: title words plus the transcript's most distinctive terms
+    buildQuery(title, text) {
+        const weights = new Map();
+        Array.from(countTerms(terms(text)))
+            .filter(([term]) => this.postings.has(term))
+            .map(([term, count]) => [term, 1 + Math.log(count)])
+            .sort((a, b) => b[1] * this.idf(b[0]) - a[1] * this.idf(a[0]))
+            .slice(0, MAX_QUERY_TERMS)
+            .forEach(([term, weight]) => weights.set(term, weight));
+        terms(title)
+            .filter(term => this.postings.has(term))
+            .forEach(term => weights.set(term, (weights.get(term) || 0) + TITLE_WEIGHT));
+        return weights;
+    }
+
+    // Notes ranked by BM25 against the meeting. score is 0-1: the share of what a note
+    // matching every query term as strongly as possible would get. terms are the
+    // query terms that contributed most, as the explanation.
+    search(title, text, { threshold = 0, limit = 10, exclude = [] } = {}) {
+        if (this.documents.size === 0) return [];
+
+        const query = this.buildQuery(title, text);
+        const averageLength = this.totalLength / this.documents.size || 1;
+        const scores = new Map();
+        let maximum = 0;
+
+        query.forEach((weight, term) => {
+            const idf = this.idf(term);
+            maximum += weight * idf * (K1 + 1);
+            const posting = this.postings.get(term);
+            if (!posting) return;
+
+            posting.forEach((count, path) => {
+                if (exclude.includes(path)) return;
+                const length = this.documents.get(path).length;
+                const contribution = weight * idf * count * (K1 + 1) / (count + K1 * (1 - B + B * length / averageLength));
+                if (!scores.has(path)) scores.set(path, { path, score: 0, contributions: [] });
+                const entry = scores.get(path);
+                entry.score += contribution;
+                entry.contributions.push([term, contribution]);
+            });
+        });
+
+        if (maximum === 0) return [];
+
+        const forms = surfaceForms(`${title} ${text}`);
+        return Array.from(scores.values())
+            .map(entry => ({
+                path: entry.path,
+                score: entry.score / maximum,
+                terms: entry.contributions
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 3)
+                    .map(([term]) => forms.get(term) || term)
+            }))
+            .filter(entry => entry.score >= threshold)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+module.exports = {
+    NoteIndex
+};
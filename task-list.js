@@ -0,0 +1,132 @@
+// Reads action items back out of meeting notes, in any of the formats the plugin
+// writes (Tasks emoji, Dataview fields, "**Owner:** text") or typed by hand.
+
+const TASK_PATTERN = /^(\s*[-*+]\s+\[)(.)(\]\s*)(.*)$/;
+// A block id like " ^task-x1y2z3" at the end of the line, which links can point at
+const BLOCK_ID_PATTERN = /\s+\^([A-Za-z0-9-]+)\s*$/;
+
+// "[[Sarah Miller|Sarah]]" -> "Sarah Miller"; plain text is returned as-is
+function linkTarget(value) {
+    const match = /\[\[([^\]|#]+)/.exec(value);
+    return match ? match[1].trim() : value.trim();
+}
+
+// Returns null for lines that aren't tasks
+function parseTaskLine(line) {
+    const match = TASK_PATTERN.exec(line);
+    if (!match) return null;
+
+    let text = match[4];
+    let owner = null;
+    let due = null;
+    let source = null;
+    let blockId = null;
+
+    text = text.replace(BLOCK_ID_PATTERN, (_, id) => {
+        blockId = id;
+        return '';
+    });
+
+    text = text.replace(/\[(owner|due|meeting):: ([^\]]*(?:\]\][^\]]*)?)\]/g, (_, field, value) => {
+        if (field === 'owner') owner = linkTarget(value);
+        if (field === 'due') due = value.trim();
+        if (field === 'meeting') source = linkTarget(value);
+        return '';
+    });
+    text = text.replace(/📅\s*(\d{4}-\d{2}-\d{2})/, (_, date) => {
+        due = date;
+        return '';
+    });
+    text = text.replace(/\(due (\d{4}-\d{2}-\d{2})\)/, (_, date) => {
+        due = due || date;
+        return '';
+    });
+    text = text.replace(/^\*\*([^*]+):\*\*\s*/, (_, name) => {
+        owner = owner || linkTarget(name);
+        return '';
+    });
+
+    return {
+        done: match[2] !== ' ',
+        text: text.replace(/\s+/g, ' ').trim(),
+        owner: owner,
+        due: /^\d{4}-\d{2}-\d{2}$/.test(due || '') ? due : null,
+        source: source,
+        blockId: blockId
+    };
+}
+
+// Local YYYY-MM-DD, comparable as strings with due dates
+function todayString(now = new Date()) {
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function dueStatus(item, today) {
+    if (!item.due) return 'No due date';
+    if (item.due < today) return 'Overdue';
+    if (item.due === today) return 'Due today';
+    return 'Upcoming';
+}
+
+const DUE_ORDER = ['Overdue', 'Due today', 'Upcoming', 'No due date'];
+
+// items: [{ text, owner, due, meeting, meetingDate, ... }] -> [{ name, items }]
+function groupActionItems(items, groupBy, today = todayString()) {
+    const groups = new Map();
+    items.forEach(item => {
+        let name;
+        if (groupBy === 'meeting') name = item.meeting;
+        else if (groupBy === 'due') name = dueStatus(item, today);
+        else name = item.owner || 'Unassigned';
+
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(item);
+    });
+
+    const byDue = (a, b) => (a.due || '9999').localeCompare(b.due || '9999');
+    const result = Array.from(groups, ([name, groupItems]) => ({ name, items: groupItems.sort(byDue) }));
+
+    if (groupBy === 'due') {
+        return result.sort((a, b) => DUE_ORDER.indexOf(a.name) - DUE_ORDER.indexOf(b.name));
+    }
+    if (groupBy === 'meeting') {
+        // Most recent meeting first
+        return result.sort((a, b) => (b.items[0].meetingDate || '').localeCompare(a.items[0].meetingDate || ''));
+    }
+    return result.sort((a, b) => {
+        if (a.name === 'Unassigned') return 1;
+        if (b.name === 'Unassigned') return -1;
+        return a.name.localeCompare(b.name);
+    });
+}
+
+// Ticks the task on `lineNumber` if it still reads `expectedLine`; Tasks-style lines get
+// a ✅ done date like the Tasks plugin adds. Returns the new content, or null if the
+// note changed underneath.
+function checkOffTask(content, lineNumber, expectedLine, today = todayString()) {
+    const lines = content.split('\n');
+    const line = lines[lineNumber];
+    if (line === undefined || line.replace(/\r$/, '') !== expectedLine.replace(/\r$/, '')) {
+        return null;
+    }
+
+    const match = TASK_PATTERN.exec(line.replace(/\r$/, ''));
+    if (!match || match[2] !== ' ') {
+        return null;
+    }
+
+    const doneDate = line.includes('📅') ? ` ✅ ${today}` : '';
+    // The block id has to stay at the end of the line
+    const blockId = BLOCK_ID_PATTERN.exec(match[4]);
+    const text = match[4].replace(BLOCK_ID_PATTERN, '').replace(/\s+$/, '');
+    lines[lineNumber] = `${match[1]}x${match[3]}${text}${doneDate}${blockId ? ` ^${blockId[1]}` : ''}${line.endsWith('\r') ? '\r' : ''}`;
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseTaskLine,
+    todayString,
+    dueStatus,
+    groupActionItems,
+    checkOffTask
+};
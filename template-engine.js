@@ -0,0 +1,221 @@
+// A small Handlebars-like template language for meeting notes:
+//
+//     {{title}}                      value, nested paths like {{item.owner}}
+//     {{date:dddd, D MMMM YYYY}}     dates with a format (YYYY, MM, DD, HH, mm, ...)
+//     {{#if summary}}...{{else}}...{{/if}}   also {{#unless}}
+//     {{#each actionItems}}- [ ] {{text}}{{else}}nothing{{/each}}
+//
+// Inside {{#each}}, {{this}} is the current item, {{@index}} counts from 0 and
+// {{@number}} from 1; names not found on the item are looked up outside the loop.
+// Block tags on a line of their own take the whole line with them.
+
+const BLOCK_TAGS = ['if', 'unless', 'each'];
+
+const DATE_TOKENS = /\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Moment-style format tokens; text in [brackets] is copied as-is
+function formatDate(date, format, locale) {
+    const name = (options) => date.toLocaleString(locale || 'en', options);
+    const hours12 = date.getHours() % 12 || 12;
+
+    return format.replace(DATE_TOKENS, (token, literal) => {
+        if (literal !== undefined) return literal;
+        switch (token) {
+            case 'YYYY': return String(date.getFullYear());
+            case 'YY': return String(date.getFullYear()).slice(-2);
+            case 'MMMM': return name({ month: 'long' });
+            case 'MMM': return name({ month: 'short' });
+            case 'MM': return pad(date.getMonth() + 1);
+            case 'M': return String(date.getMonth() + 1);
+            case 'DD': return pad(date.getDate());
+            case 'D': return String(date.getDate());
+            case 'dddd': return name({ weekday: 'long' });
+            case 'ddd': return name({ weekday: 'short' });
+            case 'HH': return pad(date.getHours());
+            case 'H': return String(date.getHours());
+            case 'hh': return pad(hours12);
+            case 'h': return String(hours12);
+            case 'mm': return pad(date.getMinutes());
+            case 'ss': return pad(date.getSeconds());
+            case 'A': return date.getHours() < 12 ? 'AM' : 'PM';
+            case 'a': return date.getHours() < 12 ? 'am' : 'pm';
+            default: return token;
+        }
+    });
+}
+
+function tokenize(template) {
+    const tokens = [];
+    const pattern = /{{\s*([#/]?)([^}]*?)\s*}}/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(template)) !== null) {
+        if (match.index > last) {
+            tokens.push({ type: 'text', value: template.substring(last, match.index) });
+        }
+
+        const [, sigil, body] = match;
+        if (sigil === '#') {
+            const [, tag, expression] = /^(\S+)\s*(.*)$/.exec(body) || [];
+            tokens.push({ type: 'open', tag, expression: (expression || '').trim() });
+        } else if (sigil === '/') {
+            tokens.push({ type: 'close', tag: body.trim() });
+        } else if (body === 'else') {
+            tokens.push({ type: 'else' });
+        } else {
+            const colon = body.indexOf(':');
+            tokens.push(colon === -1
+                ? { type: 'value', path: body }
+                : { type: 'value', path: body.substring(0, colon).trim(), format: body.substring(colon + 1).trim() });
+        }
+        last = pattern.lastIndex;
+    }
+
+    if (last < template.length) {
+        tokens.push({ type: 'text', value: template.substring(last) });
+    }
+
+    return stripStandaloneTags(tokens);
+}
+
+// Removes the indentation before and the line break after block tags that sit alone
+// on their line, so {{#each}} ... {{/each}} doesn't leave blank lines behind
+function stripStandaloneTags(tokens) {
+    tokens.forEach((token, index) => {
+        if (token.type === 'text' || token.type === 'value') return;
+
+        const before = tokens[index - 1];
+        const after = tokens[index + 1];
+        const beforeText = before ? (before.type === 'text' ? before.value : null) : '';
+        const afterText = after ? (after.type === 'text' ? after.value : null) : '';
+        if (beforeText === null || afterText === null) return;
+
+        const lineStart = /(^|\n)[ \t]*$/.exec(beforeText);
+        const lineEnd = /^[ \t]*(\r?\n|$)/.exec(afterText);
+        if (!lineStart || !lineEnd) return;
+        // Without a line break the text must be the start of the template, or start a
+        // line because the tag before it took its line break along
+        if (!lineStart[1] && index > 1 && !before.startsLine) return;
+        if (!lineEnd[1] && index < tokens.length - 2) return;
+        // A template consisting of nothing but this tag
+        if (!before && !after) return;
+
+        if (before) before.value = beforeText.substring(0, lineStart.index + lineStart[1].length);
+        if (after) {
+            after.value = afterText.substring(lineEnd[0].length);
+            after.startsLine = true;
+        }
+    });
+
+    return tokens.filter(token => token.type !== 'text' || token.value.length > 0);
+}
+
+function parse(tokens) {
+    const root = { children: [] };
+    const stack = [root];
+
+    tokens.forEach(token => {
+        const current = stack[stack.length - 1];
+        const target = current.inElse ? current.elseChildren : current.children;
+
+        if (token.type === 'open') {
+            if (!BLOCK_TAGS.includes(token.tag)) {
+                throw new Error(`Unknown block {{#${token.tag}}}`);
+            }
+            if (!token.expression) {
+                throw new Error(`{{#${token.tag}}} needs a value to check`);
+            }
+            const block = { type: token.tag, path: token.expression, children: [], elseChildren: [], inElse: false };
+            target.push(block);
+            stack.push(block);
+        } else if (token.type === 'else') {
+            if (stack.length === 1 || current.inElse) {
+                throw new Error('{{else}} outside of {{#if}}, {{#unless}} or {{#each}}');
+            }
+            current.inElse = true;
+        } else if (token.type === 'close') {
+            if (stack.length === 1 || current.type !== token.tag) {
+                throw new Error(`Unexpected {{/${token.tag}}}`);
+            }
+            stack.pop();
+        } else {
+            target.push(token);
+        }
+    });
+
+    if (stack.length > 1) {
+        throw new Error(`Missing {{/${stack[stack.length - 1].type}}}`);
+    }
+    return root.children;
+}
+
+function lookup(scopes, path) {
+    if (path === 'this') {
+        return scopes[scopes.length - 1];
+    }
+
+    const [first, ...rest] = path.split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (scope !== null && typeof scope === 'object' && first in scope) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[first]);
+        }
+    }
+    return undefined;
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+}
+
+function stringify(value, format, options) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatDate(value, format || 'YYYY-MM-DD', options.locale);
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+function renderNodes(nodes, scopes, options) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'value':
+                return stringify(lookup(scopes, node.path), node.format, options);
+            case 'if':
+            case 'unless': {
+                const truthy = isTruthy(lookup(scopes, node.path));
+                const branch = truthy === (node.type === 'if') ? node.children : node.elseChildren;
+                return renderNodes(branch, scopes, options);
+            }
+            case 'each': {
+                const items = lookup(scopes, node.path);
+                if (!isTruthy(items)) {
+                    return renderNodes(node.elseChildren, scopes, options);
+                }
+                return [].concat(items).map((item, index) => {
+                    const loop = { '@index': index, '@number': index + 1 };
+                    return renderNodes(node.children, scopes.concat([loop, item]), options);
+                }).join('');
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+// Throws with a readable message when the template is malformed
+function renderTemplate(template, context, options = {}) {
+    return renderNodes(parse(tokenize(template)), [context], options);
+}
+
+module.exports = {
+    formatDate,
+    renderTemplate
+};
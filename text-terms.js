@@ -0,0 +1,31 @@
+// Turns English or German text into comparable terms: lowercase words of 3+ letters
+// without stopwords, with common endings cut off so "budgets" and "budget" match.
+
+const STOPWORDS = new Set((
+    'the and for with from that this what when where which about into over under our your their ' +
+    'have has had will would should could can are was were been being not but all any some more ' +
+    'you they them then than there here also just like very really yes yeah okay well know think ' +
+    'going get got let its one two who how why out now only even much many most such each ' +
+    'der die das und oder mit von für über eine einer einem einen ist sind wird werden nicht auch ' +
+    'noch nach beim bei zum zur den dem des wie was wer wir ihr sie ich du er es ein aber dass ' +
+    'wenn dann also schon mal hier dort sehr nur kann können muss müssen haben hat hatte war waren'
+).split(' '));
+
+function stem(word) {
+    return word
+        .replace(/(?:ing|ed|es|s|en|er|e)$/, '')
+        .substring(0, 8);
+}
+
+function terms(text) {
+    return (String(text || '').toLowerCase().match(/[\wäöüß]+/g) || [])
+        .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word) && !word.includes('_'))
+        .map(stem)
+        .filter(term => term.length >= 2);
+}
+
+module.exports = {
+    STOPWORDS,
+    stem,
+    terms
+};
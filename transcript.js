@@ -0,0 +1,168 @@
+// A new paragraph starts when the speaker or recording part changes, after a pause
+// this long or once a paragraph gets this long
+const PARAGRAPH_PAUSE_SECONDS = 2;
+const PARAGRAPH_MAX_CHARS = 500;
+
+// Accepts whisper's "HH:MM:SS,mmm" (SRT/JSON) as well as "HH:MM:SS.mmm" (VTT)
+function parseTimestamp(value) {
+    const match = /(\d+):(\d{2}):(\d{2})[,.](\d{1,3})/.exec(value);
+    if (!match) {
+        return 0;
+    }
+
+    return parseInt(match[1], 10) * 3600 +
+        parseInt(match[2], 10) * 60 +
+        parseInt(match[3], 10) +
+        parseInt(match[4].padEnd(3, '0'), 10) / 1000;
+}
+
+function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    return String(hours).padStart(2, '0') + ':' +
+           String(minutes).padStart(2, '0') + ':' +
+           String(secs).padStart(2, '0');
+}
+
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function parseWhisperJson(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const entries = (data && data.transcription) || [];
+
+    return entries
+        .map(entry => {
+            const start = entry.offsets ? entry.offsets.from / 1000 : parseTimestamp(entry.timestamps.from);
+            const end = entry.offsets ? entry.offsets.to / 1000 : parseTimestamp(entry.timestamps.to);
+            return { start, end, text: cleanText(entry.text) };
+        })
+        .filter(segment => segment.text.length > 0);
+}
+
+// OpenAI-style `verbose_json` ({ text, segments: [{ start, end, text }] }, in seconds),
+// as returned by whisper.cpp's server and OpenAI-compatible transcription endpoints
+function parseVerboseJson(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (Array.isArray(data.segments) && data.segments.length > 0) {
+        return data.segments
+            .map(segment => ({ start: segment.start, end: segment.end, text: cleanText(segment.text) }))
+            .filter(segment => segment.text.length > 0);
+    }
+
+    // Plain `json` responses carry no timing at all
+    const text = cleanText(data.text);
+    return text ? [{ start: 0, end: data.duration || 0, text }] : [];
+}
+
+function parseSrt(text) {
+    const segments = [];
+    const blocks = text.replace(/\r/g, '').split(/\n\s*\n/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(line => line.trim().length > 0);
+        const timeIndex = lines.findIndex(line => line.includes('-->'));
+        if (timeIndex === -1) {
+            continue;
+        }
+
+        const [from, to] = lines[timeIndex].split('-->');
+        const segmentText = cleanText(lines.slice(timeIndex + 1).join(' '));
+        if (segmentText) {
+            segments.push({
+                start: parseTimestamp(from),
+                end: parseTimestamp(to),
+                text: segmentText
+            });
+        }
+    }
+
+    return segments;
+}
+
+function segmentsToText(segments) {
+    return segments.map(segment => segment.text).join(' ').trim();
+}
+
+function groupSegments(segments) {
+    const paragraphs = [];
+    let current = null;
+
+    for (const segment of segments) {
+        const pause = current ? segment.start - current.end : 0;
+        if (!current || segment.speaker !== current.speaker || (segment.part || 0) !== current.part ||
+            pause >= PARAGRAPH_PAUSE_SECONDS || current.text.length >= PARAGRAPH_MAX_CHARS) {
+            current = {
+                start: segment.start,
+                end: segment.end,
+                text: segment.text,
+                speaker: segment.speaker,
+                part: segment.part || 0
+            };
+            paragraphs.push(current);
+        } else {
+            current.end = segment.end;
+            current.text += ' ' + segment.text;
+        }
+    }
+
+    return paragraphs;
+}
+
+// Links point at the saved recording with a media fragment (#t=seconds), which
+// the plugin intercepts in reading view to seek the embedded player. The label shows
+// meeting time; the fragment is relative to the part's own audio file.
+function renderTimestampLink(seconds, audioPart) {
+    const label = formatTimestamp(seconds);
+    if (!audioPart || !audioPart.target) {
+        return `**[${label}]**`;
+    }
+    return `[[${audioPart.target}#t=${Math.floor(seconds - audioPart.offset)}|${label}]]`;
+}
+
+// audioParts: [{ target, offset }] per recording part, indexed by `segment.part`
+function renderSegments(segments, audioParts = []) {
+    const blocks = [];
+    let currentPart = null;
+
+    groupSegments(segments).forEach(paragraph => {
+        if (audioParts.length > 1 && paragraph.part !== currentPart) {
+            const offset = audioParts[paragraph.part] ? audioParts[paragraph.part].offset : 0;
+            blocks.push(`*— Part ${paragraph.part + 1} · ${formatTimestamp(offset)} —*`);
+        }
+        currentPart = paragraph.part;
+
+        const speaker = paragraph.speaker ? `**${paragraph.speaker}:** ` : '';
+        blocks.push(`${renderTimestampLink(paragraph.start, audioParts[paragraph.part])} ${speaker}${paragraph.text}`);
+    });
+
+    return blocks.join('\n\n');
+}
+
+// Compact "[HH:MM:SS] Speaker: text" lines, e.g. as input for a language model
+function renderPlainTranscript(segments) {
+    return groupSegments(segments)
+        .map(paragraph => {
+            const speaker = paragraph.speaker ? `${paragraph.speaker}: ` : '';
+            return `[${formatTimestamp(paragraph.start)}] ${speaker}${paragraph.text}`;
+        })
+        .join('\n');
+}
+
+module.exports = {
+    parseTimestamp,
+    formatTimestamp,
+    parseWhisperJson,
+    parseVerboseJson,
+    parseSrt,
+    segmentsToText,
+    groupSegments,
+    renderTimestampLink,
+    renderSegments,
+    renderPlainTranscript
+};
@@ -0,0 +1,274 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { request, joinUrl, cancelledError } = require('./http-request.js');
+const { parseWhisperJson, parseSrt, parseVerboseJson } = require('./transcript.js');
+
+// Every provider turns a 16 kHz mono WAV file into timed segments:
+//     transcribe(wavPath, language, options) -> Promise<[{ start, end, text }]>
+// `language` is a whisper language code or 'auto'. options: { onProgress(percent), signal },
+// where aborting `signal` cancels the transcription with an AbortError.
+
+// Splits extra command line flags like a shell would, honouring quotes:
+// '--max-len 50 --prompt "Hello there"' -> ['--max-len', '50', '--prompt', 'Hello there']
+function splitArguments(text) {
+    const args = [];
+    const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(String(text || '')))) {
+        if (match[1] !== undefined) args.push(match[1].replace(/\\(.)/g, '$1'));
+        else if (match[2] !== undefined) args.push(match[2]);
+        else args.push(match[3]);
+    }
+    return args;
+}
+
+// Time whisper gets to exit after being asked to, before it is killed outright
+const KILL_GRACE_MS = 5000;
+
+// Runs whisper without a shell, so paths with quotes or `$` arrive as they are. With
+// --print-progress whisper reports "progress = 45%" lines on stderr.
+function runWhisper(command, args, { onProgress, signal, timeout = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(cancelledError('Transcription cancelled'));
+            return;
+        }
+
+        const child = spawn(command, args);
+        let output = '';
+        let failure = null;
+        let settled = false;
+        let timer = null;
+
+        const stop = (error) => {
+            if (failure) return;
+            failure = error;
+            child.kill();
+            setTimeout(() => {
+                if (!settled) child.kill('SIGKILL');
+            }, KILL_GRACE_MS);
+        };
+        const onAbort = () => stop(cancelledError('Transcription cancelled'));
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                stop(new Error(`Whisper did not finish within ${Math.round(timeout / 60000)} minutes`));
+            }, timeout);
+        }
+
+        const settle = (error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (error) reject(error);
+            else resolve();
+        };
+
+        child.stdout.on('data', () => {});
+        child.stderr.on('data', (data) => {
+            const text = data.toString();
+            // Only the end is needed to explain a failure
+            output = (output + text).slice(-2000);
+
+            const matches = text.match(/progress\s*=\s*\d+%/g);
+            if (matches && onProgress) {
+                onProgress(Math.min(100, parseInt(matches[matches.length - 1].replace(/\D+/, ''), 10)));
+            }
+        });
+
+        child.on('error', (error) => {
+            settle(failure || new Error(`Could not run whisper at ${command}: ${error.message}`));
+        });
+        child.on('close', (code) => {
+            if (failure) {
+                settle(failure);
+            } else if (code !== 0) {
+                console.error('Meeting Intelligence: Whisper stderr:', output);
+                const lastLine = output.trim().split('\n').pop() || '';
+                settle(new Error(`Whisper exited with code ${code}${lastLine ? ': ' + lastLine : ''}`));
+            } else {
+                settle();
+            }
+        });
+    });
+}
+
+class WhisperCliProvider {
+    // models is the ModelDownloader that knows where each model lives
+    constructor(settings, models) {
+        this.settings = settings;
+        this.models = models;
+    }
+
+    async transcribe(audioPath, selectedLanguage, options = {}) {
+        const modelPath = this.models.getModelPath(this.settings.modelSize);
+
+        if (!fs.existsSync(modelPath)) {
+            throw new Error(`Model ${this.settings.modelSize} not found. Please download it in settings.`);
+        }
+
+        console.log('Meeting Intelligence: Model path:', modelPath);
+        console.log('Meeting Intelligence: Audio path:', audioPath);
+
+        const args = this.buildArguments(modelPath, audioPath, selectedLanguage);
+        console.log('Meeting Intelligence: Running whisper:', this.settings.whisperPath, args);
+
+        await runWhisper(this.settings.whisperPath, args, {
+            onProgress: options.onProgress,
+            signal: options.signal,
+            timeout: this.settings.transcriptionTimeoutMinutes * 60 * 1000
+        });
+
+        return this.readTranscriptSegments(audioPath);
+    }
+
+    buildArguments(modelPath, audioPath, selectedLanguage) {
+        const args = ['-m', modelPath, '-f', audioPath, '--output-json', '--output-srt', '--print-progress'];
+        if (selectedLanguage !== 'auto') {
+            args.push('-l', selectedLanguage);
+        }
+        if (this.settings.whisperThreads > 0) {
+            args.push('-t', String(this.settings.whisperThreads));
+        }
+        if (this.settings.whisperBeamSize > 0) {
+            args.push('-bs', String(this.settings.whisperBeamSize));
+        }
+        if (this.settings.whisperPrompt) {
+            args.push('--prompt', this.settings.whisperPrompt);
+        }
+        return args.concat(splitArguments(this.settings.whisperExtraArgs));
+    }
+
+    readTranscriptSegments(audioPath) {
+        // Whisper creates .json/.srt files next to the audio file
+        const jsonPath = audioPath + '.json';
+        const srtPath = audioPath + '.srt';
+
+        try {
+            if (fs.existsSync(jsonPath)) {
+                return parseWhisperJson(fs.readFileSync(jsonPath, 'utf-8'));
+            }
+            if (fs.existsSync(srtPath)) {
+                return parseSrt(fs.readFileSync(srtPath, 'utf-8'));
+            }
+            throw new Error('Transcript file not found at: ' + jsonPath);
+        } finally {
+            [jsonPath, srtPath].forEach(file => {
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            });
+        }
+    }
+}
+
+// Builds a multipart/form-data body; `fields` values are strings, `file` is { name, data }
+function buildMultipart(fields, file) {
+    const boundary = '----MeetingIntelligence' + Date.now().toString(16);
+    const chunks = [];
+
+    Object.entries(fields).forEach(([name, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        chunks.push(Buffer.from(
+            `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+        ));
+    });
+
+    chunks.push(Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${file.name}"\r\n` +
+        'Content-Type: audio/wav\r\n\r\n'
+    ));
+    chunks.push(file.data);
+    chunks.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+    return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+function postMultipart(url, fields, audioPath, headers = {}, options = {}) {
+    const { body, contentType } = buildMultipart(fields, {
+        name: path.basename(audioPath),
+        data: fs.readFileSync(audioPath)
+    });
+
+    console.log('Meeting Intelligence: Uploading audio to:', url);
+
+    return request(url, {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': contentType }, headers),
+        body: body,
+        signal: options.signal,
+        timeout: options.timeout
+    });
+}
+
+// Servers report no progress, but can be cancelled and timed out like the CLI
+function requestOptions(settings, options) {
+    return { signal: options.signal, timeout: settings.transcriptionTimeoutMinutes * 60 * 1000 };
+}
+
+// whisper.cpp's bundled `server` example (POST /inference)
+class WhisperServerProvider {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    async transcribe(audioPath, selectedLanguage, options = {}) {
+        const response = await postMultipart(joinUrl(this.settings.whisperServerUrl, '/inference'), {
+            response_format: 'verbose_json',
+            language: selectedLanguage,
+            prompt: this.settings.whisperPrompt
+        }, audioPath, {}, requestOptions(this.settings, options));
+
+        return parseVerboseJson(response);
+    }
+}
+
+// Any server implementing OpenAI's /v1/audio/transcriptions, e.g. faster-whisper-server
+class OpenAICompatibleProvider {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    async transcribe(audioPath, selectedLanguage, options = {}) {
+        const headers = this.settings.openaiApiKey
+            ? { 'Authorization': `Bearer ${this.settings.openaiApiKey}` }
+            : {};
+
+        const response = await postMultipart(joinUrl(this.settings.openaiUrl, '/v1/audio/transcriptions'), {
+            model: this.settings.openaiModel,
+            response_format: 'verbose_json',
+            language: selectedLanguage === 'auto' ? '' : selectedLanguage,
+            prompt: this.settings.whisperPrompt
+        }, audioPath, headers, requestOptions(this.settings, options));
+
+        return parseVerboseJson(response);
+    }
+}
+
+const TRANSCRIPTION_PROVIDERS = {
+    'whisper-cli': { name: 'whisper.cpp CLI (local)' },
+    'whisper-server': { name: 'whisper.cpp server (HTTP)' },
+    'openai': { name: 'OpenAI-compatible endpoint' }
+};
+
+function createTranscriptionProvider(settings, models) {
+    switch (settings.transcriptionProvider) {
+        case 'whisper-server':
+            return new WhisperServerProvider(settings);
+        case 'openai':
+            return new OpenAICompatibleProvider(settings);
+        default:
+            return new WhisperCliProvider(settings, models);
+    }
+}
+
+module.exports = {
+    TRANSCRIPTION_PROVIDERS,
+    createTranscriptionProvider,
+    splitArguments,
+    WhisperCliProvider,
+    WhisperServerProvider,
+    OpenAICompatibleProvider
+};
@@ -0,0 +1,147 @@
+// Energy-based voice activity detection. A frame counts as speech when it is clearly
+// louder than the background noise, which is tracked as the recent minimum level. Used
+// while recording (silence warning, splitting at a pause) and before transcription,
+// where long silences are cut out because whisper tends to hallucinate text in them.
+
+// Length of the frames levels are measured over, in seconds
+const FRAME_SECONDS = 0.03;
+// Speech has to be this many dB above the noise floor...
+const SPEECH_MARGIN_DB = 10;
+// ...and above this level in dBFS, so a muted microphone is never "speech"
+const MIN_SPEECH_DB = -60;
+// How fast the noise floor may rise, in dB per second. Falling is immediate.
+const FLOOR_RISE_DB = 1;
+// Speech continues this long after the level drops, to keep word endings
+const HANGOVER_SECONDS = 0.3;
+// Of a trimmed silence, this much is kept so whisper still hears a break
+const KEPT_SILENCE_SECONDS = 0.5;
+
+function levelDb(samples, start = 0, end = samples.length) {
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return end > start ? 10 * Math.log10(sum / (end - start) + 1e-12) : -120;
+}
+
+// Classifies a stream of levels, one call per measurement
+class SpeechDetector {
+    constructor(floor = null) {
+        this.floor = floor;
+        this.lastTime = null;
+        this.lastSpeech = null;
+    }
+
+    // level in dBFS at `time` seconds; returns whether this is speech
+    update(level, time) {
+        if (this.floor === null || level < this.floor) {
+            this.floor = level;
+        } else if (this.lastTime !== null) {
+            this.floor = Math.min(level, this.floor + FLOOR_RISE_DB * (time - this.lastTime));
+        }
+        this.lastTime = time;
+
+        if (level >= MIN_SPEECH_DB && level >= this.floor + SPEECH_MARGIN_DB) {
+            this.lastSpeech = time;
+        }
+        return this.lastSpeech !== null && time - this.lastSpeech <= HANGOVER_SECONDS;
+    }
+
+    // Seconds since speech was last heard, measured from `since` if there was none yet
+    silenceSeconds(time, since = 0) {
+        return time - (this.lastSpeech !== null ? this.lastSpeech : since);
+    }
+}
+
+// Speech regions of a recording as [{ start, end }] in seconds
+function detectSpeech(samples, sampleRate) {
+    const frameLength = Math.max(1, Math.round(FRAME_SECONDS * sampleRate));
+    const levels = [];
+    for (let start = 0; start < samples.length; start += frameLength) {
+        levels.push(levelDb(samples, start, Math.min(samples.length, start + frameLength)));
+    }
+    if (levels.length === 0) return [];
+
+    // Start from the quietest tenth of the recording instead of its first frame,
+    // which may be the middle of a word
+    const sorted = levels.slice().sort((a, b) => a - b);
+    const detector = new SpeechDetector(sorted[Math.floor(sorted.length / 10)]);
+
+    const regions = [];
+    let current = null;
+    levels.forEach((level, index) => {
+        const time = index * frameLength / sampleRate;
+        if (detector.update(level, time)) {
+            if (!current) {
+                current = { start: time, end: time };
+                regions.push(current);
+            }
+            current.end = Math.min(samples.length / sampleRate, time + frameLength / sampleRate);
+        } else {
+            current = null;
+        }
+    });
+    return regions;
+}
+
+// Silences longer than minSilence seconds are shortened to a brief pause. Returns the
+// remaining samples and a time map [{ at, from, to }]: the kept stretch of the original
+// from `from` to `to` seconds starts at `at` in the trimmed audio.
+function trimSilence(samples, sampleRate, minSilence) {
+    const duration = samples.length / sampleRate;
+    const regions = detectSpeech(samples, sampleRate);
+    if (regions.length === 0) return { samples: new Float32Array(0), timeMap: [] };
+
+    const keep = [];
+    const half = KEPT_SILENCE_SECONDS / 2;
+    let from = Math.max(0, regions[0].start - half);
+    for (let i = 1; i < regions.length; i++) {
+        if (regions[i].start - regions[i - 1].end >= minSilence) {
+            keep.push({ from, to: regions[i - 1].end + half });
+            from = regions[i].start - half;
+        }
+    }
+    keep.push({ from, to: Math.min(duration, regions[regions.length - 1].end + half) });
+
+    const ranges = keep.map(range => ({
+        from: Math.round(range.from * sampleRate),
+        to: Math.round(range.to * sampleRate)
+    }));
+    const result = new Float32Array(ranges.reduce((total, range) => total + range.to - range.from, 0));
+    const timeMap = [];
+    let position = 0;
+    ranges.forEach(range => {
+        result.set(samples.subarray(range.from, range.to), position);
+        timeMap.push({ at: position / sampleRate, from: range.from / sampleRate, to: range.to / sampleRate });
+        position += range.to - range.from;
+    });
+
+    return { samples: result, timeMap };
+}
+
+// A time in the trimmed audio back in the original
+function toOriginalTime(timeMap, time) {
+    let range = timeMap[0];
+    for (let i = 1; i < timeMap.length && timeMap[i].at <= time; i++) {
+        range = timeMap[i];
+    }
+    if (!range) return time;
+    return Math.min(range.to, range.from + Math.max(0, time - range.at));
+}
+
+// Transcript segments of trimmed audio with the times of the original recording
+function mapSegments(segments, timeMap) {
+    return segments.map(segment => Object.assign({}, segment, {
+        start: toOriginalTime(timeMap, segment.start),
+        end: Math.max(toOriginalTime(timeMap, segment.start), toOriginalTime(timeMap, segment.end))
+    }));
+}
+
+module.exports = {
+    SpeechDetector,
+    detectSpeech,
+    levelDb,
+    mapSegments,
+    toOriginalTime,
+    trimSilence
+};